@@ -0,0 +1,148 @@
+const config = require("./config");
+const express = require("express");
+const cors = require("cors");
+const apiRoutes = require("./routes/api");
+const adminRoutes = require("./routes/admin");
+const groupRoutes = require("./routes/groups");
+const attachmentRoutes = require("./routes/attachments");
+const reportRoutes = require("./routes/reports");
+const v2Routes = require("./routes/v2");
+const healthRoutes = require("./routes/health");
+const docsRoutes = require("./routes/docs");
+const {
+  generalRateLimit,
+  corsOptions,
+  securityMiddleware,
+  rejectBanned,
+  deprecateUnversionedApi,
+  requireDatabase,
+  requestLogger,
+  errorHandler,
+  notFoundHandler,
+} = require("./middleware");
+const logger = require("./utils/logger");
+const { buildSpec } = require("./utils/openapi");
+const { version } = require("./package.json");
+const {
+  metricsConfig,
+  metricsMiddleware,
+  metricsHandler,
+} = require("./utils/metrics");
+
+// Initialize Express app. Listening, the storage connection and background
+// jobs are started by server.js, so tests can run the app on their own.
+const app = express();
+
+// Routers and middleware mounted through here are recorded in order, and the
+// OpenAPI document is generated from them
+app.locals.mounted = [];
+const mount = (path, handler) => {
+  app.locals.mounted.push({ path, handler });
+  app.use(path, handler);
+};
+
+// Request IDs and logging
+app.use(requestLogger);
+
+// Request metrics (exposed only when METRICS_ENABLED=true)
+app.use(metricsMiddleware);
+
+// Security middleware
+app.use(securityMiddleware);
+
+// CORS configuration
+app.use(cors(corsOptions));
+
+// Body parsing middleware
+app.use(express.json({ limit: "10mb" }));
+app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+
+// Prometheus metrics on the main port, behind METRICS_TOKEN and ahead of
+// rate limiting so scrapes don't use up the budget
+if (metricsConfig.enabled && !metricsConfig.port) {
+  if (metricsConfig.token) {
+    app.get("/metrics", metricsHandler);
+  } else {
+    logger.warn(
+      "⚠️ METRICS_ENABLED is set without METRICS_TOKEN or METRICS_PORT - /metrics is not exposed"
+    );
+  }
+}
+
+// Health, readiness and wake checks - answered even while the database is down
+mount("/", healthRoutes);
+
+// OpenAPI document and docs page, which don't need the database either
+mount("/", docsRoutes);
+
+// Refuse other traffic while the database is disconnected
+mount("/", requireDatabase);
+
+// Rate limiting
+mount("/", generalRateLimit);
+
+// Trust proxy (important for rate limiting and IP detection)
+app.set("trust proxy", config.server.trustProxy);
+
+// Supported API versions. v2 only differs from v1 where routes/v2.js
+// replaces a route.
+const API_VERSIONS = {
+  v1: { path: "/api/v1", status: "stable" },
+  v2: { path: "/api/v2", status: "preview" },
+};
+const VERSION_ROUTES = { v2: v2Routes };
+
+// Mount the API routers under a base path. Unmatched requests end there with
+// a 404, so versioned paths never fall through to the unversioned alias.
+const mountApi = (base, versionRoutes) => {
+  mount(`${base}/admin`, adminRoutes);
+  mount(base, rejectBanned);
+  if (versionRoutes) {
+    mount(base, versionRoutes);
+  }
+  mount(base, groupRoutes);
+  mount(base, attachmentRoutes);
+  mount(base, reportRoutes);
+  mount(base, apiRoutes);
+  app.use(base, notFoundHandler);
+};
+
+// API routes
+for (const [name, { path }] of Object.entries(API_VERSIONS)) {
+  mountApi(path, VERSION_ROUTES[name]);
+}
+
+// Unversioned /api is the original flat API, kept as a deprecated alias of v1
+mount("/api", deprecateUnversionedApi);
+mountApi("/api");
+
+// Generated from the routes above; logs any route missing from the docs
+app.locals.openapi = buildSpec(app.locals.mounted);
+
+// Root endpoint - the endpoint list lives in the OpenAPI document
+app.get("/", (req, res) => {
+  res.json({
+    message: "Anonymous Messages API Server",
+    version,
+    status: "running",
+    versions: API_VERSIONS,
+    unversioned: {
+      path: "/api",
+      aliasOf: "v1",
+      deprecated: true,
+      deprecatedAt: config.api.unversionedDeprecatedAt.toISOString(),
+      sunset: config.api.unversionedSunset.toISOString(),
+    },
+    docs: "/api/docs",
+    openapi: "/api/openapi.json",
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// 404 handler for undefined routes
+app.use(notFoundHandler);
+
+// Global error handler
+app.use(errorHandler);
+
+module.exports = app;
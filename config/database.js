@@ -1,45 +1,42 @@
 const mongoose = require("mongoose");
-require("dotenv").config();
+const config = require(".");
+const logger = require("../utils/logger");
 
 const connectDatabase = async () => {
   try {
     const connectionOptions = {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      maxPoolSize: 10, // Maintain up to 10 socket connections
-      serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
-      socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
+      ...config.storage.pool, // Pool size and timeouts
       family: 4, // Use IPv4, skip trying IPv6
     };
 
     const conn = await mongoose.connect(
-      process.env.MONGODB_URI,
+      config.storage.mongoUri,
       connectionOptions
     );
 
-    console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+    logger.info("✅ MongoDB Connected", { host: conn.connection.host });
 
     // Handle connection events
     mongoose.connection.on("error", (err) => {
-      console.error("❌ MongoDB connection error:", err);
+      logger.error("❌ MongoDB connection error", { error: err });
     });
 
     mongoose.connection.on("disconnected", () => {
-      console.log("⚠️  MongoDB disconnected");
+      logger.warn("⚠️ MongoDB disconnected");
     });
 
     mongoose.connection.on("reconnected", () => {
-      console.log("✅ MongoDB reconnected");
+      logger.info("✅ MongoDB reconnected");
     });
 
     // Graceful shutdown
     process.on("SIGINT", async () => {
       await mongoose.connection.close();
-      console.log("🔒 MongoDB connection closed through app termination");
+      logger.info("🔒 MongoDB connection closed through app termination");
       process.exit(0);
     });
   } catch (error) {
-    console.error("❌ Database connection failed:", error.message);
+    logger.error("❌ Database connection failed", { error });
     process.exit(1);
   }
 };
@@ -0,0 +1,339 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+
+// Central configuration. Values come from, in increasing precedence: the
+// schema defaults below, an optional JSON file named by CONFIG_FILE, and
+// environment variables. The result is validated once at startup; any
+// problem stops the process with a list of what is wrong.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MB = 1024 * 1024;
+
+// Environment variables and where they land in the config. Lists are
+// comma-separated.
+const ENV_VARS = {
+  NODE_ENV: "env",
+  PORT: "server.port",
+  TRUST_PROXY: "server.trustProxy",
+  STORAGE_DRIVER: "storage.driver",
+  MONGODB_URI: "storage.mongoUri",
+  MONGO_MAX_POOL_SIZE: "storage.pool.maxPoolSize",
+  MONGO_SERVER_SELECTION_TIMEOUT_MS: "storage.pool.serverSelectionTimeoutMS",
+  MONGO_SOCKET_TIMEOUT_MS: "storage.pool.socketTimeoutMS",
+  CORS_ORIGINS: "cors.allowedOrigins",
+  API_UNVERSIONED_DEPRECATED_AT: "api.unversionedDeprecatedAt",
+  API_UNVERSIONED_SUNSET: "api.unversionedSunset",
+  RATE_LIMIT_STORE: "rateLimits.store",
+  CLEANUP_INTERVAL_MS: "cleanup.intervalMs",
+  CLEANUP_SOFT_DELETE_GRACE_MS: "cleanup.softDeleteGraceMs",
+  CLEANUP_INACTIVITY_MS: "cleanup.inactivityThresholdMs",
+  CLEANUP_BATCH_SIZE: "cleanup.batchSize",
+  CLEANUP_LOCK_TTL_MS: "cleanup.lockTtlMs",
+  MESSAGE_MAX_LENGTH: "messages.maxLength",
+  MAX_MESSAGE_EXPIRY_SECONDS: "messages.maxExpirySeconds",
+  MESSAGE_MAX_CIPHERTEXT_LENGTH: "messages.maxCiphertextLength",
+  MESSAGE_LEASE_MS: "messages.leaseMs",
+  REPLY_TOKEN_TTL_MS: "messages.replyTokenTtlMs",
+  MAX_BLOCKS_PER_USER: "users.maxBlocks",
+  MAX_GROUP_MEMBERS: "groups.maxMembers",
+  ATTACHMENT_MAX_IMAGE_BYTES: "attachments.maxImageBytes",
+  ATTACHMENT_MAX_GIF_BYTES: "attachments.maxGifBytes",
+  ATTACHMENT_MAX_DOCUMENT_BYTES: "attachments.maxDocumentBytes",
+  ATTACHMENT_UPLOAD_TTL_MS: "attachments.uploadTtlMs",
+  MODERATION_CONFIG: "moderation.configPath",
+  REPORT_RETENTION_DAYS: "reports.retentionDays",
+  SENDER_WARNING_COOLDOWN_MS: "reports.warningCooldownMs",
+  MAX_SENDER_WARNINGS: "reports.maxWarnings",
+  ADMIN_API_KEY: "admin.apiKey",
+  ADMIN_API_KEY_HASHES: "admin.apiKeyHashes",
+  BAN_CACHE_MS: "admin.banCacheMs",
+  PURGE_BATCH_SIZE: "admin.purgeBatchSize",
+  METRICS_ENABLED: "metrics.enabled",
+  METRICS_PORT: "metrics.port",
+  METRICS_TOKEN: "metrics.token",
+  LOG_LEVEL: "logging.level",
+  LOG_FORMAT: "logging.format",
+  LOG_REDACT: "logging.redact",
+};
+
+// Paths whose environment values are comma-separated lists
+const LIST_PATHS = [
+  "cors.allowedOrigins",
+  "admin.apiKeyHashes",
+  "logging.redact",
+];
+
+const rateLimitSchema = (windowMs, max) =>
+  Joi.object({
+    windowMs: Joi.number().integer().min(SECOND).default(windowMs),
+    max: Joi.number().integer().min(1).default(max),
+  }).default();
+
+const schema = Joi.object({
+  env: Joi.string()
+    .valid("development", "production", "test")
+    .default("development"),
+
+  server: Joi.object({
+    port: Joi.number().port().default(3000),
+    trustProxy: Joi.number().integer().min(0).default(1), // Proxy hops in front
+  }).default(),
+
+  storage: Joi.object({
+    driver: Joi.string().valid("mongo", "memory").default("mongo"),
+    mongoUri: Joi.string()
+      .uri({ scheme: ["mongodb", "mongodb+srv"] })
+      .when("driver", {
+        is: "mongo",
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    pool: Joi.object({
+      maxPoolSize: Joi.number().integer().min(1).default(10), // Socket connections kept open
+      serverSelectionTimeoutMS: Joi.number().integer().min(0).default(5000), // Keep trying to send operations for 5 seconds
+      socketTimeoutMS: Joi.number().integer().min(0).default(45000), // Close sockets after 45 seconds of inactivity
+    }).default(),
+  }).default(),
+
+  cors: Joi.object({
+    allowedOrigins: Joi.array()
+      .items(Joi.string().uri({ scheme: ["http", "https"] }))
+      .default([
+        "http://localhost:3000", // dev frontend
+        "https://tempsix-client.vercel.app", // deployed frontend
+      ]),
+  }).default(),
+
+  api: Joi.object({
+    // When the unversioned /api alias was deprecated in favour of /api/v1
+    unversionedDeprecatedAt: Joi.date()
+      .iso()
+      .default(new Date("2026-10-19T00:00:00Z")),
+    // When the deprecated unversioned /api alias of v1 goes away
+    unversionedSunset: Joi.date()
+      .iso()
+      .default(new Date("2027-04-19T00:00:00Z")),
+  }).default(),
+
+  // Adjusted rate limits for free tier
+  rateLimits: Joi.object({
+    store: Joi.string().valid("shared", "memory").default("shared"), // memory keeps counters per process (tests)
+    general: rateLimitSchema(15 * MINUTE, 50),
+    strict: rateLimitSchema(5 * MINUTE, 5),
+    attachment: rateLimitSchema(10 * MINUTE, 20),
+    messageIp: rateLimitSchema(10 * MINUTE, 30), // Per IP, however many IDs it uses
+    messageSender: rateLimitSchema(10 * MINUTE, 30), // Per authenticated sender ID
+    messagePair: rateLimitSchema(60 * MINUTE, 10), // From one sender to one inbox
+    messageRecipient: rateLimitSchema(10 * MINUTE, 100), // Into one inbox from everyone
+  }).default(),
+
+  // Cleanup timings and batch size (all durations in milliseconds)
+  cleanup: Joi.object({
+    intervalMs: Joi.number()
+      .integer()
+      .min(SECOND)
+      .default(5 * MINUTE), // Run every 5 minutes
+    softDeleteGraceMs: Joi.number()
+      .integer()
+      .min(0)
+      .default(2 * MINUTE), // Keep marked users 2 minutes
+    inactivityThresholdMs: Joi.number()
+      .integer()
+      .min(MINUTE)
+      .default(15 * MINUTE), // Mark after 15 minutes without heartbeat
+    batchSize: Joi.number().integer().min(1).max(10000).default(500), // Users deleted per batch
+    lockTtlMs: Joi.number()
+      .integer()
+      .min(SECOND)
+      .default(4 * MINUTE), // Renewed between batches; outlives a crashed run, not the next interval
+  }).default(),
+
+  messages: Joi.object({
+    maxLength: Joi.number().integer().min(1).max(10000).default(1000), // Plaintext characters
+    maxExpirySeconds: Joi.number()
+      .integer()
+      .min(1)
+      .default(7 * 24 * 60 * 60), // Longest self-destruct timer
+    maxCiphertextLength: Joi.number().integer().min(64).default(4096), // Base64 characters, a maxLength message plus overhead
+    leaseMs: Joi.number().integer().min(SECOND).default(MINUTE), // Fetched messages stay hidden until acknowledged or this passes
+    replyTokenTtlMs: Joi.number()
+      .integer()
+      .min(MINUTE)
+      .default(7 * DAY), // How long a delivered message can be replied to
+  }).default(),
+
+  users: Joi.object({
+    maxBlocks: Joi.number().integer().min(1).default(500), // Block list entries per recipient
+  }).default(),
+
+  groups: Joi.object({
+    maxMembers: Joi.number().integer().min(2).default(50), // Including the owner
+  }).default(),
+
+  attachments: Joi.object({
+    maxImageBytes: Joi.number()
+      .integer()
+      .min(1)
+      .default(5 * MB), // JPEG, PNG and WebP
+    maxGifBytes: Joi.number()
+      .integer()
+      .min(1)
+      .default(8 * MB),
+    maxDocumentBytes: Joi.number()
+      .integer()
+      .min(1)
+      .default(10 * MB), // PDF
+    uploadTtlMs: Joi.number().integer().min(MINUTE).default(HOUR), // Unattached uploads are cleaned up after this
+  }).default(),
+
+  moderation: Joi.object({
+    configPath: Joi.string().default(path.join(__dirname, "moderation.json")),
+  }).default(),
+
+  reports: Joi.object({
+    retentionDays: Joi.number().integer().min(1).max(365).default(30),
+    warningCooldownMs: Joi.number().integer().min(0).default(DAY), // A warned sender can't send for this long
+    maxWarnings: Joi.number().integer().min(1).default(3), // Warnings within retention before a fingerprint ban
+  }).default(),
+
+  admin: Joi.object({
+    apiKey: Joi.string().min(16), // Plaintext bootstrap key, hashed at startup
+    apiKeyHashes: Joi.array()
+      .items(Joi.string().hex().length(64).lowercase())
+      .default([]),
+    banCacheMs: Joi.number()
+      .integer()
+      .min(0)
+      .default(30 * SECOND), // How stale other instances' view of bans may be
+    purgeBatchSize: Joi.number().integer().min(1).max(10000).default(500), // Messages scanned per purge batch
+  }).default(),
+
+  metrics: Joi.object({
+    enabled: Joi.boolean().default(false),
+    port: Joi.number().port().allow(null).default(null),
+    token: Joi.string().min(16).allow(null).default(null),
+  }).default(),
+
+  logging: Joi.object({
+    level: Joi.string().valid("error", "warn", "info", "debug"),
+    format: Joi.string().valid("json", "pretty"),
+    redact: Joi.array()
+      .items(
+        Joi.string().valid("all", "none", "userIds", "ips", "fingerprints")
+      )
+      .default(["all"]),
+  }).default(),
+});
+
+/**
+ * Set a dotted path on an object, creating parents as needed
+ */
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Deep-merge plain objects, with later sources winning
+ */
+const merge = (...sources) => {
+  const result = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      result[key] =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? merge(result[key], value)
+          : value;
+    }
+  }
+  return result;
+};
+
+/**
+ * Read the optional JSON config file named by CONFIG_FILE
+ */
+const readConfigFile = (env) => {
+  if (!env.CONFIG_FILE) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(env.CONFIG_FILE, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read CONFIG_FILE ${env.CONFIG_FILE}: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Collect the config values set in the environment
+ */
+const readEnv = (env) => {
+  const values = {};
+  for (const [name, dottedPath] of Object.entries(ENV_VARS)) {
+    const value = env[name];
+    if (value === undefined || value === "") {
+      continue;
+    }
+
+    setPath(
+      values,
+      dottedPath,
+      LIST_PATHS.includes(dottedPath)
+        ? value
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean)
+        : value
+    );
+  }
+  return values;
+};
+
+/**
+ * Build and validate the configuration, throwing an error that lists every
+ * problem found
+ */
+const loadConfig = (env = process.env) => {
+  const { value, error } = schema.validate(
+    merge(readConfigFile(env), readEnv(env)),
+    { abortEarly: false, convert: true }
+  );
+
+  if (error) {
+    const problems = error.details.map((detail) => {
+      const dottedPath = detail.path
+        .filter((key) => typeof key === "string")
+        .join(".");
+      const envName = Object.keys(ENV_VARS).find(
+        (name) => ENV_VARS[name] === dottedPath
+      );
+      return `  - ${detail.message}${envName ? ` (${envName})` : ""}`;
+    });
+    throw new Error(`Invalid configuration:\n${problems.join("\n")}`);
+  }
+
+  return value;
+};
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  // The logger is configured from here, so report directly and stop
+  process.stderr.write(`❌ ${error.message}\n`);
+  process.exit(1);
+}
+
+module.exports = config;
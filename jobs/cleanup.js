@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const os = require("os");
+const config = require("../config");
+const storage = require("../storage");
+const { ATTACHMENT_UPLOAD_TTL_MS } = require("../utils/attachments");
+const { deleteUsers } = require("../utils/accounts");
+const { recordCleanupRun } = require("../utils/metrics");
+const logger = require("../utils/logger");
+
+const JOB_NAME = "cleanup";
+
+// Cleanup timings and batch size (see config/index.js)
+const cleanupConfig = config.cleanup;
+
+// Identifies this process as the lock owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+let cleanupInterval = null;
+
+/**
+ * Extend this instance's lock for another lockTtlMs before more work
+ * Throws if the lock expired and another instance has taken it over, so the
+ * run stops instead of working alongside it.
+ */
+const renewLock = async (config) => {
+  const renewed = await storage.locks.acquire(
+    JOB_NAME,
+    instanceId,
+    config.lockTtlMs
+  );
+  if (!renewed) {
+    throw new Error("Cleanup lock expired and was taken by another instance");
+  }
+};
+
+/**
+ * Hard-delete soft-deleted users past the grace period, in batches
+ * See deleteUsers for everything removed along with each user
+ */
+const deleteMarkedUsers = async (config) => {
+  const cutoff = new Date(Date.now() - config.softDeleteGraceMs);
+  let deletedUsers = 0;
+  let deletedMessages = 0;
+  let deletedGroups = 0;
+
+  for (let batches = 0; ; batches++) {
+    if (batches > 0) {
+      await renewLock(config);
+    }
+
+    const batch = await storage.users.findMarkedBefore(
+      cutoff,
+      config.batchSize
+    );
+    if (batch.length === 0) {
+      break;
+    }
+
+    const ids = batch.map((user) => user.id);
+    const deleted = await deleteUsers(ids);
+    deletedUsers += deleted.deletedUsers;
+    deletedMessages += deleted.deletedMessages;
+    deletedGroups += deleted.deletedGroups;
+
+    logger.info("🗑️ Cleaned up batch of soft-deleted users", {
+      count: ids.length,
+    });
+
+    if (batch.length < config.batchSize) {
+      break;
+    }
+  }
+
+  return { deletedUsers, deletedMessages, deletedGroups };
+};
+
+/**
+ * Run one cleanup pass if this instance holds the cleanup lock
+ * Returns the recorded run, or null when another instance holds the lock
+ */
+const runCleanup = async (overrides = {}) => {
+  const config = { ...cleanupConfig, ...overrides };
+
+  const acquired = await storage.locks.acquire(
+    JOB_NAME,
+    instanceId,
+    config.lockTtlMs
+  );
+  if (!acquired) {
+    logger.info("⏭️ Cleanup job skipped - another instance holds the lock");
+    return null;
+  }
+
+  const startedAt = new Date();
+  let status = "success";
+  let results = {};
+  let errorMessage;
+
+  try {
+    logger.info("🧹 Starting cleanup job...");
+
+    // First, handle soft-deleted users (marked for deletion)
+    const { deletedUsers, deletedMessages, deletedGroups } =
+      await deleteMarkedUsers(config);
+
+    // Then mark truly inactive users (no heartbeat within the threshold)
+    await renewLock(config);
+    const markedUsers = await storage.users.markInactiveSince(
+      new Date(Date.now() - config.inactivityThresholdMs),
+      "inactivity"
+    );
+
+    // Drop uploads never sent and files whose message expired
+    await renewLock(config);
+    const deletedAttachments = await storage.attachments.deleteOrphans(
+      new Date(Date.now() - ATTACHMENT_UPLOAD_TTL_MS)
+    );
+
+    // Self-destructed messages leave no preview in their senders' outboxes
+    await renewLock(config);
+    const clearedPreviews = await storage.outbox.dropExpiredContent();
+
+    results = {
+      deletedUsers,
+      deletedMessages,
+      deletedGroups,
+      deletedAttachments,
+      clearedPreviews,
+      markedUsers,
+    };
+
+    // Log cleanup summary
+    if (deletedUsers + markedUsers + deletedAttachments + clearedPreviews > 0) {
+      logger.info("🧹 Cleanup summary", results);
+    } else {
+      logger.info("✨ No users needed cleanup");
+    }
+  } catch (error) {
+    logger.error("💥 Error in cleanup job", { error });
+    status = "failed";
+    errorMessage = error.message;
+  } finally {
+    await storage.locks.release(JOB_NAME, instanceId).catch((error) => {
+      logger.error("💥 Error releasing cleanup lock", { error });
+    });
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+  recordCleanupRun({ status, durationMs, results });
+
+  return storage.jobRuns.record({
+    job: JOB_NAME,
+    instanceId,
+    status,
+    startedAt,
+    finishedAt,
+    durationMs,
+    results,
+    error: errorMessage,
+  });
+};
+
+/**
+ * Run cleanup once now, then on the configured interval
+ */
+const startCleanupJob = () => {
+  if (cleanupInterval) {
+    return;
+  }
+
+  const run = () => {
+    runCleanup().catch((error) => {
+      logger.error("💥 Error in cleanup job", { error });
+    });
+  };
+
+  cleanupInterval = setInterval(run, cleanupConfig.intervalMs);
+  run();
+};
+
+/**
+ * Stop the cleanup interval (used on shutdown)
+ */
+const stopCleanupJob = () => {
+  clearInterval(cleanupInterval);
+  cleanupInterval = null;
+};
+
+module.exports = {
+  JOB_NAME,
+  cleanupConfig,
+  runCleanup,
+  startCleanupJob,
+  stopCleanupJob,
+};
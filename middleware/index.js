@@ -1,38 +1,210 @@
+const crypto = require("crypto");
+const net = require("net");
 const rateLimit = require("express-rate-limit");
 const helmet = require("helmet");
+const config = require("../config");
+const {
+  users,
+  adminKeys,
+  bans,
+  rateLimits,
+  isConnected,
+} = require("../storage");
+const {
+  verifyToken,
+  hashToken,
+  createFingerprint,
+  isValidId,
+  formatResponse,
+} = require("../utils/helpers");
+const { rateLimitHits, rateLimitRejections } = require("../utils/metrics");
+const {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitedError,
+  UnavailableError,
+} = require("../utils/errors");
+const logger = require("../utils/logger");
+
+// Rate limit counters live in the shared storage backend so limits hold
+// across instances. The memory store keeps them per process (tests).
+const rateLimitCounters =
+  config.rateLimits.store === "memory"
+    ? require("../storage/memory").rateLimits
+    : rateLimits;
+
+// express-rate-limit store backed by the rate limit repository
+const createSharedStore = (prefix) => {
+  let windowMs;
+
+  return {
+    prefix: `${prefix}:`,
+    localKeys: false,
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    increment: (key) => {
+      rateLimitHits.inc({ limiter: prefix });
+      return rateLimitCounters.increment(`${prefix}:${key}`, windowMs);
+    },
+    decrement: (key) => rateLimitCounters.decrement(`${prefix}:${key}`),
+    resetKey: (key) => rateLimitCounters.reset(`${prefix}:${key}`),
+  };
+};
+
+// Anonymous requests are keyed on the IP, which a client can't change per
+// request the way it can rotate headers. Per-ID limits key on the sender
+// proven by a session token (or the authenticated replier), so nobody can
+// spend another user's budget. A sender ID that is only claimed - v1 sends
+// without a token - is charged to the request fingerprint instead.
+const ipKey = (req) => req.ip;
+const senderIdentity = (req) =>
+  req.sender && !req.senderVerified
+    ? `fingerprint:${createFingerprint(req)}`
+    : (req.sender || req.user).id;
+const toRecipientKey = (recipientId) => `recipient:${recipientId}`;
+const toPairKey = (senderId, recipientId) => `${senderId}>${recipientId}`;
+const senderKey = (req) => `sender:${senderIdentity(req)}`;
+const recipientKey = (req) => toRecipientKey(req.body.recipientId);
+const pairKey = (req) => toPairKey(senderIdentity(req), req.body.recipientId);
+
+// Per-ID limits are skipped for unknown senders (the route answers 404) and,
+// per recipient, until the request names a valid recipient
+const lacksSender = (req) => !(req.sender || req.user);
+const lacksRecipient = (req) =>
+  lacksSender(req) || !isValidId(req.body && req.body.recipientId);
 
 // Rate limiting configuration
-const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
-  return rateLimit({
+const createRateLimit = (
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  { prefix = "general", keyGenerator = ipKey, skip } = {}
+) => {
+  const limiter = rateLimit({
     windowMs,
     max,
-    message: {
-      error: "Too many requests from this IP, please try again later.",
-      retryAfter: Math.ceil(windowMs / 1000),
-    },
     standardHeaders: true,
     legacyHeaders: false,
-    skip: (req) => req.path === "/health" || req.path === "/wake",
+    handler: (req, res, next) => {
+      rateLimitRejections.inc({ limiter: prefix });
+      next(
+        new RateLimitedError("Too many requests, please try again later.", {
+          retryAfter: Math.ceil(windowMs / 1000),
+        })
+      );
+    },
+    store: createSharedStore(prefix),
+    keyGenerator,
+    skip: (req, res) =>
+      req.path === "/health" ||
+      req.path === "/ready" ||
+      req.path === "/wake" ||
+      (skip ? skip(req, res) : false),
   });
+
+  // Lets the OpenAPI generator see which routes are rate limited
+  limiter.limiterName = prefix;
+  return limiter;
 };
 
-// Adjusted rate limits for free tier
-const generalRateLimit = createRateLimit(15 * 60 * 1000, 50); // 50 requests per 15 minutes
-const strictRateLimit = createRateLimit(5 * 60 * 1000, 5); // 5 requests per 5 minutes
-const messageRateLimit = createRateLimit(10 * 60 * 1000, 30); // 30 messages per 10 minutes
+// Limits are set in config.rateLimits
+const limits = config.rateLimits;
+const generalRateLimit = createRateLimit(
+  limits.general.windowMs,
+  limits.general.max
+);
+const strictRateLimit = createRateLimit(
+  limits.strict.windowMs,
+  limits.strict.max,
+  { prefix: "strict" }
+);
+const attachmentRateLimit = createRateLimit(
+  limits.attachment.windowMs,
+  limits.attachment.max,
+  { prefix: "attachment" }
+); // Uploads per IP
+// Messages per IP, however many IDs it uses; runs ahead of validation
+const messageRateLimit = createRateLimit(
+  limits.messageIp.windowMs,
+  limits.messageIp.max,
+  { prefix: "message-ip" }
+);
+// Per-ID message limits; must run after the sender is identified
+const senderRateLimit = [
+  // Per sender ID
+  createRateLimit(limits.messageSender.windowMs, limits.messageSender.max, {
+    prefix: "message-sender",
+    keyGenerator: senderKey,
+    skip: lacksSender,
+  }),
+  // From one sender to one inbox
+  createRateLimit(limits.messagePair.windowMs, limits.messagePair.max, {
+    prefix: "message-pair",
+    keyGenerator: pairKey,
+    skip: lacksRecipient,
+  }),
+  // Into one inbox from everyone
+  createRateLimit(
+    limits.messageRecipient.windowMs,
+    limits.messageRecipient.max,
+    {
+      prefix: "message-recipient",
+      keyGenerator: recipientKey,
+      skip: lacksRecipient,
+    }
+  ),
+];
+
+/**
+ * Charge the pair and recipient limits once per inbox a message fans out to,
+ * as if each copy had been sent directly. Returns the recipient IDs still
+ * within both limits; copies to the others should be dropped.
+ */
+const chargeRecipientLimits = async (req, recipientIds) => {
+  const senderId = senderIdentity(req);
+  const allowed = [];
+
+  for (const recipientId of recipientIds) {
+    const checks = [
+      ["message-pair", toPairKey(senderId, recipientId), limits.messagePair],
+      [
+        "message-recipient",
+        toRecipientKey(recipientId),
+        limits.messageRecipient,
+      ],
+    ];
+
+    let withinLimits = true;
+    for (const [prefix, key, { windowMs, max }] of checks) {
+      rateLimitHits.inc({ limiter: prefix });
+      const { totalHits } = await rateLimitCounters.increment(
+        `${prefix}:${key}`,
+        windowMs
+      );
+      if (totalHits > max) {
+        rateLimitRejections.inc({ limiter: prefix });
+        withinLimits = false;
+      }
+    }
+
+    if (withinLimits) {
+      allowed.push(recipientId);
+    }
+  }
+
+  return allowed;
+};
 
 // CORS configuration for development
 const corsOptions = {
   origin: function (origin, callback) {
-    const allowedOrigins = [
-      "http://localhost:3000", // dev frontend
-      "https://tempsix-client.vercel.app", // deployed frontend — adjust this
-    ];
-
-    if (!origin || allowedOrigins.includes(origin)) {
+    if (!origin || config.cors.allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      console.log("❌ Blocked by CORS:", origin);
+      logger.warn("❌ Blocked by CORS", { origin });
       callback(new Error("Not allowed by CORS"));
     }
   },
@@ -40,7 +212,14 @@ const corsOptions = {
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
-  exposedHeaders: ["Content-Length", "X-Requested-With"],
+  exposedHeaders: [
+    "Content-Length",
+    "X-Requested-With",
+    "X-Request-Id",
+    "Deprecation",
+    "Sunset",
+    "Link",
+  ],
   maxAge: 86400, // 24 hours
 };
 
@@ -65,84 +244,466 @@ const securityMiddleware = [
 ];
 
 // Validation middleware
-const validateUserId = (req, res, next) => {
-  const id = req.params.userId || req.params.recipientId || req.params.id;
-  console.log("Validating ID:", id, "Params:", req.params);
-
-  if (!id || !/^\d{6}$/.test(id)) {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid user ID format. Must be exactly 6 digits.",
-      code: "INVALID_ID_FORMAT",
-    });
+const VALIDATED_LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Error code for a failed field - the meta({ code }) of the field or its
+ * nearest parent, if any
+ */
+const validationCode = (schema, path) => {
+  const keys = path.filter((key) => typeof key === "string");
+
+  for (let depth = keys.length; depth >= 0; depth--) {
+    try {
+      const field = depth > 0 ? schema.extract(keys.slice(0, depth)) : schema;
+      const meta = (field.describe().metas || []).find((item) => item.code);
+      if (meta) {
+        return meta.code;
+      }
+    } catch (error) {
+      // Not a declared key; try its parent
+    }
+  }
+
+  return null;
+};
+
+// Schema validation middleware - checks req.params, req.query and req.body
+// against Joi schemas ({ params, query, body }, see utils/schemas.js) and
+// replaces them with the validated values, so defaults and type coercion
+// (query strings to numbers and booleans) apply. Unknown fields are left
+// alone. Failures answer 400 listing every problem in details. The schemas
+// stay on the middleware for the OpenAPI generator.
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const details = [];
+    let code = null;
+
+    for (const location of VALIDATED_LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) {
+        continue;
+      }
+
+      const { value, error } = schema.validate(req[location] || {}, {
+        abortEarly: false,
+        allowUnknown: true,
+      });
+
+      if (!error) {
+        req[location] = value;
+        continue;
+      }
+
+      for (const detail of error.details) {
+        code = code || validationCode(schema, detail.path);
+        details.push({
+          location,
+          field: detail.path.join("."),
+          message: detail.message,
+        });
+      }
+    }
+
+    if (details.length > 0) {
+      return next(
+        new ValidationError(details[0].message, {
+          ...(code && { code }),
+          details,
+        })
+      );
+    }
+
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+// Read the session token from the Authorization header, falling back to the
+// body for sendBeacon requests and the query string for EventSource streams,
+// neither of which can set headers
+const extractToken = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+
+  if (req.body && typeof req.body.token === "string") {
+    return req.body.token;
+  }
+
+  const accept = req.headers.accept || "";
+  if (accept.includes("text/event-stream") && req.query.token) {
+    return String(req.query.token);
+  }
+
+  return null;
+};
+
+// Ownership middleware - only the holder of the ID's session token may pass.
+// getId picks the ID to check from the request and the user is set on
+// req[property]. Must run after validate has checked that ID. Unknown IDs
+// pass through with null so routes keep their own not-found / idempotent
+// handling.
+const authenticate =
+  (getId, property = "user") =>
+  async (req, res, next) => {
+    try {
+      const id = getId(req);
+      const token = extractToken(req);
+
+      if (!token) {
+        throw new AuthError("Session token required");
+      }
+
+      const user = await users.findById(id, { includeTokenHash: true });
+      if (!user) {
+        req[property] = null;
+        return next();
+      }
+
+      if (!verifyToken(token, user.tokenHash)) {
+        throw new ForbiddenError("Invalid session token for this ID", {
+          code: "INVALID_TOKEN",
+        });
+      }
+
+      req[property] = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Owner of the user ID in the route
+const authenticateUser = authenticate(
+  (req) => req.params.userId || req.params.recipientId || req.params.id
+);
+
+// Sender named by senderId in the body, set on req.sender with
+// req.senderVerified telling whether its session token was checked. Warnings
+// and per-sender limits only trust a verified sender ID.
+const authenticateSenderToken = authenticate(
+  (req) => req.body.senderId,
+  "sender"
+);
+
+// v2 sends and uploads - only the holder of the sender's session token
+const authenticateSender = (req, res, next) => {
+  req.senderVerified = true;
+  authenticateSenderToken(req, res, next);
+};
+
+// v1 and unversioned sends and uploads, which stay public: a token is
+// checked when one is sent, otherwise the sender ID is just looked up
+const identifySender = async (req, res, next) => {
+  if (extractToken(req)) {
+    return authenticateSender(req, res, next);
   }
+
+  try {
+    req.sender = await users.findById(req.body.senderId);
+    req.senderVerified = false;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bootstrap admin keys from the config, held only as SHA-256 hashes.
+// admin.apiKeyHashes takes hex digests; a plaintext admin.apiKey is still
+// accepted and hashed at startup. Further keys are issued through the admin
+// API and stored hashed.
+const envAdminKeyHashes = [
+  ...config.admin.apiKeyHashes,
+  ...(config.admin.apiKey ? [hashToken(config.admin.apiKey)] : []),
+];
+
+// Admin middleware - requires an X-Admin-Key header matching an environment
+// key or an unrevoked stored key. Requests without the header get a 404 so
+// the admin API is not advertised. Sets req.admin to { id, name }.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const key = req.headers["x-admin-key"];
+
+    if (!key) {
+      throw new NotFoundError("Route not found", {
+        data: { path: req.originalUrl },
+      });
+    }
+
+    if (envAdminKeyHashes.some((hash) => verifyToken(key, hash))) {
+      req.admin = { id: null, name: "env" };
+      return next();
+    }
+
+    const adminKey = await adminKeys.findByHash(hashToken(key));
+    if (!adminKey) {
+      throw new AuthError("Valid admin key required", {
+        code: "ADMIN_AUTH_REQUIRED",
+      });
+    }
+
+    await adminKeys.touch(adminKey._id);
+    req.admin = { id: adminKey._id, name: adminKey.name };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Active bans are cached briefly so requests don't each hit storage; other
+// instances pick up changes within this window
+const BAN_CACHE_MS = config.admin.banCacheMs;
+
+let banCache = null;
+
+/**
+ * Load active bans into a fingerprint set and an IP block list
+ */
+const loadBans = async () => {
+  if (banCache && Date.now() - banCache.loadedAt < BAN_CACHE_MS) {
+    return banCache;
+  }
+
+  const fingerprints = new Set();
+  const blockList = new net.BlockList();
+
+  for (const ban of await bans.listActive()) {
+    if (ban.type === "fingerprint") {
+      fingerprints.add(ban.value);
+    } else {
+      const [address, prefix] = ban.value.split("/");
+      blockList.addSubnet(
+        address,
+        Number(prefix),
+        net.isIPv6(address) ? "ipv6" : "ipv4"
+      );
+    }
+  }
+
+  banCache = { loadedAt: Date.now(), fingerprints, blockList };
+  return banCache;
+};
+
+/**
+ * Drop cached bans so the next request reloads them
+ */
+const clearBanCache = () => {
+  banCache = null;
+};
+
+// Ban middleware - refuses requests from banned IP ranges or fingerprints
+const rejectBanned = async (req, res, next) => {
+  try {
+    const { fingerprints, blockList } = await loadBans();
+
+    // IPv4 clients on a dual-stack socket show up as IPv4-mapped IPv6
+    const ip = (req.ip || "").replace(/^::ffff:(?=\d+\.)/, "");
+    const ipBanned =
+      net.isIP(ip) !== 0 &&
+      blockList.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+
+    const fingerprintBanned = fingerprints.has(createFingerprint(req));
+
+    if (ipBanned || fingerprintBanned) {
+      throw new ForbiddenError("Access denied", { code: "BANNED" });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deprecation middleware - marks responses from the unversioned /api alias
+// with Deprecation (RFC 9745) and Sunset (RFC 8594) headers and links to the
+// same request under /api/v1
+const deprecateUnversionedApi = (req, res, next) => {
+  res.set({
+    Deprecation: `@${Math.floor(config.api.unversionedDeprecatedAt / 1000)}`,
+    Sunset: config.api.unversionedSunset.toUTCString(),
+    Link: `<${req.originalUrl.replace(
+      /^\/api/,
+      "/api/v1"
+    )}>; rel="successor-version"`,
+  });
   next();
 };
 
-// Request logging middleware
+// Database availability middleware - while the database is disconnected,
+// refuse requests straight away instead of letting queries queue until they
+// time out. Must run before anything that touches storage.
+const requireDatabase = (req, res, next) => {
+  if (isConnected()) {
+    return next();
+  }
+
+  next(
+    new UnavailableError("Service temporarily unavailable", { retryAfter: 5 })
+  );
+};
+
+// Request logging middleware - gives every request an ID, returned in
+// X-Request-Id and attached to every log entry written while handling it,
+// and logs the outcome. A well-formed incoming X-Request-Id is kept so one ID
+// can be followed through proxies. Must run before the other middleware.
 const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.originalUrl;
-  const ip = req.ip || req.connection.remoteAddress;
+  const incoming = req.headers["x-request-id"];
+  req.id =
+    typeof incoming === "string" && /^[\w-]{8,64}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
 
-  console.log(`[${timestamp}] ${method} ${url} - IP: ${ip}`);
-  next();
+  const startedAt = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    // Route patterns keep IDs and tokens in the URL out of the logs
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path}`
+      : logger.redactsUserIds()
+      ? req.path.replace(/\/\d{6,12}(?=\/|$)/g, "/:id")
+      : req.path;
+
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ip: req.ip,
+    });
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
 };
 
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
-  console.error("Error occurred:", err);
+  // Expected errors carry their own status and client-facing message
+  if (err instanceof AppError) {
+    if (err.status >= 500) {
+      logger.warn("⚠️ Request failed", { status: err.status, code: err.code });
+    }
+
+    const data = err.retryAfter
+      ? { ...err.data, retryAfter: err.retryAfter }
+      : err.data;
+    if (err.retryAfter) {
+      res.set("Retry-After", String(err.retryAfter));
+    }
+
+    return res
+      .status(err.status)
+      .json(formatResponse(false, data, err.message, err.code, err.details));
+  }
+
+  // Malformed or oversized request bodies (express.json/urlencoded)
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          null,
+          "Request body is not valid JSON",
+          "INVALID_JSON"
+        )
+      );
+  }
+
+  if (err.type === "entity.too.large") {
+    return res
+      .status(413)
+      .json(
+        formatResponse(
+          false,
+          null,
+          "Request body too large",
+          "PAYLOAD_TOO_LARGE"
+        )
+      );
+  }
+
+  logger.error("💥 Unhandled error", { requestId: req.id, error: err });
 
   // Mongoose validation error
   if (err.name === "ValidationError") {
-    const errors = Object.values(err.errors).map((e) => e.message);
-    return res.status(400).json({
-      error: "Validation failed",
-      details: errors,
-      code: "VALIDATION_ERROR",
-    });
+    const details = Object.entries(err.errors).map(([field, error]) => ({
+      location: "body",
+      field,
+      message: error.message,
+    }));
+    return res
+      .status(400)
+      .json(
+        formatResponse(
+          false,
+          null,
+          "Validation failed",
+          "VALIDATION_ERROR",
+          details
+        )
+      );
   }
 
   // Mongoose duplicate key error
   if (err.code === 11000) {
-    return res.status(409).json({
-      error: "ID already exists",
-      code: "DUPLICATE_ID",
-    });
+    return res
+      .status(409)
+      .json(formatResponse(false, null, "ID already exists", "DUPLICATE_ID"));
   }
 
   // CORS error
   if (err.message === "Not allowed by CORS") {
-    return res.status(403).json({
-      error: "CORS policy violation",
-      code: "CORS_ERROR",
-    });
+    return res
+      .status(403)
+      .json(formatResponse(false, null, "CORS policy violation", "CORS_ERROR"));
   }
 
   // Default server error
-  res.status(500).json({
-    error: "Internal server error",
-    code: "INTERNAL_ERROR",
-  });
+  res
+    .status(500)
+    .json(
+      formatResponse(false, null, "Internal server error", "INTERNAL_ERROR")
+    );
 };
 
 // 404 handler
 const notFoundHandler = (req, res) => {
-  res.status(404).json({
-    error: "Route not found",
-    code: "NOT_FOUND",
-    path: req.originalUrl,
-  });
+  res
+    .status(404)
+    .json(
+      formatResponse(
+        false,
+        { path: req.originalUrl },
+        "Route not found",
+        "NOT_FOUND"
+      )
+    );
 };
 
 module.exports = {
   generalRateLimit,
   strictRateLimit,
+  attachmentRateLimit,
   messageRateLimit,
+  senderRateLimit,
+  chargeRecipientLimits,
   corsOptions,
   securityMiddleware,
-  validateUserId,
+  validate,
+  authenticateUser,
+  authenticateSender,
+  identifySender,
+  requireAdmin,
+  rejectBanned,
+  clearBanCache,
+  deprecateUnversionedApi,
+  requireDatabase,
   requestLogger,
   errorHandler,
   notFoundHandler,
@@ -1,4 +1,12 @@
 const mongoose = require("mongoose");
+const config = require("../config");
+
+// Block Schema - a sender ID or fingerprint a recipient refuses messages from
+const blockSchema = new mongoose.Schema({
+  type: { type: String, enum: ["sender", "fingerprint"], required: true },
+  value: { type: String, required: true }, // Sender ID or raw fingerprint
+  createdAt: { type: Date, default: Date.now },
+});
 
 // User Schema
 const userSchema = new mongoose.Schema(
@@ -27,12 +35,43 @@ const userSchema = new mongoose.Schema(
     },
     markedAt: { type: Date },
     deleteReason: { type: String },
+    // Expiry (in seconds) applied to messages sent to this user, null for none
+    defaultMessageExpiry: {
+      type: Number,
+      default: null,
+    },
+    // Whether senders see "read" in their outbox once messages are acknowledged
+    readReceipts: {
+      type: Boolean,
+      default: true,
+    },
+    blocks: {
+      type: [blockSchema],
+      default: [],
+    },
+    // SHA-256 of the session token issued with the ID; never returned by default
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    // Public key senders use to end-to-end encrypt messages to this user
+    publicKey: {
+      algorithm: { type: String },
+      key: { type: String },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Attachment reference - summary of a file held in the attachment store
+const attachmentRefSchema = new mongoose.Schema({
+  _id: { type: mongoose.Schema.Types.ObjectId, required: true }, // Attachment ID
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+});
+
 // Message Schema
 const messageSchema = new mongoose.Schema(
   {
@@ -51,9 +90,28 @@ const messageSchema = new mongoose.Schema(
     content: {
       type: String,
       required: true,
-      maxlength: 1000,
       trim: true,
+      validate: {
+        // Plaintext is capped at messages.maxLength, base64 ciphertext at
+        // messages.maxCiphertextLength
+        validator: function (value) {
+          return (
+            value.length <=
+            (this.encrypted
+              ? config.messages.maxCiphertextLength
+              : config.messages.maxLength)
+          );
+        },
+        message: "Message content is too long",
+      },
     },
+    // End-to-end encryption envelope - when set, content is base64 ciphertext
+    encrypted: {
+      type: Boolean,
+      default: false,
+    },
+    algorithm: { type: String },
+    nonce: { type: String },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -68,14 +126,238 @@ const messageSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
-    // Remove markedForDeletion fields from Message schema since messages
-    // are hard deleted immediately
+    // Whether senderId was proven by its session token (v1 sends may only
+    // claim it)
+    senderVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Delivery lease - a fetched message stays hidden until leasedUntil and is
+    // only deleted once the recipient acknowledges it. isRead marks messages
+    // that have been delivered at least once.
+    leaseId: {
+      type: String,
+      index: true,
+    },
+    leasedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Anonymous replies - replyToken lets the recipient answer without
+    // learning senderId; absent when the sender disabled replies
+    replyToken: { type: String },
+    replyTo: { type: mongoose.Schema.Types.ObjectId }, // Parent message
+    threadId: { type: mongoose.Schema.Types.ObjectId, index: true }, // Root message
+    // Files uploaded to the attachment store; deleted with the message
+    attachments: {
+      type: [attachmentRefSchema],
+      default: undefined,
+    },
+    // Sender's outbox entry this message reports its delivery status to
+    outboxId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Group inbox this copy was fanned out from; recipientId is the member
+    groupId: {
+      type: String,
+      match: /^\d{6,12}$/,
+      index: true,
+    },
+    // IDs of moderation rules that flagged this message
+    moderationFlags: {
+      type: [String],
+      default: undefined,
+    },
+    // Self-destruct time; removed by the TTL index and never returned after
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Group Member Schema - a user's role in a group inbox
+const groupMemberSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, match: /^\d{6}$/ },
+    role: {
+      type: String,
+      enum: ["owner", "admin", "member"],
+      default: "member",
+    },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Pending invite to a group; the user becomes a member only by accepting
+const groupInviteSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, match: /^\d{6}$/ },
+    role: { type: String, enum: ["admin", "member"], default: "member" },
+    invitedBy: { type: String, required: true },
+    invitedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Group Schema - an inbox shared by several IDs; messages sent to it are
+// fanned out to every member
+const groupSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^\d{6,12}$/,
+    },
+    name: { type: String, trim: true, maxlength: 50 },
+    members: [groupMemberSchema],
+    invites: [groupInviteSchema],
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Outbox Entry Schema - delivery status of a sent message, kept after the
+// message itself is acknowledged, expires or is cleaned up
+const outboxEntrySchema = new mongoose.Schema({
+  senderId: { type: String, required: true, match: /^\d{6}$/ },
+  recipientId: { type: String, required: true }, // User or group ID
+  groupId: { type: String },
+  replyTo: { type: mongoose.Schema.Types.ObjectId }, // Replies hide recipientId
+  threadId: { type: mongoose.Schema.Types.ObjectId },
+  content: { type: String }, // Plaintext preview, removed once delivered, expired or deleted
+  attachmentCount: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ["queued", "delivered", "read", "recipient_gone"],
+    default: "queued",
+  },
+  timestamp: { type: Date, default: Date.now }, // When it was sent
+  deliveredAt: { type: Date },
+  readAt: { type: Date },
+  expiresAt: { type: Date, default: null },
+});
+
+// Admin Key Schema - hashed API keys for the admin router
+const adminKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 50 },
+  keyHash: { type: String, required: true, unique: true },
+  createdBy: { type: String }, // Name of the key that created this one
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+});
+
+// Ban Schema - fingerprints or IP ranges refused by every API route
+const banSchema = new mongoose.Schema({
+  type: { type: String, enum: ["fingerprint", "ip"], required: true },
+  value: { type: String, required: true }, // Fingerprint hash or CIDR range
+  reason: { type: String, trim: true, maxlength: 200 },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null },
+});
+
+// Report Schema - a quarantined copy of a message its recipient reported,
+// kept for moderator review after the message itself is gone
+const reportSchema = new mongoose.Schema({
+  messageId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reporterId: { type: String, required: true, match: /^\d{6}$/ },
+  senderId: { type: String, required: true, match: /^\d{6}$/ },
+  senderFingerprint: { type: String },
+  senderVerified: { type: Boolean, default: true }, // Warnings only follow a verified senderId
+  groupId: { type: String },
+  content: { type: String, required: true },
+  encrypted: { type: Boolean, default: false },
+  plaintext: { type: String, maxlength: config.messages.maxLength }, // Reporter's decryption of an encrypted message
+  attachments: {
+    type: [{ _id: false, contentType: String, size: Number }],
+    default: undefined,
+  }, // Metadata only - the files go with the message
+  moderationFlags: { type: [String], default: undefined },
+  sentAt: { type: Date },
+  reason: {
+    type: String,
+    enum: ["spam", "harassment", "threat", "sexual", "other"],
+    required: true,
+  },
+  details: { type: String, trim: true, maxlength: 500 },
+  status: {
+    type: String,
+    enum: ["open", "dismissed", "warned", "banned"],
+    default: "open",
+  },
+  resolvedBy: { type: String }, // Admin key name
+  resolvedAt: { type: Date },
+  resolutionNote: { type: String, trim: true, maxlength: 500 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }, // Report retention
+});
+
+// Audit Log Schema - one entry per admin API request
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  admin: { type: String, required: true }, // Admin key name
+  target: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },
+  statusCode: { type: Number },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Lock Schema - a named lease so only one instance runs a job at a time
+const lockSchema = new mongoose.Schema({
+  _id: { type: String }, // Lock name
+  owner: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+// ID Reservation Schema - users and groups share one ID namespace; every ID
+// is reserved here before its user or group is created, so the unique _id
+// settles races between the two collections
+const idReservationSchema = new mongoose.Schema({
+  _id: { type: String }, // User or group ID
+  kind: { type: String, enum: ["user", "group"], required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Job Run Schema - results of each background job run for the admin API
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  instanceId: { type: String, required: true },
+  status: { type: String, enum: ["success", "failed"], required: true },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date, required: true },
+  durationMs: { type: Number, required: true },
+  results: { type: mongoose.Schema.Types.Mixed, default: {} },
+  error: { type: String },
+});
+
+// Reply Token Schema - routes a reply back to the original sender
+// Outlives the message itself, which is deleted once acknowledged
+const replyTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  messageId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  threadId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  senderId: { type: String, required: true }, // Receives the reply
+  recipientId: { type: String, required: true }, // May reply
+  expiresAt: { type: Date, required: true },
+});
+
+// Rate Limit Schema - shared hit counters so limits hold across instances
+const rateLimitSchema = new mongoose.Schema({
+  _id: { type: String }, // Limiter prefix + client key
+  hits: { type: Number, required: true },
+  resetAt: { type: Date, required: true },
+});
+
 // Indexes
 userSchema.index({ id: 1 });
 userSchema.index({ createdAt: -1 });
@@ -84,13 +366,72 @@ userSchema.index({ markedForDeletion: 1, markedAt: 1 }); // Add index for cleanu
 messageSchema.index({ recipientId: 1, timestamp: -1 });
 messageSchema.index({ timestamp: -1 });
 messageSchema.index({ recipientId: 1, isRead: 1 });
+messageSchema.index({ recipientId: 1, leasedUntil: 1 }); // Available-message lookups
 messageSchema.index({ senderId: 1, timestamp: -1 });
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL - Mongo deletes expired messages
+
+groupSchema.index({ "members.userId": 1 }); // Membership lookups
+groupSchema.index({ "invites.userId": 1 }); // Pending invite lookups
+
+outboxEntrySchema.index({ senderId: 1, timestamp: -1, _id: -1 });
+outboxEntrySchema.index({ recipientId: 1, status: 1 });
+outboxEntrySchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { content: { $exists: true } } }
+); // Previews of expired messages, cleared by the cleanup job
+outboxEntrySchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+); // Keep outbox history for 7 days
+
+banSchema.index({ type: 1, value: 1 }, { unique: true });
+banSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL - temporary bans lapse
+
+reportSchema.index({ messageId: 1, reporterId: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 }); // Review queue, oldest first
+reportSchema.index({ senderFingerprint: 1, status: 1, resolvedAt: -1 });
+reportSchema.index({ senderId: 1, status: 1, resolvedAt: -1 });
+reportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL - reports lapse after their retention
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Keep run history for 7 days
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 }); // TTL - drop counters after their window
+
+replyTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL - tokens lapse after their window
+replyTokenSchema.index({ senderId: 1 });
+replyTokenSchema.index({ recipientId: 1 });
 
 // Models
 const User = mongoose.model("User", userSchema);
 const Message = mongoose.model("Message", messageSchema);
+const Group = mongoose.model("Group", groupSchema);
+const OutboxEntry = mongoose.model("OutboxEntry", outboxEntrySchema);
+const AdminKey = mongoose.model("AdminKey", adminKeySchema);
+const Ban = mongoose.model("Ban", banSchema);
+const Report = mongoose.model("Report", reportSchema);
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+const Lock = mongoose.model("Lock", lockSchema);
+const IdReservation = mongoose.model("IdReservation", idReservationSchema);
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+const ReplyToken = mongoose.model("ReplyToken", replyTokenSchema);
 
 module.exports = {
   User,
   Message,
+  Group,
+  OutboxEntry,
+  AdminKey,
+  Ban,
+  Report,
+  AuditLog,
+  Lock,
+  IdReservation,
+  JobRun,
+  RateLimit,
+  ReplyToken,
 };
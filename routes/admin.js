@@ -0,0 +1,671 @@
+const express = require("express");
+const net = require("net");
+const router = express.Router();
+const config = require("../config");
+const {
+  users,
+  messages: messageStore,
+  outbox,
+  jobRuns,
+  adminKeys,
+  bans,
+  reports,
+  auditLogs,
+} = require("../storage");
+const {
+  formatResponse,
+  generateApiKey,
+  hashToken,
+  isValidMessageId,
+} = require("../utils/helpers");
+const { deleteUsers } = require("../utils/accounts");
+const {
+  REPORT_ACTIONS,
+  MAX_SENDER_WARNINGS,
+  getSenderWarnings,
+} = require("../utils/reports");
+const { JOB_NAME: CLEANUP_JOB, cleanupConfig } = require("../jobs/cleanup");
+const { requireAdmin, clearBanCache, validate } = require("../middleware");
+const schemas = require("../utils/schemas");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const logger = require("../utils/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cleanup result counters summed in the stats
+const CLEANUP_COUNTERS = [
+  "deletedUsers",
+  "deletedMessages",
+  "deletedGroups",
+  "deletedAttachments",
+  "markedUsers",
+];
+
+/**
+ * Record every admin request in the audit log once it has been answered
+ * Routes describe what they did through res.locals.audit
+ */
+const auditTrail = (req, res, next) => {
+  res.on("finish", () => {
+    const audit = res.locals.audit || {};
+
+    auditLogs
+      .record({
+        action: audit.action || `${req.method} ${req.baseUrl}${req.path}`,
+        admin: req.admin.name,
+        target: audit.target,
+        details: audit.details,
+        statusCode: res.statusCode,
+        ip: req.ip,
+      })
+      .catch((error) => {
+        logger.error("💥 Error writing audit log", { error });
+      });
+  });
+
+  next();
+};
+
+/**
+ * Parse an IP address or CIDR range into "address/prefix", or null
+ */
+const parseIpRange = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const [address, prefix, ...rest] = value.trim().split("/");
+  const version = net.isIP(address);
+  if (version === 0 || rest.length > 0) {
+    return null;
+  }
+
+  const maxPrefix = version === 6 ? 128 : 32;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) {
+    return null;
+  }
+
+  return `${address}/${bits}`;
+};
+
+// Every admin route requires an admin key and is audited
+router.use(requireAdmin);
+router.use(auditTrail);
+
+/**
+ * Aggregate service statistics
+ * GET /api/admin/stats
+ * Active users are those seen within the cleanup inactivity threshold;
+ * message counts come from sender outboxes, which outlive the messages.
+ */
+router.get("/stats", async (req, res, next) => {
+  try {
+    res.locals.audit = { action: "stats.view" };
+
+    const now = Date.now();
+    const dayAgo = new Date(now - 24 * HOUR_MS);
+
+    const [totalUsers, activeUsers, perHour, runs, openReports] =
+      await Promise.all([
+        users.count(),
+        users.countActiveSince(
+          new Date(now - cleanupConfig.inactivityThresholdMs)
+        ),
+        outbox.countByHour(dayAgo),
+        jobRuns.list({ job: CLEANUP_JOB, limit: 100 }),
+        reports.count("open"),
+      ]);
+
+    const recentRuns = runs.filter((run) => run.startedAt >= dayAgo);
+    const totals = Object.fromEntries(
+      CLEANUP_COUNTERS.map((counter) => [
+        counter,
+        recentRuns.reduce(
+          (sum, run) => sum + ((run.results && run.results[counter]) || 0),
+          0
+        ),
+      ])
+    );
+
+    res.json(
+      formatResponse(true, {
+        users: {
+          total: totalUsers,
+          active: activeUsers,
+          activeWithinMs: cleanupConfig.inactivityThresholdMs,
+        },
+        messages: {
+          last24h: perHour.reduce((sum, hour) => sum + hour.count, 0),
+          perHour,
+        },
+        reports: { open: openReports },
+        cleanup: {
+          lastRun: runs[0] || null,
+          last24h: {
+            runs: recentRuns.length,
+            failed: recentRuns.filter((run) => run.status === "failed").length,
+            ...totals,
+          },
+        },
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List recent background job runs
+ * GET /api/admin/jobs/runs?job=cleanup&limit=20
+ */
+router.get(
+  "/jobs/runs",
+  validate(schemas.listJobRuns),
+  async (req, res, next) => {
+    try {
+      const { job, limit } = req.query;
+
+      res.locals.audit = { action: "jobs.runs.view" };
+
+      const runs = await jobRuns.list({ job, limit });
+
+      res.json(formatResponse(true, { runs }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Force-delete a user and all of their data
+ * DELETE /api/admin/users/:userId
+ */
+router.delete(
+  "/users/:userId",
+  validate(schemas.adminUser),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      res.locals.audit = { action: "user.delete", target: userId };
+
+      if (!(await users.exists(userId))) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const deleted = await deleteUsers([userId]);
+      res.locals.audit.details = deleted;
+
+      logger.info("🛡️ Admin force-deleted user", {
+        admin: req.admin.name,
+        userId,
+      });
+
+      res.json(formatResponse(true, { userId, ...deleted }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Check a regular expression for a quantified group that itself contains a
+ * quantifier, like (a+)+ or (\w*x?)*, which can backtrack exponentially
+ */
+const hasNestedQuantifier = (pattern) => {
+  // Whether each open group, innermost last, contains a quantifier
+  const groups = [false];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "\\") {
+      i++;
+    } else if (inClass) {
+      inClass = char !== "]";
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(false);
+      // (?:, (?= and friends - that ? is not a quantifier
+      if (pattern[i + 1] === "?") {
+        i++;
+      }
+    } else if (char === ")") {
+      if (groups.pop()) {
+        if (["*", "+", "{"].includes(pattern[i + 1])) {
+          return true;
+        }
+        groups[groups.length - 1] = true;
+      }
+    } else if ("*+?{".includes(char)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Delete plaintext messages whose content matches a pattern
+ * POST /api/admin/messages/purge
+ * Body: { pattern: string, caseSensitive?: boolean, dryRun?: boolean }
+ * The pattern is a regular expression of at most 100 characters without
+ * nested quantifiers; encrypted messages are never matched. Messages are
+ * scanned in batches of admin.purgeBatchSize. Set dryRun to only count
+ * matches.
+ */
+router.post(
+  "/messages/purge",
+  validate(schemas.purgeMessages),
+  async (req, res, next) => {
+    try {
+      const { pattern, caseSensitive, dryRun } = req.body;
+
+      res.locals.audit = {
+        action: "messages.purge",
+        details: { pattern, caseSensitive, dryRun },
+      };
+
+      let regex;
+      try {
+        regex = new RegExp(pattern, caseSensitive ? "" : "i");
+      } catch (error) {
+        throw new ValidationError(`Invalid pattern: ${error.message}`, {
+          code: "INVALID_PATTERN",
+        });
+      }
+
+      if (hasNestedQuantifier(pattern)) {
+        throw new ValidationError(
+          "Invalid pattern: nested quantifiers are not allowed",
+          { code: "INVALID_PATTERN" }
+        );
+      }
+
+      const options = { batchSize: config.admin.purgeBatchSize };
+      const count = dryRun
+        ? await messageStore.countMatching(regex, options)
+        : await messageStore.deleteMatching(regex, options);
+      res.locals.audit.details.count = count;
+
+      if (!dryRun) {
+        logger.info("🛡️ Admin purged messages", {
+          admin: req.admin.name,
+          pattern,
+          count,
+        });
+      }
+
+      res.json(
+        formatResponse(true, {
+          pattern,
+          dryRun,
+          [dryRun ? "matched" : "deleted"]: count,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List active bans
+ * GET /api/admin/bans
+ */
+router.get("/bans", async (req, res, next) => {
+  try {
+    res.locals.audit = { action: "bans.view" };
+
+    res.json(formatResponse(true, { bans: await bans.listActive() }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Ban a fingerprint or an IP range from every API route
+ * POST /api/admin/bans
+ * Body: { type: "fingerprint" | "ip", value: string, reason?: string,
+ *         expiresIn?: number (seconds) }
+ * IP values may be a single address or a CIDR range (203.0.113.0/24)
+ */
+router.post("/bans", validate(schemas.createBan), async (req, res, next) => {
+  try {
+    const { type, value, reason, expiresIn } = req.body;
+
+    res.locals.audit = { action: "ban.create", target: value };
+
+    let normalized = null;
+    if (type === "fingerprint") {
+      normalized = /^[a-f0-9]{64}$/.test(value) ? value : null;
+    } else if (type === "ip") {
+      normalized = parseIpRange(value);
+    }
+
+    if (!normalized) {
+      throw new ValidationError(
+        "type must be fingerprint (64 hex characters) or ip (address or CIDR range)",
+        { code: "INVALID_BAN" }
+      );
+    }
+
+    const ban = await bans.create({
+      type,
+      value: normalized,
+      reason,
+      createdBy: req.admin.name,
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+    });
+    clearBanCache();
+
+    res.locals.audit.target = normalized;
+    logger.info("🛡️ Admin added ban", {
+      admin: req.admin.name,
+      type,
+      [type === "ip" ? "ip" : "fingerprint"]: normalized,
+    });
+
+    res.status(201).json(formatResponse(true, { ban }));
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(
+        new ConflictError("Already banned", { code: "ALREADY_BANNED" })
+      );
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * Lift a ban
+ * DELETE /api/admin/bans/:banId
+ */
+router.delete("/bans/:banId", async (req, res, next) => {
+  try {
+    const { banId } = req.params;
+
+    res.locals.audit = { action: "ban.remove", target: banId };
+
+    const removed = isValidMessageId(banId) ? await bans.remove(banId) : 0;
+    if (!removed) {
+      throw new NotFoundError("Ban not found", { code: "BAN_NOT_FOUND" });
+    }
+    clearBanCache();
+
+    res.json(formatResponse(true, { banId, removed: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Ban a reported fingerprint, treating an existing ban as success
+ */
+const banFingerprint = async (
+  fingerprint,
+  { reason, createdBy, expiresAt }
+) => {
+  try {
+    await bans.create({
+      type: "fingerprint",
+      value: fingerprint,
+      reason,
+      createdBy,
+      expiresAt,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  clearBanCache();
+};
+
+/**
+ * Review queue of abuse reports
+ * GET /api/admin/reports?status=open&limit=50
+ * Oldest first; status is open, dismissed, warned or banned
+ */
+router.get(
+  "/reports",
+  validate(schemas.listReports),
+  async (req, res, next) => {
+    try {
+      const { status, limit } = req.query;
+
+      res.locals.audit = { action: "reports.view" };
+
+      const [entries, open] = await Promise.all([
+        reports.list({ status, limit }),
+        reports.count("open"),
+      ]);
+
+      res.json(formatResponse(true, { reports: entries, open }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * A single report with the sender's warning history
+ * GET /api/admin/reports/:reportId
+ */
+router.get("/reports/:reportId", async (req, res, next) => {
+  try {
+    const { reportId } = req.params;
+
+    res.locals.audit = { action: "report.view", target: reportId };
+
+    const report = isValidMessageId(reportId)
+      ? await reports.findById(reportId)
+      : null;
+    if (!report) {
+      throw new NotFoundError("Report not found", { code: "REPORT_NOT_FOUND" });
+    }
+
+    const warnings = await getSenderWarnings(report.senderId, [
+      report.senderFingerprint,
+    ]);
+
+    res.json(formatResponse(true, { report, senderWarnings: warnings.length }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resolve an open report
+ * POST /api/admin/reports/:reportId/resolve
+ * Body: { action: "dismiss" | "warn" | "ban", note?: string,
+ *         expiresIn?: number (seconds, ban only) }
+ * A warning stops the sender sending for a cooldown; the sender's
+ * MAX_SENDER_WARNINGS-th warning bans their fingerprint instead.
+ */
+router.post(
+  "/reports/:reportId/resolve",
+  validate(schemas.resolveReport),
+  async (req, res, next) => {
+    try {
+      const { reportId } = req.params;
+      const { action, note, expiresIn } = req.body;
+
+      res.locals.audit = {
+        action: "report.resolve",
+        target: reportId,
+        details: { action },
+      };
+
+      const existing = isValidMessageId(reportId)
+        ? await reports.findById(reportId)
+        : null;
+      if (!existing) {
+        throw new NotFoundError("Report not found", {
+          code: "REPORT_NOT_FOUND",
+        });
+      }
+
+      if (action === "ban" && !existing.senderFingerprint) {
+        throw new ValidationError(
+          "The reported message has no sender fingerprint to ban",
+          { code: "NO_FINGERPRINT" }
+        );
+      }
+
+      const report = await reports.resolve(reportId, {
+        status: REPORT_ACTIONS[action],
+        resolvedBy: req.admin.name,
+        resolutionNote: note,
+      });
+      if (!report) {
+        throw new ConflictError("Report is already resolved", {
+          code: "REPORT_ALREADY_RESOLVED",
+        });
+      }
+
+      let escalated = false;
+      if (action === "ban") {
+        await banFingerprint(report.senderFingerprint, {
+          reason: `Report ${reportId}: ${report.reason}`,
+          createdBy: req.admin.name,
+          expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+        });
+      } else if (action === "warn" && report.senderFingerprint) {
+        const warnings = await getSenderWarnings(report.senderId, [
+          report.senderFingerprint,
+        ]);
+        if (warnings.length >= MAX_SENDER_WARNINGS) {
+          await banFingerprint(report.senderFingerprint, {
+            reason: `${warnings.length} warnings`,
+            createdBy: req.admin.name,
+            expiresAt: null,
+          });
+          escalated = true;
+        }
+      }
+
+      res.locals.audit.details.escalated = escalated;
+      logger.info("🚩 Admin resolved report", {
+        admin: req.admin.name,
+        reportId,
+        status: report.status,
+        escalated,
+      });
+
+      res.json(formatResponse(true, { report, escalated }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * List admin keys (hashes are never returned)
+ * GET /api/admin/keys
+ */
+router.get("/keys", async (req, res, next) => {
+  try {
+    res.locals.audit = { action: "keys.view" };
+
+    res.json(formatResponse(true, { keys: await adminKeys.list() }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Issue a new admin key - the key itself is only returned here
+ * POST /api/admin/keys
+ * Body: { name: string }
+ */
+router.post(
+  "/keys",
+  validate(schemas.createAdminKey),
+  async (req, res, next) => {
+    try {
+      const { name } = req.body;
+
+      res.locals.audit = { action: "key.create", target: name };
+
+      const key = generateApiKey();
+      const adminKey = await adminKeys.create({
+        name,
+        keyHash: hashToken(key),
+        createdBy: req.admin.name,
+      });
+
+      logger.info("🔑 Admin issued admin key", {
+        admin: req.admin.name,
+        name,
+      });
+
+      res.status(201).json(
+        formatResponse(true, {
+          id: adminKey._id,
+          name: adminKey.name,
+          key,
+          createdAt: adminKey.createdAt,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Revoke an admin key
+ * DELETE /api/admin/keys/:keyId
+ */
+router.delete("/keys/:keyId", async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+
+    res.locals.audit = { action: "key.revoke", target: keyId };
+
+    const revoked = isValidMessageId(keyId)
+      ? await adminKeys.revoke(keyId)
+      : false;
+    if (!revoked) {
+      throw new NotFoundError("Admin key not found", { code: "KEY_NOT_FOUND" });
+    }
+
+    logger.info("🔑 Admin revoked admin key", {
+      admin: req.admin.name,
+      keyId,
+    });
+
+    res.json(formatResponse(true, { keyId, revoked: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Recent admin actions
+ * GET /api/admin/audit?action=user.delete&limit=50
+ */
+router.get("/audit", validate(schemas.listAuditLog), async (req, res, next) => {
+  try {
+    const { action, limit } = req.query;
+
+    res.locals.audit = { action: "audit.view" };
+
+    res.json(
+      formatResponse(true, { entries: await auditLogs.list({ action, limit }) })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,544 +1,1339 @@
 const express = require("express");
 const router = express.Router();
-const { User, Message } = require("../models");
 const {
-  generateUniqueId,
+  users,
+  groups,
+  messages: messageStore,
+  attachments: attachmentStore,
+  outbox,
+  replyTokens,
+} = require("../storage");
+const {
+  createWithUniqueId,
   isIdAvailable,
-  isValidId,
   createFingerprint,
   formatResponse,
   validateMessage,
   generateCustomId,
+  generateSessionToken,
+  generateReplyToken,
+  REPLY_TOKEN_TTL_MS,
+  generateLeaseId,
+  hashToken,
+  MESSAGE_LEASE_MS,
+  resolveExpiresAt,
+  MAX_BLOCKS_PER_USER,
+  isSenderBlocked,
+  formatBlock,
+  formatOutboxEntry,
+  encodeCursor,
+  decodeCursor,
+  validatePublicKey,
 } = require("../utils/helpers");
 const {
   strictRateLimit,
   messageRateLimit,
-  validateUserId,
+  senderRateLimit,
+  chargeRecipientLimits,
+  validate,
+  authenticateUser,
+  identifySender,
 } = require("../middleware");
+const schemas = require("../utils/schemas");
+const {
+  AppError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+} = require("../utils/errors");
+const { deleteUsers } = require("../utils/accounts");
+const { getSendingRestriction } = require("../utils/reports");
+const { messagesSent, messagesFetched } = require("../utils/metrics");
+const logger = require("../utils/logger");
+const { subscribe, publish, isConnected } = require("../utils/realtime");
+
+/**
+ * Public key sent along with a new ID, either as { publicKey: { algorithm,
+ * key } } or as { publicKey: key, algorithm }
+ * Returns the validated key, or undefined when none was sent
+ */
+const creationPublicKey = ({ publicKey, algorithm } = {}) => {
+  if (publicKey === undefined) {
+    return undefined;
+  }
+
+  const keyValidation = validatePublicKey(
+    typeof publicKey === "string" ? { algorithm, key: publicKey } : publicKey
+  );
+  if (!keyValidation.valid) {
+    throw new ValidationError(keyValidation.error, {
+      code: "INVALID_PUBLIC_KEY",
+    });
+  }
+  return keyValidation.publicKey;
+};
 
 /**
  * Generate a random unique 6-digit ID
  * GET /api/generate-id
+ * POST /api/generate-id
+ * Body (POST, optional): { publicKey?: string, algorithm?: string } to
+ * register a public key for end-to-end encrypted messages right away
  */
-router.get("/generate-id", strictRateLimit, async (req, res) => {
+const generateId = async (req, res, next) => {
   try {
-    const id = await generateUniqueId();
+    const publicKey = creationPublicKey(req.body);
+    const token = generateSessionToken();
 
-    // Create user in database
-    const user = new User({ id });
-    await user.save();
+    // Create user in database (only the token hash is stored)
+    const { id } = await createWithUniqueId((userId) =>
+      users.create({ id: userId, tokenHash: hashToken(token), publicKey })
+    );
 
-    console.log(`✅ Generated new user ID: ${id}`);
+    logger.info("✅ Generated new user ID", { userId: id });
 
-    res.json(formatResponse(true, { id }));
+    res.json(formatResponse(true, { id, token }));
   } catch (error) {
-    console.error("Error generating ID:", error);
-
-    if (error.message.includes("Unable to generate unique ID")) {
-      return res
-        .status(503)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Service temporarily unavailable. Please try again.",
-            "SERVICE_UNAVAILABLE"
-          )
-        );
-    }
-
-    res
-      .status(500)
-      .json(
-        formatResponse(false, null, "Failed to generate ID", "GENERATION_ERROR")
-      );
+    next(error);
   }
-});
+};
+
+router.get("/generate-id", strictRateLimit, generateId);
+router.post(
+  "/generate-id",
+  strictRateLimit,
+  validate(schemas.generateId),
+  generateId
+);
 
 /**
  * Check if a specific ID is available
  * GET /api/check-id/:id
  */
-router.get("/check-id/:id", validateUserId, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const available = await isIdAvailable(id);
+router.get(
+  "/check-id/:id",
+  validate(schemas.checkId),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const available = await isIdAvailable(id);
 
-    res.json(formatResponse(true, { available, id }));
-  } catch (error) {
-    console.error("Error checking ID availability:", error);
-    res
-      .status(500)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "Failed to check ID availability",
-          "CHECK_ERROR"
-        )
-      );
+      res.json(formatResponse(true, { available, id }));
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
- * Send a message to a user
- * POST /api/messages/send
+ * Store a message, issue its reply token and push it to any open stream
+ * sender is the authenticated user, so replies can only ever be routed back
+ * to whoever proved they own the sending ID. The reply token is skipped when
+ * the sender disabled replies.
  */
-router.post("/messages/send", messageRateLimit, async (req, res) => {
-  try {
-    const { senderId, recipientId, content, senderFingerprint } = req.body;
-
-    // Validation
-    if (!senderId || !recipientId || !content) {
-      return res
-        .status(400)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Missing required fields: senderId, recipientId, and content are required",
-            "INVALID_REQUEST"
-          )
-        );
+const storeAndDeliver = async (data, { sender, allowReplies = true }) => {
+  const replyToken = allowReplies ? generateReplyToken() : undefined;
+  const message = await messageStore.create({
+    ...data,
+    senderId: sender.id,
+    replyToken,
+  });
+  messagesSent.inc({
+    kind: message.groupId ? "group" : message.replyTo ? "reply" : "direct",
+  });
+
+  if (message.attachments) {
+    await attachmentStore.link(
+      message.attachments.map((attachment) => attachment._id),
+      {
+        messageId: message._id,
+        recipientId: message.recipientId,
+        uploaderId: message.senderId,
+      }
+    );
+  }
+
+  if (replyToken) {
+    await replyTokens.create({
+      tokenHash: hashToken(replyToken),
+      messageId: message._id,
+      threadId: message.threadId || message._id,
+      senderId: message.senderId,
+      recipientId: message.recipientId,
+      expiresAt: new Date(Date.now() + REPLY_TOKEN_TTL_MS),
+    });
+  }
+
+  // Update recipient's last active time
+  await users.touch(message.recipientId);
+
+  // Push to any open stream under a lease; the client acks it like a fetch.
+  // The lease is only stored once a stream took the message, so one that
+  // reached nobody stays visible to the next fetch.
+  let delivered = false;
+  if (isConnected(message.recipientId)) {
+    const leaseId = generateLeaseId();
+    const leaseExpiresAt = new Date(Date.now() + MESSAGE_LEASE_MS);
+
+    // Same fields a fetch returns - senderId stays private
+    delivered =
+      publish(message.recipientId, {
+        _id: message._id,
+        recipientId: message.recipientId,
+        content: message.content,
+        encrypted: message.encrypted,
+        algorithm: message.algorithm,
+        nonce: message.nonce,
+        attachments: message.attachments,
+        replyToken: message.replyToken,
+        replyTo: message.replyTo,
+        threadId: message.threadId,
+        timestamp: message.timestamp,
+        expiresAt: message.expiresAt,
+        isRead: true,
+        leaseId,
+        leaseExpiresAt,
+      }) > 0;
+
+    if (delivered) {
+      await messageStore.lease(message._id, { leaseId, leaseExpiresAt });
+      messagesFetched.inc({ channel: "stream" });
+      logger.debug("📡 Streamed message", {
+        recipientId: message.recipientId,
+      });
     }
+  }
 
-    // Validate ID format (6 digits)
-    if (!isValidId(senderId) || !isValidId(recipientId)) {
-      return res
-        .status(400)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Both senderId and recipientId must be exactly 6 digits",
-            "INVALID_ID"
-          )
-        );
+  return { message, delivered };
+};
+
+/**
+ * Members of a group a message can reach - everyone except the sender,
+ * deleted users and members who blocked the sender
+ */
+const groupRecipients = async (group, sender, fingerprints) => {
+  const recipients = [];
+
+  for (const member of group.members) {
+    if (member.userId === sender.id) {
+      continue;
+    }
+
+    const recipient = await users.findById(member.userId);
+    if (recipient && !isSenderBlocked(recipient, sender.id, fingerprints)) {
+      recipients.push(recipient);
     }
+  }
+
+  return recipients;
+};
+
+/**
+ * Fan a message out to the given members of a group
+ * Each copy follows its member's default expiry
+ */
+const fanOutToGroup = async (
+  group,
+  recipients,
+  data,
+  { sender, expirySeconds, allowReplies }
+) => {
+  const copies = [];
+  let delivered = false;
+
+  for (const recipient of recipients) {
+    const result = await storeAndDeliver(
+      {
+        ...data,
+        recipientId: recipient.id,
+        groupId: group.id,
+        expiresAt: resolveExpiresAt(
+          expirySeconds,
+          recipient.defaultMessageExpiry
+        ),
+      },
+      { sender, allowReplies }
+    );
+
+    copies.push(result.message);
+    delivered = delivered || result.delivered;
+  }
+
+  return { copies, delivered };
+};
+
+/**
+ * Send a message to a user or a group inbox
+ * POST /api/messages/send
+ * Set encrypted: true with algorithm and nonce to send base64 ciphertext
+ * encrypted to the recipient's registered public key
+ * Set expiresIn (seconds) to self-destruct the message if it is not read
+ * Set allowReplies: false to withhold the reply token from the recipient
+ * A group ID as recipientId delivers a copy to every member
+ * Pass attachments: [id] with IDs from POST /api/attachments to attach files
+ * Public on v1 - a session token for senderId is checked when one is sent,
+ * and warnings and per-sender limits only trust a checked sender. v2 requires
+ * it (routes/v2.js).
+ */
+const sendMessage = async (req, res, next) => {
+  try {
+    const {
+      senderId,
+      recipientId,
+      content,
+      encrypted,
+      algorithm,
+      nonce,
+      expiresIn,
+      allowReplies,
+      attachments: attachmentIds,
+    } = req.body;
 
     // Check if sender is trying to send to themselves
     if (senderId === recipientId) {
-      return res
-        .status(400)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Cannot send message to yourself",
-            "INVALID_RECIPIENT"
-          )
-        );
+      throw new ValidationError("Cannot send message to yourself", {
+        code: "INVALID_RECIPIENT",
+      });
     }
 
-    // Validate message content
-    const messageValidation = validateMessage(content);
+    // Validate message content (envelope structure only when encrypted)
+    const messageValidation = validateMessage(content, {
+      encrypted,
+      algorithm,
+      nonce,
+    });
     if (!messageValidation.valid) {
-      return res
-        .status(400)
-        .json(
-          formatResponse(
-            false,
-            null,
-            messageValidation.error,
-            "INVALID_MESSAGE"
-          )
-        );
+      throw new ValidationError(messageValidation.error, {
+        code: messageValidation.code || "INVALID_MESSAGE",
+        ...(messageValidation.rule && {
+          data: { rule: messageValidation.rule },
+        }),
+      });
     }
 
-    // Check if both users exist
-    const [sender, recipient] = await Promise.all([
-      User.findOne({ id: senderId }),
-      User.findOne({ id: recipientId }),
+    // Check if the sender (resolved by identifySender) and the recipient
+    // user or group exist
+    const [recipient, group] = await Promise.all([
+      users.findById(recipientId),
+      groups.findById(recipientId),
     ]);
 
-    if (!sender) {
-      return res
-        .status(404)
-        .json(
-          formatResponse(false, null, "Sender not found", "SENDER_NOT_FOUND")
-        );
+    if (!req.sender) {
+      throw new NotFoundError("Sender not found", {
+        code: "SENDER_NOT_FOUND",
+      });
+    }
+
+    if (!recipient && !group) {
+      throw new NotFoundError("Recipient not found", {
+        code: "RECIPIENT_NOT_FOUND",
+      });
+    }
+
+    // Always computed here - a fingerprint taken from the request body
+    // would let blocked or banned senders pick a fresh one
+    const fingerprint = createFingerprint(req);
+    const fingerprints = [fingerprint];
+
+    // Senders warned by a moderator sit out a cooldown
+    const restrictedUntil = await getSendingRestriction(senderId, fingerprints);
+    if (restrictedUntil) {
+      throw new ForbiddenError(
+        "Sending is restricted after a moderator warning",
+        { code: "SENDING_RESTRICTED", data: { restrictedUntil } }
+      );
+    }
+
+    // Attachments must be this sender's uploads and not sent before. Checked
+    // ahead of blocks so a blocked sender gets the same errors as anyone.
+    const uploads = await Promise.all(
+      attachmentIds.map((id) => attachmentStore.findById(id))
+    );
+    if (
+      uploads.some(
+        (upload) =>
+          !upload || upload.uploaderId !== senderId || upload.messageId
+      )
+    ) {
+      throw new ValidationError("Attachment not found or already sent", {
+        code: "INVALID_ATTACHMENT",
+      });
     }
 
-    if (!recipient) {
-      return res
-        .status(404)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Recipient not found",
-            "RECIPIENT_NOT_FOUND"
-          )
+    if (group) {
+      // Each attachment belongs to a single message, so copies can't share one
+      if (uploads.length > 0) {
+        throw new ValidationError("Attachments cannot be sent to a group", {
+          code: "GROUP_ATTACHMENTS_UNSUPPORTED",
+        });
+      }
+
+      // Members hold separate keys, so there is no single key to encrypt to
+      if (encrypted) {
+        throw new ValidationError(
+          "Encrypted messages cannot be sent to a group",
+          { code: "GROUP_ENCRYPTION_UNSUPPORTED" }
+        );
+      }
+
+      // Each copy counts against the pair and recipient limits like a
+      // direct send. Copies over a limit are dropped; only when every
+      // reachable member is over one does the sender hear about it.
+      const reachable = await groupRecipients(group, req.sender, fingerprints);
+      const allowedIds = await chargeRecipientLimits(
+        req,
+        reachable.map((recipient) => recipient.id)
+      );
+      if (reachable.length > 0 && allowedIds.length === 0) {
+        throw new RateLimitedError(
+          "Too many requests, please try again later."
         );
+      }
+      const recipients = reachable.filter((recipient) =>
+        allowedIds.includes(recipient.id)
+      );
+
+      // One outbox entry covers every copy; it reports the furthest any got.
+      // With no copies to deliver there is nothing to preview.
+      const entry = await outbox.create({
+        senderId,
+        recipientId: group.id,
+        groupId: group.id,
+        ...(recipients.length > 0 && {
+          content: messageValidation.content,
+        }),
+        expiresAt: resolveExpiresAt(expiresIn, null),
+      });
+
+      const { copies, delivered } = await fanOutToGroup(
+        group,
+        recipients,
+        {
+          outboxId: entry._id,
+          content: messageValidation.content,
+          senderFingerprint: fingerprint,
+          senderVerified: req.senderVerified,
+          ...(messageValidation.flags.length > 0 && {
+            moderationFlags: messageValidation.flags,
+          }),
+        },
+        { sender: req.sender, expirySeconds: expiresIn, allowReplies }
+      );
+
+      logger.info("📨 Message sent to group", {
+        senderId,
+        groupId: recipientId,
+        copies: copies.length,
+      });
+
+      // Blocked copies are dropped silently, so the response never says how
+      // many members received it
+      return res.status(201).json(
+        formatResponse(true, {
+          id: entry._id,
+          groupId: group.id,
+          timestamp: entry.timestamp,
+          delivered,
+          success: "Message sent successfully",
+        })
+      );
     }
 
-    // Create message
-    const message = new Message({
+    const expiresAt = resolveExpiresAt(
+      expiresIn,
+      recipient.defaultMessageExpiry
+    );
+
+    // Sender's outbox entry; its ID is the message ID reported back
+    const outboxEntry = {
       senderId,
       recipientId,
-      content: messageValidation.content,
-      senderFingerprint: senderFingerprint || createFingerprint(req),
-    });
+      attachmentCount: uploads.length,
+      expiresAt,
+    };
+
+    // Silently drop messages from blocked senders so the sender can't tell -
+    // the outbox entry just stays queued, without keeping the content
+    if (isSenderBlocked(recipient, senderId, fingerprints)) {
+      logger.info("🚫 Dropped message from blocked sender", { recipientId });
 
-    await message.save();
+      const entry = await outbox.create(outboxEntry);
 
-    // Update recipient's last active time
-    await User.findOneAndUpdate(
-      { id: recipientId },
-      { lastActive: new Date() }
+      return res.status(201).json(
+        formatResponse(true, {
+          id: entry._id,
+          timestamp: entry.timestamp,
+          expiresAt: entry.expiresAt,
+          delivered: false,
+          success: "Message sent successfully",
+        })
+      );
+    }
+
+    // Ciphertext must target the recipient's registered key scheme
+    if (encrypted) {
+      const recipientKey = recipient.publicKey || {};
+
+      if (!recipientKey.key) {
+        throw new ConflictError("Recipient has not registered a public key", {
+          code: "RECIPIENT_NO_PUBLIC_KEY",
+        });
+      }
+
+      if (recipientKey.algorithm !== algorithm) {
+        throw new ValidationError(
+          `Recipient expects ${recipientKey.algorithm} ciphertext`,
+          { code: "ALGORITHM_MISMATCH" }
+        );
+      }
+    }
+
+    const entry = await outbox.create({
+      ...outboxEntry,
+      ...(!encrypted && { content: messageValidation.content }),
+    });
+
+    // Create and deliver message
+    const { message, delivered } = await storeAndDeliver(
+      {
+        _id: entry._id,
+        outboxId: entry._id,
+        recipientId,
+        content: messageValidation.content,
+        senderFingerprint: fingerprint,
+        senderVerified: req.senderVerified,
+        ...(messageValidation.flags.length > 0 && {
+          moderationFlags: messageValidation.flags,
+        }),
+        ...(encrypted && { encrypted: true, algorithm, nonce }),
+        ...(uploads.length > 0 && {
+          attachments: uploads.map(({ _id, contentType, size }) => ({
+            _id,
+            contentType,
+            size,
+          })),
+        }),
+        expiresAt,
+      },
+      { sender: req.sender, allowReplies }
     );
 
-    console.log(`📨 Message sent from ${senderId} to ${recipientId}`);
+    logger.info("📨 Message sent", { senderId, recipientId });
 
     res.status(201).json(
       formatResponse(true, {
         id: message._id,
         timestamp: message.timestamp,
+        expiresAt: message.expiresAt,
+        delivered,
         success: "Message sent successfully",
       })
     );
   } catch (error) {
-    console.error("Error sending message:", error);
-
-    if (error.name === "ValidationError") {
-      return res
-        .status(400)
-        .json(
-          formatResponse(
-            false,
-            null,
-            "Validation error: " + error.message,
-            "VALIDATION_ERROR"
-          )
-        );
-    }
-
-    res
-      .status(500)
-      .json(
-        formatResponse(false, null, "Failed to send message", "SEND_ERROR")
-      );
+    next(error);
   }
-});
+};
+
+router.post(
+  "/messages/send",
+  messageRateLimit,
+  validate(schemas.sendMessage),
+  identifySender,
+  senderRateLimit,
+  sendMessage
+);
 
 /**
  * Get messages for a specific recipient
- * GET /api/messages/:recipientId
+ * GET /api/messages/:recipientId?cursor=&direction=forward|backward&limit=&groupId=
+ * Requires the recipient's session token
+ * Group messages arrive in each member's own inbox tagged with groupId; pass
+ * groupId to fetch only one group's messages
+ * Pages are newest first. Pass nextCursor with direction=forward for older
+ * messages, or prevCursor with direction=backward for newer ones.
+ * Returned messages are leased, not deleted - acknowledge them via
+ * POST /api/messages/:recipientId/ack or they reappear after the lease expires
  */
-router.get("/messages/:recipientId", validateUserId, async (req, res) => {
-  try {
-    const { recipientId } = req.params;
-    const { page = 1, limit = 20, unread } = req.query;
-
-    // Check if recipient exists
-    const recipient = await User.findOne({ id: recipientId });
-    if (!recipient) {
-      return res
-        .status(404)
-        .json(
-          formatResponse(false, null, "Recipient not found", "USER_NOT_FOUND")
-        );
+router.get(
+  "/messages/:recipientId",
+  validate(schemas.getMessages),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { recipientId } = req.params;
+      const { cursor, direction, limit, unread, groupId } = req.query;
+
+      // Check if recipient exists (resolved by authenticateUser)
+      const recipient = req.user;
+      if (!recipient) {
+        throw new NotFoundError("Recipient not found", {
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      const position = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !position) {
+        throw new ValidationError("Invalid cursor", { code: "INVALID_CURSOR" });
+      }
+
+      // Claim a page of available messages
+      const { messages, leaseId, leaseExpiresAt, hasMore } =
+        await messageStore.claim(recipientId, {
+          cursor: position,
+          direction,
+          limit,
+          unread,
+          groupId,
+          leaseMs: MESSAGE_LEASE_MS,
+        });
+
+      // Update recipient's last active time
+      await users.touch(recipientId);
+
+      messagesFetched.inc({ channel: "fetch" }, messages.length);
+      logger.info("📨 Leased messages", {
+        recipientId,
+        count: messages.length,
+      });
+
+      // Cursors point at the oldest/newest message of this page. With an empty
+      // page the request cursor is echoed so clients can keep polling from it.
+      const newest = messages[0];
+      const oldest = messages[messages.length - 1];
+      const pagination = {
+        nextCursor:
+          direction === "forward"
+            ? hasMore
+              ? encodeCursor(oldest)
+              : null
+            : oldest
+            ? encodeCursor(oldest)
+            : cursor || null,
+        prevCursor: newest ? encodeCursor(newest) : cursor || null,
+        hasMore,
+        direction,
+        limit,
+      };
+
+      res.json(
+        formatResponse(true, {
+          messages,
+          pagination,
+          unreadCount: !unread
+            ? await messageStore.countUnread(recipientId, { groupId })
+            : undefined,
+          leaseId,
+          leaseExpiresAt,
+        })
+      );
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+/**
+ * Acknowledge delivered messages so they are deleted
+ * POST /api/messages/:recipientId/ack
+ * Body: { leaseId: string, messageIds?: string[] }
+ * Only messages still held under that lease are deleted - all of them, or
+ * just the listed ones. A message whose lease expired and was handed out
+ * again can only be acknowledged under its new lease.
+ * Requires the recipient's session token
+ */
+router.post(
+  "/messages/:recipientId/ack",
+  validate(schemas.ackMessages),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { recipientId } = req.params;
+      const { messageIds, leaseId } = req.body;
+
+      if (!req.user) {
+        throw new NotFoundError("Recipient not found", {
+          code: "USER_NOT_FOUND",
+        });
+      }
 
-    // Build query
-    const query = { recipientId };
-    if (unread === "true") {
-      query.isRead = false;
+      const deletedCount = await messageStore.acknowledge(recipientId, {
+        messageIds,
+        leaseId,
+        readReceipts: req.user.readReceipts !== false,
+      });
+
+      logger.info("✅ Acknowledged messages", {
+        recipientId,
+        count: deletedCount,
+      });
+
+      res.json(formatResponse(true, { acknowledged: deletedCount }));
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Get messages with pagination
-    const [messages, totalMessages] = await Promise.all([
-      Message.find(query)
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .select("-senderFingerprint")
-        .lean(),
-      Message.countDocuments(query),
-    ]);
+/**
+ * Reply anonymously to a received message
+ * POST /api/messages/:recipientId/replies
+ * Body: { replyToken, content, allowReplies?, expiresIn? }
+ * Requires the session token of the user who received the original message.
+ * The reply is routed to the original sender without revealing their ID.
+ * Each reply token works once; the reply carries a fresh token for the
+ * other side unless allowReplies is false.
+ */
+router.post(
+  "/messages/:recipientId/replies",
+  messageRateLimit,
+  validate(schemas.reply),
+  authenticateUser,
+  senderRateLimit,
+  async (req, res, next) => {
+    try {
+      const { recipientId } = req.params;
+      const { replyToken, content, allowReplies, expiresIn } = req.body;
 
-    // Store message IDs for deletion
-    const messageIds = messages.map((msg) => msg._id);
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
 
-    // Update recipient's last active time
-    await User.findOneAndUpdate(
-      { id: recipientId },
-      { lastActive: new Date() }
-    );
+      const messageValidation = validateMessage(content);
+      if (!messageValidation.valid) {
+        throw new ValidationError(messageValidation.error, {
+          code: messageValidation.code || "INVALID_MESSAGE",
+          ...(messageValidation.rule && {
+            data: { rule: messageValidation.rule },
+          }),
+        });
+      }
 
-    // Delete retrieved messages
-    await Message.deleteMany({ _id: { $in: messageIds } });
+      // Tokens only work for the inbox they were delivered to, which
+      // authenticateUser has just proved the replier owns
+      const route = await replyTokens.findByHash(hashToken(replyToken));
+      if (!route || route.recipientId !== recipientId) {
+        throw new NotFoundError("Reply token is invalid or expired", {
+          code: "INVALID_REPLY_TOKEN",
+        });
+      }
 
-    console.log(
-      `📨 Retrieved and deleted ${messages.length} messages for user ${recipientId}`
-    );
+      const originalSender = await users.findById(route.senderId);
+      if (!originalSender) {
+        throw new AppError("The original sender is no longer available", {
+          status: 410,
+          code: "SENDER_GONE",
+        });
+      }
 
-    // Format pagination metadata (adjusted for deleted messages)
-    const remainingMessages = totalMessages - messages.length;
-    const pagination = {
-      currentPage: parseInt(page),
-      totalPages: Math.ceil(remainingMessages / parseInt(limit)),
-      totalMessages: remainingMessages,
-      hasMore: skip + messages.length < totalMessages,
-      limit: parseInt(limit),
-    };
+      const fingerprint = createFingerprint(req);
+      const fingerprints = [fingerprint];
 
-    res.json(
-      formatResponse(true, {
-        messages,
-        pagination,
-        unreadCount:
-          unread !== "true"
-            ? await Message.countDocuments({ recipientId, isRead: false })
-            : undefined,
-        deletedCount: messages.length,
-      })
-    );
-  } catch (error) {
-    console.error("Error fetching and deleting messages:", error);
-    res
-      .status(500)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "Failed to process messages",
-          "PROCESS_ERROR"
-        )
+      const restrictedUntil = await getSendingRestriction(
+        recipientId,
+        fingerprints
       );
+      if (restrictedUntil) {
+        throw new ForbiddenError(
+          "Sending is restricted after a moderator warning",
+          { code: "SENDING_RESTRICTED", data: { restrictedUntil } }
+        );
+      }
+
+      // Spend the token last, so a rejected reply can be retried with it.
+      // Of two replies racing on one token only the first gets it.
+      if (!(await replyTokens.consume(route.tokenHash, recipientId))) {
+        throw new NotFoundError("Reply token is invalid or expired", {
+          code: "INVALID_REPLY_TOKEN",
+        });
+      }
+
+      // The original sender's block list applies to replies too
+      const blocked = isSenderBlocked(
+        originalSender,
+        recipientId,
+        fingerprints
+      );
+
+      // Replier's outbox entry; a blocked reply's entry just stays queued,
+      // without the content
+      const entry = await outbox.create({
+        senderId: recipientId,
+        recipientId: route.senderId,
+        replyTo: route.messageId,
+        threadId: route.threadId,
+        ...(!blocked && { content: messageValidation.content }),
+        expiresAt: resolveExpiresAt(
+          expiresIn,
+          originalSender.defaultMessageExpiry
+        ),
+      });
+
+      let delivered = false;
+
+      if (blocked) {
+        logger.info("🚫 Dropped reply from blocked sender", {
+          senderId: recipientId,
+        });
+      } else {
+        ({ delivered } = await storeAndDeliver(
+          {
+            _id: entry._id,
+            outboxId: entry._id,
+            recipientId: route.senderId,
+            content: messageValidation.content,
+            senderFingerprint: fingerprint,
+            senderVerified: true,
+            ...(messageValidation.flags.length > 0 && {
+              moderationFlags: messageValidation.flags,
+            }),
+            replyTo: route.messageId,
+            threadId: route.threadId,
+            expiresAt: entry.expiresAt,
+          },
+          { sender: req.user, allowReplies }
+        ));
+
+        logger.info("↩️ Reply sent", {
+          senderId: recipientId,
+          threadId: route.threadId,
+        });
+      }
+
+      res.status(201).json(
+        formatResponse(true, {
+          id: entry._id,
+          threadId: route.threadId,
+          replyTo: route.messageId,
+          timestamp: entry.timestamp,
+          expiresAt: entry.expiresAt,
+          delivered,
+          success: "Reply sent successfully",
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+/**
+ * Stream new messages for a recipient over Server-Sent Events
+ * GET /api/messages/:recipientId/stream
+ * Requires the recipient's session token (?token= for EventSource clients)
+ * An open stream counts as a heartbeat for the cleanup job
+ */
+router.get(
+  "/messages/:recipientId/stream",
+  validate(schemas.streamMessages),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { recipientId } = req.params;
+
+      if (!req.user) {
+        throw new NotFoundError("Recipient not found", {
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      await subscribe(recipientId, req, res);
+
+      logger.info("📡 Opened message stream", { recipientId });
+    } catch (error) {
+      // Once the stream is open the response can no longer carry an error
+      if (res.headersSent) {
+        logger.error("Error in message stream", { error });
+        return;
+      }
+      next(error);
+    }
+  }
+);
 
 /**
  * Delete a user and all their messages
  * DELETE /api/users/:userId
- * Now handles both JSON and FormData (for sendBeacon)
+ * Body (JSON, optional): { immediate?: boolean, reason?: string, token?: string }
+ * Requires the user's session token. sendBeacon can only POST, so clients
+ * cleaning up on page unload use fetch with keepalive instead:
+ *   fetch(url, { method: "DELETE", keepalive: true,
+ *     headers: { "Content-Type": "application/json" },
+ *     body: JSON.stringify({ immediate: true, reason: "unload", token }) })
  */
-router.delete("/users/:userId", validateUserId, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    let immediate = false;
-    let reason = "manual";
-
-    // Handle both JSON and FormData
-    if (req.body) {
-      if (req.body.immediate !== undefined) {
-        // JSON request
-        immediate = req.body.immediate;
-        reason = req.body.reason || "manual";
-      } else if (req.body.get) {
-        // FormData request (from sendBeacon)
-        immediate = req.body.get("immediate") === "true";
-        reason = req.body.get("reason") || "beacon";
+router.delete(
+  "/users/:userId",
+  validate(schemas.deleteUser),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { immediate, reason } = req.body;
+
+      logger.info("🗑️ Delete request", { userId, immediate, reason });
+
+      // Check if user exists (resolved by authenticateUser)
+      const user = req.user;
+      if (!user) {
+        // Return success even if user doesn't exist (idempotent cleanup)
+        return res.json(
+          formatResponse(true, {
+            userId,
+            deletedMessages: 0,
+            message: "User already deleted or never existed",
+            wasDeleted: false,
+            reason,
+          })
+        );
+      }
+
+      let deletedMessages = 0;
+
+      if (immediate) {
+        // Immediate deletion (for page unload, etc.)
+        ({ deletedMessages } = await deleteUsers([userId]));
+
+        logger.info("🗑️ Immediately deleted user", {
+          userId,
+          deletedMessages,
+          reason,
+        });
+
+        return res.json(
+          formatResponse(true, {
+            userId,
+            deletedMessages,
+            message: "User and associated data deleted immediately",
+            wasDeleted: true,
+            reason,
+          })
+        );
+      } else {
+        // Soft delete for graceful cleanup
+        await users.markForDeletion([userId], reason);
+
+        logger.info("🏷️ Marked user for deletion", { userId, reason });
+
+        return res.json(
+          formatResponse(true, {
+            userId,
+            deletedMessages: 0,
+            message: "User marked for deletion",
+            wasDeleted: false,
+            reason,
+          })
+        );
       }
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    console.log(
-      `🗑️ Delete request for user ${userId}, immediate: ${immediate}, reason: ${reason}`
-    );
+/**
+ * Update user's last active timestamp
+ * PUT /api/users/:userId/heartbeat
+ * Requires the user's session token
+ */
+router.put(
+  "/users/:userId/heartbeat",
+  validate(schemas.user),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
 
-    // Check if user exists
-    const user = await User.findOne({ id: userId });
-    if (!user) {
-      // Return success even if user doesn't exist (idempotent cleanup)
-      return res.json(
+      const user = await users.touch(userId);
+
+      if (!user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      res.json(
         formatResponse(true, {
           userId,
-          deletedMessages: 0,
-          message: "User already deleted or never existed",
-          wasDeleted: false,
-          reason,
+          lastActive: user.lastActive,
         })
       );
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    let deletedMessages = 0;
+/**
+ * Update the user's inbox settings
+ * PUT /api/users/:userId/settings
+ * Body: { defaultMessageExpiry?: seconds | null }
+ * Requires the user's session token
+ */
+router.put(
+  "/users/:userId/settings",
+  validate(schemas.updateSettings),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { defaultMessageExpiry, readReceipts } = req.body;
 
-    if (immediate) {
-      // Immediate deletion (for page unload, etc.)
-      const messageDeleteResult = await Message.deleteMany({
-        $or: [{ senderId: userId }, { recipientId: userId }],
-      });
-      deletedMessages = messageDeleteResult.deletedCount;
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
 
-      await User.deleteOne({ id: userId });
+      const updates = { lastActive: new Date() };
 
-      console.log(
-        `🗑️ Immediately deleted user ${userId} and ${deletedMessages} messages (reason: ${reason})`
-      );
+      if (defaultMessageExpiry !== undefined) {
+        updates.defaultMessageExpiry = defaultMessageExpiry;
+      }
 
-      return res.json(
+      if (readReceipts !== undefined) {
+        updates.readReceipts = readReceipts;
+      }
+
+      const user = await users.update(userId, updates);
+
+      logger.info("⚙️ Updated settings", { userId });
+
+      res.json(
         formatResponse(true, {
           userId,
-          deletedMessages,
-          message: "User and associated data deleted immediately",
-          wasDeleted: true,
-          reason,
+          settings: {
+            defaultMessageExpiry: user.defaultMessageExpiry,
+            readReceipts: user.readReceipts !== false,
+          },
         })
       );
-    } else {
-      // Soft delete for graceful cleanup
-      await User.findOneAndUpdate(
-        { id: userId },
-        {
-          markedForDeletion: true,
-          markedAt: new Date(),
-          deleteReason: reason,
-        }
-      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      console.log(`🏷️ Marked user ${userId} for deletion (reason: ${reason})`);
+/**
+ * List messages the user sent recently with their delivery status
+ * GET /api/users/:userId/outbox?cursor=&limit=
+ * Requires the user's session token
+ * Statuses: queued, delivered, read, expired, recipient_gone. "read" is only
+ * reported for recipients with read receipts on. Content is only shown while
+ * a message is still queued.
+ */
+router.get(
+  "/users/:userId/outbox",
+  validate(schemas.listOutbox),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { cursor, limit } = req.query;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const position = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !position) {
+        throw new ValidationError("Invalid cursor", { code: "INVALID_CURSOR" });
+      }
+
+      const { entries, hasMore } = await outbox.list(userId, {
+        cursor: position,
+        limit,
+      });
 
-      return res.json(
+      const now = new Date();
+      res.json(
         formatResponse(true, {
-          userId,
-          deletedMessages: 0,
-          message: "User marked for deletion",
-          wasDeleted: false,
-          reason,
+          messages: entries.map((entry) => formatOutboxEntry(entry, now)),
+          pagination: {
+            nextCursor: hasMore
+              ? encodeCursor(entries[entries.length - 1])
+              : null,
+            hasMore,
+            limit,
+          },
         })
       );
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    console.error("Error deleting user:", error);
+  }
+);
+
+/**
+ * List the user's blocked senders (fingerprints are never exposed)
+ * GET /api/users/:userId/blocks
+ * Requires the user's session token
+ */
+router.get(
+  "/users/:userId/blocks",
+  validate(schemas.user),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
 
-    // For beacon requests, always return success to avoid blocking
-    if (req.body && req.body.get && req.body.get("reason") === "beacon") {
-      return res.json(
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      res.json(
         formatResponse(true, {
-          message: "Cleanup request received with errors",
-          error: error.message,
+          userId,
+          blocks: (req.user.blocks || []).map(formatBlock),
         })
       );
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+/**
+ * Block a sender by ID, or block whoever sent one of your messages
+ * POST /api/users/:userId/blocks
+ * Body: { senderId } or { messageId } (resolves to the sender's fingerprint)
+ * Requires the user's session token
+ */
+router.post(
+  "/users/:userId/blocks",
+  validate(schemas.addBlock),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { senderId, messageId } = req.body;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      let block;
+      if (senderId !== undefined) {
+        if (senderId === userId) {
+          throw new ValidationError(
+            "senderId must be another user's 6-digit ID",
+            { code: "INVALID_ID" }
+          );
+        }
+        block = { type: "sender", value: senderId };
+      } else {
+        const message = await messageStore.findForRecipient(userId, messageId);
+        if (!message || !message.senderFingerprint) {
+          throw new NotFoundError(
+            "Message not found - acknowledged messages can no longer be used to block",
+            { code: "MESSAGE_NOT_FOUND" }
+          );
+        }
+        block = { type: "fingerprint", value: message.senderFingerprint };
+      }
+
+      // Blocking is idempotent
+      const blocks = req.user.blocks || [];
+      const existing = blocks.find(
+        (entry) => entry.type === block.type && entry.value === block.value
+      );
+      if (existing) {
+        return res.json(formatResponse(true, { block: formatBlock(existing) }));
+      }
 
-    // For regular requests, return proper error
-    res
-      .status(500)
-      .json(formatResponse(false, null, error.message, "DELETE_ERROR"));
+      if (blocks.length >= MAX_BLOCKS_PER_USER) {
+        throw new ConflictError(
+          `Block list is full (max ${MAX_BLOCKS_PER_USER})`,
+          { code: "BLOCK_LIST_FULL" }
+        );
+      }
+
+      const created = await users.addBlock(userId, block);
+
+      logger.info("🚫 Added block", { userId, type: block.type });
+
+      res
+        .status(201)
+        .json(formatResponse(true, { block: formatBlock(created) }));
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
- * Update user's last active timestamp
- * PUT /api/users/:userId/heartbeat
+ * Remove a block
+ * DELETE /api/users/:userId/blocks/:blockId
+ * Requires the user's session token
  */
-router.put("/users/:userId/heartbeat", validateUserId, async (req, res) => {
-  try {
-    const { userId } = req.params;
+router.delete(
+  "/users/:userId/blocks/:blockId",
+  validate(schemas.removeBlock),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId, blockId } = req.params;
 
-    const user = await User.findOneAndUpdate(
-      { id: userId },
-      { lastActive: new Date() },
-      { new: true }
-    );
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const removed = await users.removeBlock(userId, blockId);
+      if (!removed) {
+        throw new NotFoundError("Block not found", { code: "BLOCK_NOT_FOUND" });
+      }
 
-    if (!user) {
-      return res
-        .status(404)
-        .json(formatResponse(false, null, "User not found", "USER_NOT_FOUND"));
+      logger.info("✅ Removed block", { userId });
+
+      res.json(formatResponse(true, { removed: true, blockId }));
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    res.json(
-      formatResponse(true, {
-        userId,
-        lastActive: user.lastActive,
-      })
-    );
-  } catch (error) {
-    console.error("Error updating heartbeat:", error);
-    res
-      .status(500)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "Failed to update heartbeat",
-          "HEARTBEAT_ERROR"
-        )
+/**
+ * Register or replace the user's public key
+ * PUT /api/users/:userId/public-key
+ * Body: { publicKey: { algorithm, key } }
+ * Requires the user's session token
+ */
+router.put(
+  "/users/:userId/public-key",
+  validate(schemas.setPublicKey),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const keyValidation = validatePublicKey(req.body.publicKey);
+      if (!keyValidation.valid) {
+        throw new ValidationError(keyValidation.error, {
+          code: "INVALID_PUBLIC_KEY",
+        });
+      }
+
+      await users.update(userId, {
+        publicKey: keyValidation.publicKey,
+        lastActive: new Date(),
+      });
+
+      logger.info("🔑 Registered public key", { userId });
+
+      res.json(
+        formatResponse(true, { userId, publicKey: keyValidation.publicKey })
       );
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+/**
+ * Get a user's public key so senders can encrypt to them
+ * GET /api/users/:userId/public-key
+ */
+router.get(
+  "/users/:userId/public-key",
+  validate(schemas.user),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const user = await users.findById(userId);
+
+      if (!user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      if (!user.publicKey || !user.publicKey.key) {
+        throw new NotFoundError("User has not registered a public key", {
+          code: "PUBLIC_KEY_NOT_FOUND",
+        });
+      }
+
+      res.json(
+        formatResponse(true, {
+          userId,
+          publicKey: {
+            algorithm: user.publicKey.algorithm,
+            key: user.publicKey.key,
+          },
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 /**
  * Check if user still exists (for client validation)
  * GET /api/users/:userId/exists
  */
-router.get("/users/:userId/exists", validateUserId, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const user = await User.findOne({ id: userId });
+router.get(
+  "/users/:userId/exists",
+  validate(schemas.user),
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const exists = await users.exists(userId);
 
-    res.json(
-      formatResponse(true, {
-        exists: !!user,
-        userId,
-      })
-    );
-  } catch (error) {
-    console.error("Error checking user existence:", error);
-    res
-      .status(500)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "Failed to check user existence",
-          "CHECK_ERROR"
-        )
+      res.json(
+        formatResponse(true, {
+          exists,
+          userId,
+        })
       );
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * Generate custom ID if available and create user
  * POST /api/custom-id/:id
+ * Body (optional): { publicKey?: string, algorithm?: string }, or publicKey
+ * as { algorithm, key } like PUT public-key
  */
-router.post("/custom-id/:id", validateUserId, async (req, res) => {
-  try {
-    const { id } = req.params;
+router.post(
+  "/custom-id/:id",
+  validate(schemas.customId),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
 
-    // Check if ID is available using generateCustomId
-    const customId = await generateCustomId(id);
+      // Optional public key for end-to-end encrypted messages
+      const publicKey = creationPublicKey(req.body);
 
-    // Create user with custom ID
-    const user = new User({ id: customId });
-    await user.save();
+      // Check if ID is available using generateCustomId
+      const customId = await generateCustomId(id);
 
-    console.log(`✅ Created user with custom ID: ${customId}`);
+      const token = generateSessionToken();
 
-    res.json(formatResponse(true, { id: customId }));
-  } catch (error) {
-    console.error("Error generating custom ID:", error);
+      // Create user with custom ID (only the token hash is stored)
+      await users.create({
+        id: customId,
+        tokenHash: hashToken(token),
+        publicKey,
+      });
 
-    if (error.message === "ID already taken") {
-      return res
-        .status(409)
-        .json(formatResponse(false, null, "ID already taken", "ID_TAKEN"));
-    }
+      logger.info("✅ Created user with custom ID", { userId: customId });
 
-    if (error.message === "Invalid ID format") {
-      return res
-        .status(400)
-        .json(
-          formatResponse(false, null, "Invalid ID format", "INVALID_FORMAT")
+      res.json(formatResponse(true, { id: customId, token }));
+    } catch (error) {
+      // Claimed by someone else between the check and the insert
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("ID already taken", { code: "ID_TAKEN" })
         );
-    }
+      }
 
-    res
-      .status(500)
-      .json(
-        formatResponse(
-          false,
-          null,
-          "Failed to generate custom ID",
-          "GENERATION_ERROR"
-        )
-      );
+      next(error);
+    }
   }
-});
+);
 
 module.exports = router;
+// Shared with the v2 send route, which requires the sender's token
+module.exports.sendMessage = sendMessage;
@@ -0,0 +1,174 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const { attachments: attachmentStore } = require("../storage");
+const { formatResponse, isValidMessageId } = require("../utils/helpers");
+const {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_UPLOAD_TTL_MS,
+  processAttachment,
+} = require("../utils/attachments");
+const {
+  attachmentRateLimit,
+  validate,
+  authenticateUser,
+  identifySender,
+} = require("../middleware");
+const schemas = require("../utils/schemas");
+const { AppError, ValidationError, NotFoundError } = require("../utils/errors");
+const logger = require("../utils/logger");
+
+// Single "file" field held in memory for inspection before it is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1, fields: 5 },
+}).single("file");
+
+/**
+ * Parse a multipart upload, mapping multer's limit errors to AppErrors
+ */
+const parseUpload = (req, res, next) => {
+  // Busboy's callbacks lose the request's logging context
+  upload(
+    req,
+    res,
+    logger.bindContext((error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        return next(
+          error.code === "LIMIT_FILE_SIZE"
+            ? new AppError(
+                `Attachments are limited to ${MAX_ATTACHMENT_BYTES} bytes`,
+                { status: 413, code: "ATTACHMENT_TOO_LARGE" }
+              )
+            : new ValidationError(error.message, { code: "INVALID_UPLOAD" })
+        );
+      }
+
+      next(error);
+    })
+  );
+};
+
+/**
+ * Upload an attachment for a message that is about to be sent
+ * POST /api/attachments (multipart/form-data)
+ * Fields: senderId, file
+ * The file type is detected from its contents and images are stripped of
+ * metadata. Pass the returned ID in "attachments" when sending the message;
+ * uploads never attached to a message are deleted after an hour.
+ * Public on v1 like sending; v2 requires the sender's session token
+ */
+const uploadAttachment = async (req, res, next) => {
+  try {
+    const { senderId } = req.body;
+
+    if (!req.file) {
+      throw new ValidationError("A file field is required", {
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    if (!req.sender) {
+      throw new NotFoundError("Sender not found", {
+        code: "SENDER_NOT_FOUND",
+      });
+    }
+
+    const processed = processAttachment(req.file.buffer);
+    if (!processed.valid) {
+      throw new AppError(processed.error, {
+        status: processed.code === "ATTACHMENT_TOO_LARGE" ? 413 : 400,
+        code: processed.code,
+      });
+    }
+
+    const attachment = await attachmentStore.create({
+      buffer: processed.buffer,
+      contentType: processed.contentType,
+      uploaderId: senderId,
+    });
+
+    logger.info("📎 Stored attachment", {
+      contentType: attachment.contentType,
+      size: attachment.size,
+      senderId,
+    });
+
+    res.status(201).json(
+      formatResponse(true, {
+        id: attachment._id,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        attachBy: new Date(
+          attachment.createdAt.getTime() + ATTACHMENT_UPLOAD_TTL_MS
+        ),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post(
+  "/attachments",
+  attachmentRateLimit,
+  parseUpload,
+  validate(schemas.uploadAttachment),
+  identifySender,
+  uploadAttachment
+);
+
+/**
+ * Download an attachment of a received message
+ * GET /api/messages/:recipientId/attachments/:attachmentId
+ * Requires the recipient's session token
+ */
+router.get(
+  "/messages/:recipientId/attachments/:attachmentId",
+  validate(schemas.recipient),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { recipientId, attachmentId } = req.params;
+
+      const attachment =
+        req.user && isValidMessageId(attachmentId)
+          ? await attachmentStore.findById(attachmentId)
+          : null;
+
+      if (!attachment || attachment.recipientId !== recipientId) {
+        throw new NotFoundError("Attachment not found", {
+          code: "ATTACHMENT_NOT_FOUND",
+        });
+      }
+
+      const { image } = ATTACHMENT_TYPES[attachment.contentType] || {};
+
+      res.set({
+        "Content-Type": attachment.contentType,
+        "Content-Length": attachment.size,
+        "Content-Disposition": image ? "inline" : "attachment",
+        "Cache-Control": "private, no-store",
+      });
+
+      const stream = attachmentStore.openStream(attachment._id);
+      stream.on("error", (error) => {
+        logger.error("Error streaming attachment", { error });
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
+// Shared with the v2 upload route, which requires the sender's token
+module.exports.parseUpload = parseUpload;
+module.exports.uploadAttachment = uploadAttachment;
@@ -0,0 +1,59 @@
+const path = require("path");
+const express = require("express");
+const router = express.Router();
+const swaggerUiPath = require("swagger-ui-dist").getAbsoluteFSPath();
+
+// Swagger UI files the docs page loads, served from swagger-ui-dist
+const DOCS_ASSETS = ["swagger-ui.css", "swagger-ui-bundle.js"];
+
+// Scripts must come from our own origin (see the CSP in securityMiddleware),
+// so the page starts Swagger UI from a served file rather than inline
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Anonymous Messages API</title>
+    <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+    <script src="/api/docs/init.js"></script>
+  </body>
+</html>
+`;
+
+const DOCS_INIT = `window.ui = SwaggerUIBundle({
+  url: "/api/openapi.json",
+  dom_id: "#swagger-ui",
+});
+`;
+
+/**
+ * OpenAPI document, built by app.js once every router is mounted
+ * GET /api/openapi.json
+ */
+router.get("/api/openapi.json", (req, res) => {
+  res.json(req.app.locals.openapi);
+});
+
+/**
+ * Interactive API docs
+ * GET /api/docs
+ */
+router.get("/api/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+router.get("/api/docs/init.js", (req, res) => {
+  res.type("js").send(DOCS_INIT);
+});
+
+router.get("/api/docs/assets/:file", (req, res, next) => {
+  if (!DOCS_ASSETS.includes(req.params.file)) {
+    return next();
+  }
+  res.sendFile(path.join(swaggerUiPath, req.params.file), { maxAge: "1d" });
+});
+
+module.exports = router;
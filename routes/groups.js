@@ -0,0 +1,540 @@
+const express = require("express");
+const router = express.Router();
+const { users, groups, messages: messageStore, outbox } = require("../storage");
+const {
+  formatResponse,
+  isIdTaken,
+  createWithUniqueGroupId,
+  MAX_GROUP_MEMBERS,
+} = require("../utils/helpers");
+const {
+  strictRateLimit,
+  validate,
+  authenticateUser,
+} = require("../middleware");
+const schemas = require("../utils/schemas");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const logger = require("../utils/logger");
+
+/**
+ * The acting user's membership entry in a group, or undefined
+ */
+const membershipOf = (group, userId) => {
+  return group.members.find((member) => member.userId === userId);
+};
+
+/**
+ * A user's pending invite to a group, or undefined
+ */
+const inviteOf = (group, userId) => {
+  return (group.invites || []).find((invite) => invite.userId === userId);
+};
+
+/**
+ * Members and pending invites together, as counted against the size cap
+ */
+const seatsTaken = (group) => {
+  return group.members.length + (group.invites || []).length;
+};
+
+/**
+ * Check that the acting user is an owner or admin of a group
+ */
+const canManage = (membership) => {
+  return (
+    !!membership && (membership.role === "owner" || membership.role === "admin")
+  );
+};
+
+/**
+ * Public view of a group for one of its members
+ */
+const formatGroup = (group, userId) => ({
+  id: group.id,
+  name: group.name,
+  role: membershipOf(group, userId).role,
+  members: group.members.map(({ userId: memberId, role, joinedAt }) => ({
+    userId: memberId,
+    role,
+    joinedAt,
+  })),
+  invites: (group.invites || []).map(
+    ({ userId: inviteeId, role, invitedAt }) => ({
+      userId: inviteeId,
+      role,
+      invitedAt,
+    })
+  ),
+  createdAt: group.createdAt,
+});
+
+/**
+ * Resolve the authenticated user and the group they belong to, throwing
+ * NotFoundError when either is missing
+ */
+const loadMembership = async (req) => {
+  if (!req.user) {
+    throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+  }
+
+  const { userId, groupId } = req.params;
+
+  // Non-members get the same answer as for a missing group
+  const group = await groups.findById(groupId);
+  const membership = group && membershipOf(group, userId);
+  if (!membership) {
+    throw new NotFoundError("Group not found", { code: "GROUP_NOT_FOUND" });
+  }
+
+  return { group, membership };
+};
+
+/**
+ * List the groups a user belongs to and the invites waiting for an answer
+ * GET /api/users/:userId/groups
+ * Requires the user's session token
+ */
+router.get(
+  "/users/:userId/groups",
+  validate(schemas.user),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const [memberships, invited] = await Promise.all([
+        groups.listForMember(userId),
+        groups.listInvitesFor(userId),
+      ]);
+
+      res.json(
+        formatResponse(true, {
+          groups: memberships.map((group) => ({
+            id: group.id,
+            name: group.name,
+            role: membershipOf(group, userId).role,
+            memberCount: group.members.length,
+            createdAt: group.createdAt,
+          })),
+          invites: invited.map((group) => {
+            const { role, invitedBy, invitedAt } = inviteOf(group, userId);
+            return {
+              id: group.id,
+              name: group.name,
+              role,
+              invitedBy,
+              invitedAt,
+              memberCount: group.members.length,
+            };
+          }),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Create a group inbox owned by the user
+ * POST /api/users/:userId/groups
+ * Body: { id?: string (6-12 digits), name?: string, members?: string[] }
+ * The listed users are invited and only receive the group's messages once
+ * they accept
+ * Requires the user's session token
+ */
+router.post(
+  "/users/:userId/groups",
+  strictRateLimit,
+  validate(schemas.createGroup),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { id, name, members } = req.body;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const memberIds = [...new Set(members)].filter(
+        (memberId) => memberId !== userId
+      );
+      if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+        throw new ValidationError(
+          `A group can have at most ${MAX_GROUP_MEMBERS} members`,
+          { code: "GROUP_FULL" }
+        );
+      }
+
+      const existing = await Promise.all(memberIds.map(users.exists));
+      const missing = memberIds.filter((memberId, i) => !existing[i]);
+      if (missing.length > 0) {
+        throw new NotFoundError(`Users not found: ${missing.join(", ")}`, {
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      if (id !== undefined && (await isIdTaken(id))) {
+        throw new ConflictError("ID is already taken", { code: "ID_TAKEN" });
+      }
+
+      const now = new Date();
+      const create = (groupId) =>
+        groups.create({
+          id: groupId,
+          name,
+          members: [{ userId, role: "owner", joinedAt: now }],
+          invites: memberIds.map((memberId) => ({
+            userId: memberId,
+            role: "member",
+            invitedBy: userId,
+            invitedAt: now,
+          })),
+        });
+
+      const group =
+        id !== undefined
+          ? await create(id)
+          : await createWithUniqueGroupId(create);
+
+      logger.info("👥 Created group", { groupId: group.id, userId });
+
+      res.status(201).json(formatResponse(true, formatGroup(group, userId)));
+    } catch (error) {
+      // Claimed by someone else between the check and the insert
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("ID is already taken", { code: "ID_TAKEN" })
+        );
+      }
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get a group the user belongs to
+ * GET /api/users/:userId/groups/:groupId
+ * Requires the user's session token
+ */
+router.get(
+  "/users/:userId/groups/:groupId",
+  validate(schemas.group),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { group } = await loadMembership(req);
+
+      res.json(formatResponse(true, formatGroup(group, req.params.userId)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Accept an invite and join the group
+ * POST /api/users/:userId/groups/:groupId/accept
+ * Requires the invited user's session token
+ */
+router.post(
+  "/users/:userId/groups/:groupId/accept",
+  validate(schemas.group),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId, groupId } = req.params;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const group = await groups.acceptInvite(groupId, userId);
+      if (!group) {
+        throw new NotFoundError("Invite not found", {
+          code: "INVITE_NOT_FOUND",
+        });
+      }
+
+      logger.info("👥 Joined group", { groupId, userId });
+
+      res.json(formatResponse(true, formatGroup(group, userId)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Decline an invite
+ * DELETE /api/users/:userId/groups/:groupId/invite
+ * Requires the invited user's session token
+ */
+router.delete(
+  "/users/:userId/groups/:groupId/invite",
+  validate(schemas.group),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId, groupId } = req.params;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      if (!(await groups.removeInvite(groupId, userId))) {
+        throw new NotFoundError("Invite not found", {
+          code: "INVITE_NOT_FOUND",
+        });
+      }
+
+      res.json(formatResponse(true, { groupId, declined: true }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Invite a user to a group (owners and admins only)
+ * POST /api/users/:userId/groups/:groupId/members
+ * Body: { memberId: string, role?: "admin" | "member" }
+ * The user joins with that role once they accept the invite
+ * Requires the user's session token
+ */
+router.post(
+  "/users/:userId/groups/:groupId/members",
+  validate(schemas.addGroupMember),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { group, membership } = await loadMembership(req);
+      const { memberId, role } = req.body;
+
+      if (!canManage(membership)) {
+        throw new ForbiddenError("Only owners and admins can invite members", {
+          code: "FORBIDDEN",
+        });
+      }
+
+      // Only the owner hands out admin rights
+      if (role === "admin" && membership.role !== "owner") {
+        throw new ForbiddenError("Only the owner can invite admins", {
+          code: "FORBIDDEN",
+        });
+      }
+
+      if (membershipOf(group, memberId)) {
+        throw new ConflictError("User is already a member", {
+          code: "ALREADY_MEMBER",
+        });
+      }
+
+      if (inviteOf(group, memberId)) {
+        throw new ConflictError("User is already invited", {
+          code: "ALREADY_INVITED",
+        });
+      }
+
+      if (seatsTaken(group) >= MAX_GROUP_MEMBERS) {
+        throw new ValidationError(
+          `A group can have at most ${MAX_GROUP_MEMBERS} members`,
+          { code: "GROUP_FULL" }
+        );
+      }
+
+      if (!(await users.exists(memberId))) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const updated = await groups.invite(group.id, memberId, {
+        role,
+        invitedBy: req.params.userId,
+      });
+      if (!updated) {
+        throw new ConflictError("User is already a member or invited", {
+          code: "ALREADY_INVITED",
+        });
+      }
+
+      logger.info("✉️ Invited group member", { groupId: group.id, memberId });
+
+      res
+        .status(201)
+        .json(formatResponse(true, formatGroup(updated, req.params.userId)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Change a member's role (owner only)
+ * PUT /api/users/:userId/groups/:groupId/members/:memberId
+ * Body: { role: "owner" | "admin" | "member" }
+ * Making someone owner transfers ownership; the previous owner becomes admin
+ * Requires the user's session token
+ */
+router.put(
+  "/users/:userId/groups/:groupId/members/:memberId",
+  validate(schemas.setGroupRole),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { group, membership } = await loadMembership(req);
+      const { userId, memberId } = req.params;
+      const { role } = req.body;
+
+      if (membership.role !== "owner") {
+        throw new ForbiddenError("Only the owner can change roles", {
+          code: "FORBIDDEN",
+        });
+      }
+
+      if (memberId === userId || !membershipOf(group, memberId)) {
+        throw new NotFoundError("Member not found", {
+          code: "MEMBER_NOT_FOUND",
+        });
+      }
+
+      let updated = await groups.setRole(group.id, memberId, role);
+      if (role === "owner") {
+        updated = await groups.setRole(group.id, userId, "admin");
+        logger.info("👑 Transferred group", { groupId: group.id, memberId });
+      }
+
+      res.json(formatResponse(true, formatGroup(updated, userId)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove a member from a group, or leave it by removing yourself
+ * DELETE /api/users/:userId/groups/:groupId/members/:memberId
+ * Owners and admins withdraw pending invites the same way.
+ * Owners can remove anyone; admins only plain members. When the owner leaves,
+ * the longest-standing admin (or member) takes over. The last member leaving
+ * deletes the group and its messages.
+ * Requires the user's session token
+ */
+router.delete(
+  "/users/:userId/groups/:groupId/members/:memberId",
+  validate(schemas.groupMember),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { group, membership } = await loadMembership(req);
+      const { userId, memberId } = req.params;
+      const target = membershipOf(group, memberId);
+
+      if (!target && canManage(membership) && inviteOf(group, memberId)) {
+        await groups.removeInvite(group.id, memberId);
+
+        return res.json(
+          formatResponse(true, {
+            groupId: group.id,
+            memberId,
+            inviteWithdrawn: true,
+          })
+        );
+      }
+
+      if (!target) {
+        throw new NotFoundError("Member not found", {
+          code: "MEMBER_NOT_FOUND",
+        });
+      }
+
+      const leaving = memberId === userId;
+      const allowed =
+        leaving ||
+        membership.role === "owner" ||
+        (membership.role === "admin" && target.role === "member");
+      if (!allowed) {
+        throw new ForbiddenError("Not allowed to remove this member", {
+          code: "FORBIDDEN",
+        });
+      }
+
+      await groups.removeMembers([memberId], { groupId: group.id });
+
+      const emptyGroups = await groups.deleteEmpty();
+      const deletedMessages = await messageStore.deleteForGroups(emptyGroups);
+      const groupDeleted = emptyGroups.includes(group.id);
+      await outbox.markRecipientGone(emptyGroups);
+
+      logger.info("👥 Removed group member", {
+        groupId: group.id,
+        memberId,
+        groupDeleted,
+      });
+
+      res.json(
+        formatResponse(true, {
+          groupId: group.id,
+          memberId,
+          groupDeleted,
+          deletedMessages,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete a group and its messages (owner only)
+ * DELETE /api/users/:userId/groups/:groupId
+ * Requires the user's session token
+ */
+router.delete(
+  "/users/:userId/groups/:groupId",
+  validate(schemas.group),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { group, membership } = await loadMembership(req);
+
+      if (membership.role !== "owner") {
+        throw new ForbiddenError("Only the owner can delete the group", {
+          code: "FORBIDDEN",
+        });
+      }
+
+      await groups.deleteById(group.id);
+      const deletedMessages = await messageStore.deleteForGroups([group.id]);
+      await outbox.markRecipientGone([group.id]);
+
+      logger.info("🗑️ Deleted group", {
+        groupId: group.id,
+        deletedMessages,
+      });
+
+      res.json(
+        formatResponse(true, {
+          groupId: group.id,
+          deletedMessages,
+          wasDeleted: true,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
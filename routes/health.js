@@ -0,0 +1,102 @@
+const express = require("express");
+const router = express.Router();
+const storage = require("../storage");
+const { JOB_NAME: CLEANUP_JOB, cleanupConfig } = require("../jobs/cleanup");
+const { version } = require("../package.json");
+const { formatResponse } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Cleanup counts as stalled once this many intervals pass without a success
+const CLEANUP_STALE_INTERVALS = 3;
+
+/**
+ * Fields every status response carries
+ */
+const baseStatus = () => ({
+  version,
+  uptimeSeconds: Math.round(process.uptime()),
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Check the cleanup job has succeeded recently, on any instance
+ * A freshly started process gets a grace period before its first run
+ */
+const checkCleanup = async () => {
+  const runs = await storage.jobRuns.list({ job: CLEANUP_JOB, limit: 20 });
+  const lastSuccess = runs.find((run) => run.status === "success");
+  const staleAfterMs = cleanupConfig.intervalMs * CLEANUP_STALE_INTERVALS;
+
+  const lastSuccessAt = lastSuccess ? new Date(lastSuccess.finishedAt) : null;
+  const ok = lastSuccessAt
+    ? Date.now() - lastSuccessAt.getTime() <= staleAfterMs
+    : process.uptime() * 1000 <= staleAfterMs;
+
+  return {
+    ok,
+    lastSuccessAt,
+    lastRunStatus: runs[0] ? runs[0].status : null,
+  };
+};
+
+/**
+ * Liveness - the process is up and serving requests
+ * GET /health
+ */
+router.get("/health", (req, res) => {
+  res.json(formatResponse(true, { status: "ok", ...baseStatus() }));
+});
+
+/**
+ * Readiness - the database is connected and cleanup is keeping up
+ * GET /ready
+ * Answers 503 NOT_READY with the failing checks in data when not ready
+ */
+router.get("/ready", async (req, res) => {
+  const database = {
+    ok: storage.isConnected(),
+    driver: storage.driver,
+    state: storage.connectionState(),
+  };
+
+  let cleanup = { ok: false };
+  if (database.ok) {
+    try {
+      cleanup = await checkCleanup();
+    } catch (error) {
+      logger.error("Error checking cleanup job status", { error });
+    }
+  }
+
+  const ready = database.ok && cleanup.ok;
+
+  const status = {
+    status: ready ? "ready" : "not_ready",
+    checks: { database, cleanup },
+    ...baseStatus(),
+  };
+
+  if (!ready) {
+    return res
+      .status(503)
+      .json(formatResponse(false, status, "Service not ready", "NOT_READY"));
+  }
+
+  res.json(formatResponse(true, status));
+});
+
+/**
+ * Cheap warm-up for free-tier hosts that sleep when idle
+ * GET /wake
+ */
+router.get("/wake", (req, res) => {
+  res.json(
+    formatResponse(true, {
+      status: "awake",
+      database: storage.connectionState(),
+      ...baseStatus(),
+    })
+  );
+});
+
+module.exports = router;
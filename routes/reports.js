@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const { messages: messageStore, reports } = require("../storage");
+const { formatResponse } = require("../utils/helpers");
+const { REPORT_RETENTION_MS } = require("../utils/reports");
+const {
+  strictRateLimit,
+  validate,
+  authenticateUser,
+} = require("../middleware");
+const schemas = require("../utils/schemas");
+const { NotFoundError, ConflictError } = require("../utils/errors");
+const logger = require("../utils/logger");
+
+/**
+ * Report an abusive message
+ * POST /api/messages/:recipientId/reports
+ * Body: { messageId, reason, details?, plaintext? }
+ * Requires the recipient's session token. The message must still be held -
+ * fetched but not yet acknowledged. A copy including the sender is kept for
+ * moderators; the message itself is unaffected, so acknowledge it as usual.
+ * For encrypted messages, plaintext carries the reporter's decryption.
+ */
+router.post(
+  "/messages/:recipientId/reports",
+  strictRateLimit,
+  validate(schemas.createReport),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { recipientId } = req.params;
+      const { messageId, reason, details, plaintext } = req.body;
+
+      if (!req.user) {
+        throw new NotFoundError("Recipient not found", {
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      const message = await messageStore.findForRecipient(
+        recipientId,
+        messageId
+      );
+      if (!message) {
+        throw new NotFoundError(
+          "Message not found - acknowledged messages can no longer be reported",
+          { code: "MESSAGE_NOT_FOUND" }
+        );
+      }
+
+      const report = await reports.create({
+        messageId: message._id,
+        reporterId: recipientId,
+        senderId: message.senderId,
+        senderFingerprint: message.senderFingerprint,
+        senderVerified: message.senderVerified === true,
+        groupId: message.groupId,
+        content: message.content,
+        encrypted: message.encrypted === true,
+        plaintext: message.encrypted === true ? plaintext : undefined,
+        attachments: message.attachments
+          ? message.attachments.map(({ contentType, size }) => ({
+              contentType,
+              size,
+            }))
+          : undefined,
+        moderationFlags: message.moderationFlags,
+        sentAt: message.timestamp,
+        reason,
+        details,
+        expiresAt: new Date(Date.now() + REPORT_RETENTION_MS),
+      });
+
+      logger.info("🚩 Message reported", { reporterId: recipientId, reason });
+
+      res.status(201).json(
+        formatResponse(true, {
+          reportId: report._id,
+          status: report.status,
+          createdAt: report.createdAt,
+        })
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(
+          new ConflictError("Message already reported", {
+            code: "ALREADY_REPORTED",
+          })
+        );
+      }
+
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
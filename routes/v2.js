@@ -0,0 +1,82 @@
+const express = require("express");
+const router = express.Router();
+const { formatResponse } = require("../utils/helpers");
+const {
+  messageRateLimit,
+  senderRateLimit,
+  attachmentRateLimit,
+  validate,
+  authenticateUser,
+  authenticateSender,
+} = require("../middleware");
+const schemas = require("../utils/schemas");
+const { NotFoundError } = require("../utils/errors");
+const { deleteUsers } = require("../utils/accounts");
+const logger = require("../utils/logger");
+const { sendMessage } = require("./api");
+const { parseUpload, uploadAttachment } = require("./attachments");
+
+// Version 2 of the API, for changes that would break v1 clients. Routes
+// defined here replace their v1 counterparts under /api/v2; everything else
+// falls through to the v1 routers, so only the breaking changes live here.
+
+/**
+ * Delete a user and all their messages
+ * DELETE /api/v2/users/:userId
+ * Unlike v1 there is no soft delete - everything is gone when this answers -
+ * and an unknown ID is a 404 rather than a success
+ * Requires the user's session token (in the body as { token } for
+ * fetch keepalive requests)
+ */
+router.delete(
+  "/users/:userId",
+  validate(schemas.user),
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      if (!req.user) {
+        throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+      }
+
+      const { deletedMessages } = await deleteUsers([userId]);
+
+      logger.info("🗑️ Deleted user", { userId, deletedMessages });
+
+      res.json(formatResponse(true, { userId, deletedMessages }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Send a message to a user or a group inbox
+ * POST /api/v2/messages/send
+ * As v1, but the sender's session token is required
+ */
+router.post(
+  "/messages/send",
+  messageRateLimit,
+  validate(schemas.sendMessage),
+  authenticateSender,
+  senderRateLimit,
+  sendMessage
+);
+
+/**
+ * Upload a message attachment
+ * POST /api/v2/attachments (multipart/form-data)
+ * As v1, but the sender's session token is required
+ */
+router.post(
+  "/attachments",
+  attachmentRateLimit,
+  parseUpload,
+  validate(schemas.uploadAttachment),
+  authenticateSender,
+  uploadAttachment
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const config = require("../config");
+
+// Storage backend selection. Set STORAGE_DRIVER=memory to run without MongoDB.
+const drivers = {
+  mongo: () => require("./mongo"),
+  memory: () => require("./memory"),
+};
+
+module.exports = drivers[config.storage.driver]();
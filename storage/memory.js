@@ -0,0 +1,1298 @@
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { Types } = require("mongoose");
+const logger = require("../utils/logger");
+
+// In-memory storage backend for local demos and offline tests.
+// Mirrors the MongoDB repositories, including lease expiry, keyset
+// pagination order and cleanup queries. Data is lost when the process exits.
+
+// Run history kept in memory, newest last
+const MAX_JOB_RUNS = 100;
+
+// Audit entries kept in memory, newest last
+const MAX_AUDIT_LOGS = 1000;
+
+// Store sizes above which expired entries are swept
+const MAX_RATE_LIMIT_KEYS = 10000;
+const MAX_REPLY_TOKENS = 10000;
+const MAX_OUTBOX_ENTRIES = 10000;
+
+// Outbox history kept for 7 days, like the TTL index
+const OUTBOX_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Outbox statuses a message moves through, in order
+const OUTBOX_PROGRESS = ["queued", "delivered", "read"];
+
+const userStore = new Map();
+const messageStore = new Map();
+const lockStore = new Map();
+const rateLimitStore = new Map();
+const replyTokenStore = new Map();
+const groupStore = new Map();
+const idReservationStore = new Map();
+const attachmentStore = new Map();
+const outboxStore = new Map();
+const jobRunStore = [];
+const adminKeyStore = new Map();
+const banStore = new Map();
+const reportStore = new Map();
+const auditLogStore = [];
+
+/**
+ * Error shaped like a MongoDB duplicate key error so errorHandler maps it
+ * The ID stays out of the message, which ends up in logs
+ */
+const duplicateKeyError = (kind = "user") => {
+  const error = new Error(`Duplicate key: ${kind} already exists`);
+  error.code = 11000;
+  return error;
+};
+
+/**
+ * Copy a stored document so callers cannot mutate the store
+ */
+const copy = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const result = { ...doc };
+  if (doc.publicKey) {
+    result.publicKey = { ...doc.publicKey };
+  }
+  if (doc.blocks) {
+    result.blocks = doc.blocks.map((block) => ({ ...block }));
+  }
+  if (doc.members) {
+    result.members = doc.members.map((member) => ({ ...member }));
+  }
+  if (doc.invites) {
+    result.invites = doc.invites.map((invite) => ({ ...invite }));
+  }
+  if (doc.attachments) {
+    result.attachments = doc.attachments.map((attachment) => ({
+      ...attachment,
+    }));
+  }
+  return result;
+};
+
+/**
+ * Copy a stored user, dropping the token hash unless requested
+ */
+const copyUser = (doc, { includeTokenHash = false } = {}) => {
+  const user = copy(doc);
+  if (user && !includeTokenHash) {
+    delete user.tokenHash;
+  }
+  return user;
+};
+
+/**
+ * Copy a stored message without fields hidden from recipients
+ */
+const copyForRecipient = (doc) => {
+  const message = copy(doc);
+  delete message.senderId;
+  delete message.senderFingerprint;
+  delete message.leaseId;
+  delete message.leasedUntil;
+  delete message.moderationFlags;
+  delete message.outboxId;
+  return message;
+};
+
+/**
+ * Check that a message is not currently leased
+ */
+const isAvailable = (message, now = new Date()) => {
+  return !message.leasedUntil || message.leasedUntil <= now;
+};
+
+/**
+ * Compare two messages by (timestamp, _id), oldest first
+ */
+const compareMessages = (a, b) => {
+  return (
+    a.timestamp - b.timestamp ||
+    a._id.toString().localeCompare(b._id.toString())
+  );
+};
+
+/**
+ * Check that a message lies strictly after a cursor in the given direction
+ * - "forward" is older, "backward" is newer
+ */
+const isPastCursor = (message, { timestamp, id }, direction) => {
+  const order = compareMessages(message, { timestamp, _id: id });
+  return direction === "backward" ? order > 0 : order < 0;
+};
+
+/**
+ * Delete messages matching a predicate along with their attachments
+ */
+const deleteMessagesWhere = (predicate) => {
+  let deleted = 0;
+  for (const [key, message] of messageStore) {
+    if (predicate(message, key)) {
+      for (const attachment of message.attachments || []) {
+        attachmentStore.delete(attachment._id.toString());
+      }
+      messageStore.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Snapshot plaintext messages in batches, yielding to the event loop between
+ * them like the MongoDB scan waits on each query
+ */
+async function* plaintextBatches(batchSize) {
+  const plaintext = [...messageStore.values()].filter(
+    (message) => !message.encrypted
+  );
+  for (let i = 0; i < plaintext.length; i += batchSize) {
+    yield plaintext.slice(i, i + batchSize);
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/**
+ * Drop expired messages, standing in for MongoDB's TTL index
+ */
+const sweepExpired = (now = new Date()) => {
+  deleteMessagesWhere(
+    (message) => message.expiresAt && message.expiresAt <= now
+  );
+};
+
+/**
+ * Messages for a recipient that a fetch could currently claim
+ */
+const availableFor = (
+  recipientId,
+  { unread = false, groupId = null } = {},
+  now
+) => {
+  sweepExpired(now);
+  return [...messageStore.values()].filter(
+    (message) =>
+      message.recipientId === recipientId &&
+      isAvailable(message, now) &&
+      (!unread || !message.isRead) &&
+      (!groupId || message.groupId === groupId)
+  );
+};
+
+/**
+ * Member who inherits ownership when the owner leaves - the longest-standing
+ * admin, otherwise the longest-standing member
+ */
+const successorOf = (members) => {
+  const byJoined = [...members].sort((a, b) => a.joinedAt - b.joinedAt);
+  return byJoined.find((member) => member.role === "admin") || byJoined[0];
+};
+
+// ID reservations - the namespace users and groups share
+const idReservations = {
+  reserve: async (id, kind) => {
+    if (idReservationStore.has(id)) {
+      throw duplicateKeyError("ID");
+    }
+    idReservationStore.set(id, { kind, createdAt: new Date() });
+  },
+
+  exists: async (id) => {
+    return idReservationStore.has(id);
+  },
+
+  release: async (ids) => {
+    for (const id of ids) {
+      idReservationStore.delete(id);
+    }
+  },
+};
+
+// User repository
+const users = {
+  findById: async (id, options) => {
+    return copyUser(userStore.get(id), options);
+  },
+
+  exists: async (id) => {
+    return userStore.has(id);
+  },
+
+  create: async (data) => {
+    await idReservations.reserve(data.id, "user");
+
+    const now = new Date();
+    const user = {
+      _id: new Types.ObjectId(),
+      createdAt: now,
+      lastActive: now,
+      markedForDeletion: false,
+      defaultMessageExpiry: null,
+      readReceipts: true,
+      blocks: [],
+      ...data,
+      updatedAt: now,
+    };
+
+    userStore.set(user.id, user);
+    return copyUser(user);
+  },
+
+  touch: async (id) => {
+    return users.update(id, { lastActive: new Date() });
+  },
+
+  update: async (id, fields) => {
+    const user = userStore.get(id);
+    if (!user) {
+      return null;
+    }
+
+    Object.assign(user, fields, { updatedAt: new Date() });
+    return copyUser(user);
+  },
+
+  addBlock: async (id, { type, value }) => {
+    const user = userStore.get(id);
+    if (!user) {
+      return null;
+    }
+
+    const block = {
+      _id: new Types.ObjectId(),
+      type,
+      value,
+      createdAt: new Date(),
+    };
+    user.blocks.push(block);
+    return { ...block };
+  },
+
+  removeBlock: async (id, blockId) => {
+    const user = userStore.get(id);
+    if (!user) {
+      return 0;
+    }
+
+    const before = user.blocks.length;
+    user.blocks = user.blocks.filter(
+      (block) => block._id.toString() !== blockId.toString()
+    );
+    return before - user.blocks.length;
+  },
+
+  markForDeletion: async (ids, reason) => {
+    const now = new Date();
+    let modified = 0;
+
+    for (const id of ids) {
+      const user = userStore.get(id);
+      if (user) {
+        Object.assign(user, {
+          markedForDeletion: true,
+          markedAt: now,
+          deleteReason: reason,
+          updatedAt: now,
+        });
+        modified++;
+      }
+    }
+
+    return modified;
+  },
+
+  deleteById: async (id) => {
+    await idReservations.release([id]);
+    return userStore.delete(id) ? 1 : 0;
+  },
+
+  deleteByIds: async (ids) => {
+    await idReservations.release(ids);
+    let deleted = 0;
+    for (const id of ids) {
+      if (userStore.delete(id)) {
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+
+  findMarkedBefore: async (date, limit = 0) => {
+    const marked = [...userStore.values()]
+      .filter((user) => user.markedForDeletion && user.markedAt < date)
+      .sort((a, b) => a.markedAt - b.markedAt);
+
+    return (limit > 0 ? marked.slice(0, limit) : marked).map((user) =>
+      copyUser(user)
+    );
+  },
+
+  count: async () => {
+    return userStore.size;
+  },
+
+  countActiveSince: async (date) => {
+    let count = 0;
+    for (const user of userStore.values()) {
+      if (user.lastActive >= date) {
+        count++;
+      }
+    }
+    return count;
+  },
+
+  markInactiveSince: async (date, reason) => {
+    const inactive = [...userStore.values()]
+      .filter((user) => user.lastActive < date && !user.markedForDeletion)
+      .map((user) => user.id);
+
+    return users.markForDeletion(inactive, reason);
+  },
+};
+
+// Message repository
+const messages = {
+  create: async (data) => {
+    const now = new Date();
+    const message = {
+      _id: new Types.ObjectId(),
+      timestamp: now,
+      isRead: false,
+      encrypted: false,
+      leasedUntil: null,
+      expiresAt: null,
+      ...data,
+      content: data.content.trim(),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    messageStore.set(message._id.toString(), message);
+    return copy(message);
+  },
+
+  claim: async (
+    recipientId,
+    {
+      cursor = null,
+      direction = "forward",
+      limit = 20,
+      unread = false,
+      groupId = null,
+      leaseMs,
+    }
+  ) => {
+    const now = new Date();
+    const candidates = availableFor(recipientId, { unread, groupId }, now)
+      .filter((message) => !cursor || isPastCursor(message, cursor, direction))
+      .sort((a, b) =>
+        direction === "backward" ? compareMessages(a, b) : compareMessages(b, a)
+      );
+
+    const hasMore = candidates.length > limit;
+    const page = candidates.slice(0, limit);
+
+    if (page.length === 0) {
+      return { messages: [], leaseId: null, leaseExpiresAt: null, hasMore };
+    }
+
+    // Single-threaded, so claiming synchronously is already atomic
+    const leaseId = crypto.randomBytes(16).toString("hex");
+    const leaseExpiresAt = new Date(now.getTime() + leaseMs);
+
+    for (const message of page) {
+      Object.assign(message, {
+        leaseId,
+        leasedUntil: leaseExpiresAt,
+        isRead: true,
+        updatedAt: now,
+      });
+    }
+
+    await outbox.advance(
+      page.map((message) => message.outboxId),
+      "delivered"
+    );
+
+    return {
+      messages: page
+        .sort((a, b) => compareMessages(b, a))
+        .map(copyForRecipient),
+      leaseId,
+      leaseExpiresAt,
+      hasMore,
+    };
+  },
+
+  lease: async (messageId, { leaseId, leaseExpiresAt }) => {
+    const message = messageStore.get(messageId.toString());
+    if (message) {
+      Object.assign(message, {
+        leaseId,
+        leasedUntil: leaseExpiresAt,
+        isRead: true,
+        updatedAt: new Date(),
+      });
+      await outbox.advance([message.outboxId], "delivered");
+    }
+  },
+
+  acknowledge: async (
+    recipientId,
+    { messageIds, leaseId, readReceipts = true }
+  ) => {
+    const ids = new Set(Array.isArray(messageIds) ? messageIds : []);
+    const outboxIds = [];
+
+    if (!leaseId) {
+      return 0;
+    }
+
+    const deleted = deleteMessagesWhere((message, key) => {
+      const acknowledged =
+        message.recipientId === recipientId &&
+        message.isRead &&
+        message.leaseId === leaseId &&
+        (ids.size === 0 || ids.has(key));
+      if (acknowledged && readReceipts) {
+        outboxIds.push(message.outboxId);
+      }
+      return acknowledged;
+    });
+
+    await outbox.advance(outboxIds, "read");
+    return deleted;
+  },
+
+  findForRecipient: async (recipientId, messageId) => {
+    sweepExpired();
+    const message = messageStore.get(messageId.toString());
+    return message && message.recipientId === recipientId
+      ? copy(message)
+      : null;
+  },
+
+  countUnread: async (recipientId, { groupId = null } = {}) => {
+    sweepExpired();
+    let count = 0;
+    for (const message of messageStore.values()) {
+      if (
+        message.recipientId === recipientId &&
+        !message.isRead &&
+        (!groupId || message.groupId === groupId)
+      ) {
+        count++;
+      }
+    }
+    return count;
+  },
+
+  deleteForUsers: async (userIds) => {
+    const ids = new Set(userIds);
+    return deleteMessagesWhere(
+      (message) => ids.has(message.senderId) || ids.has(message.recipientId)
+    );
+  },
+
+  countMatching: async (pattern, { batchSize = 500 } = {}) => {
+    sweepExpired();
+    let count = 0;
+    for await (const batch of plaintextBatches(batchSize)) {
+      count += batch.filter((message) => pattern.test(message.content)).length;
+    }
+    return count;
+  },
+
+  deleteMatching: async (pattern, { batchSize = 500 } = {}) => {
+    sweepExpired();
+    let deleted = 0;
+    for await (const batch of plaintextBatches(batchSize)) {
+      const matched = new Set(
+        batch
+          .filter((message) => pattern.test(message.content))
+          .map((message) => message._id.toString())
+      );
+      if (matched.size === 0) {
+        continue;
+      }
+
+      // The senders' outbox previews hold the same text
+      await outbox.dropContent(
+        batch
+          .filter((message) => matched.has(message._id.toString()))
+          .map((message) => message.outboxId)
+      );
+      deleted += deleteMessagesWhere((message, key) => matched.has(key));
+    }
+    return deleted;
+  },
+
+  deleteForGroups: async (groupIds) => {
+    const ids = new Set(groupIds);
+    return deleteMessagesWhere((message) => ids.has(message.groupId));
+  },
+
+  deleteForUser: async (userId) => {
+    return deleteMessagesWhere(
+      (message) => message.senderId === userId || message.recipientId === userId
+    );
+  },
+};
+
+// Attachment repository
+const attachments = {
+  create: async ({ buffer, contentType, uploaderId }) => {
+    const attachment = {
+      _id: new Types.ObjectId(),
+      contentType,
+      size: buffer.length,
+      uploaderId,
+      recipientId: null,
+      messageId: null,
+      createdAt: new Date(),
+    };
+
+    attachmentStore.set(attachment._id.toString(), { attachment, buffer });
+    return { ...attachment };
+  },
+
+  findById: async (id) => {
+    const entry = attachmentStore.get(id.toString());
+    return entry ? { ...entry.attachment } : null;
+  },
+
+  openStream: (id) => {
+    const entry = attachmentStore.get(id.toString());
+    return Readable.from(entry ? [entry.buffer] : []);
+  },
+
+  link: async (ids, { messageId, recipientId, uploaderId }) => {
+    let linked = 0;
+    for (const id of ids) {
+      const entry = attachmentStore.get(id.toString());
+      if (
+        entry &&
+        entry.attachment.uploaderId === uploaderId &&
+        !entry.attachment.messageId
+      ) {
+        Object.assign(entry.attachment, { messageId, recipientId });
+        linked++;
+      }
+    }
+    return linked;
+  },
+
+  deleteByIds: async (ids) => {
+    let deleted = 0;
+    for (const id of ids) {
+      if (attachmentStore.delete(id.toString())) {
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+
+  deleteForUsers: async (userIds) => {
+    const ids = new Set(userIds);
+    let deleted = 0;
+    for (const [key, { attachment }] of attachmentStore) {
+      if (ids.has(attachment.uploaderId) || ids.has(attachment.recipientId)) {
+        attachmentStore.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+
+  deleteOrphans: async (unlinkedBefore) => {
+    sweepExpired();
+    let deleted = 0;
+    for (const [key, { attachment }] of attachmentStore) {
+      const orphaned = attachment.messageId
+        ? !messageStore.has(attachment.messageId.toString())
+        : attachment.createdAt < unlinkedBefore;
+      if (orphaned) {
+        attachmentStore.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+};
+
+// Outbox repository
+const outbox = {
+  create: async (data) => {
+    const now = new Date();
+
+    // Drop entries past retention now and then, standing in for the TTL index
+    if (outboxStore.size > MAX_OUTBOX_ENTRIES) {
+      const cutoff = new Date(now.getTime() - OUTBOX_RETENTION_MS);
+      for (const [key, stale] of outboxStore) {
+        if (stale.timestamp < cutoff) {
+          outboxStore.delete(key);
+        }
+      }
+    }
+
+    const entry = {
+      _id: new Types.ObjectId(),
+      attachmentCount: 0,
+      status: "queued",
+      timestamp: now,
+      expiresAt: null,
+      ...data,
+    };
+
+    outboxStore.set(entry._id.toString(), entry);
+    return { ...entry };
+  },
+
+  list: async (senderId, { cursor = null, limit = 20 } = {}) => {
+    const cutoff = new Date(Date.now() - OUTBOX_RETENTION_MS);
+    const entries = [...outboxStore.values()]
+      .filter(
+        (entry) =>
+          entry.senderId === senderId &&
+          entry.timestamp >= cutoff &&
+          (!cursor || isPastCursor(entry, cursor, "forward"))
+      )
+      .sort((a, b) => compareMessages(b, a));
+
+    return {
+      entries: entries.slice(0, limit).map((entry) => ({ ...entry })),
+      hasMore: entries.length > limit,
+    };
+  },
+
+  advance: async (ids, status) => {
+    const earlier = OUTBOX_PROGRESS.slice(0, OUTBOX_PROGRESS.indexOf(status));
+    let modified = 0;
+
+    for (const id of ids) {
+      const entry = id && outboxStore.get(id.toString());
+      if (entry && earlier.includes(entry.status)) {
+        entry.status = status;
+        entry[`${status}At`] = new Date();
+        delete entry.content;
+        modified++;
+      }
+    }
+
+    return modified;
+  },
+
+  dropContent: async (ids) => {
+    let modified = 0;
+    for (const id of ids) {
+      const entry = id && outboxStore.get(id.toString());
+      if (entry && entry.content !== undefined) {
+        delete entry.content;
+        modified++;
+      }
+    }
+    return modified;
+  },
+
+  dropExpiredContent: async (now = new Date()) => {
+    let modified = 0;
+    for (const entry of outboxStore.values()) {
+      if (
+        entry.content !== undefined &&
+        entry.expiresAt &&
+        entry.expiresAt <= now
+      ) {
+        delete entry.content;
+        modified++;
+      }
+    }
+    return modified;
+  },
+
+  countByHour: async (since) => {
+    const counts = new Map();
+    for (const entry of outboxStore.values()) {
+      if (entry.timestamp >= since) {
+        const hour = new Date(entry.timestamp);
+        hour.setUTCMinutes(0, 0, 0);
+        counts.set(hour.getTime(), (counts.get(hour.getTime()) || 0) + 1);
+      }
+    }
+
+    return [...counts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([hour, count]) => ({ hour: new Date(hour), count }));
+  },
+
+  markRecipientGone: async (recipientIds) => {
+    const ids = new Set(recipientIds);
+    let modified = 0;
+
+    for (const entry of outboxStore.values()) {
+      if (ids.has(entry.recipientId) && entry.status === "queued") {
+        entry.status = "recipient_gone";
+        delete entry.content;
+        modified++;
+      }
+    }
+
+    return modified;
+  },
+
+  deleteForUsers: async (senderIds) => {
+    const ids = new Set(senderIds);
+    let deleted = 0;
+    for (const [key, entry] of outboxStore) {
+      if (ids.has(entry.senderId)) {
+        outboxStore.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+};
+
+// Group repository
+const groups = {
+  findById: async (id) => {
+    return copy(groupStore.get(id));
+  },
+
+  exists: async (id) => {
+    return groupStore.has(id);
+  },
+
+  create: async (data) => {
+    await idReservations.reserve(data.id, "group");
+
+    const now = new Date();
+    const group = {
+      _id: new Types.ObjectId(),
+      createdAt: now,
+      ...data,
+      members: (data.members || []).map((member) => ({
+        role: "member",
+        joinedAt: now,
+        ...member,
+      })),
+      invites: (data.invites || []).map((invite) => ({
+        role: "member",
+        invitedAt: now,
+        ...invite,
+      })),
+      updatedAt: now,
+    };
+
+    groupStore.set(group.id, group);
+    return copy(group);
+  },
+
+  listForMember: async (userId) => {
+    return [...groupStore.values()]
+      .filter((group) =>
+        group.members.some((member) => member.userId === userId)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(copy);
+  },
+
+  listInvitesFor: async (userId) => {
+    return [...groupStore.values()]
+      .filter((group) =>
+        group.invites.some((invite) => invite.userId === userId)
+      )
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(copy);
+  },
+
+  invite: async (id, userId, { role = "member", invitedBy }) => {
+    const group = groupStore.get(id);
+    if (
+      !group ||
+      group.members.some((member) => member.userId === userId) ||
+      group.invites.some((invite) => invite.userId === userId)
+    ) {
+      return null;
+    }
+
+    group.invites.push({ userId, role, invitedBy, invitedAt: new Date() });
+    group.updatedAt = new Date();
+    return copy(group);
+  },
+
+  acceptInvite: async (id, userId) => {
+    const group = groupStore.get(id);
+    const invite =
+      group && group.invites.find((entry) => entry.userId === userId);
+    if (!invite) {
+      return null;
+    }
+
+    group.invites = group.invites.filter((entry) => entry !== invite);
+    group.members.push({ userId, role: invite.role, joinedAt: new Date() });
+    group.updatedAt = new Date();
+    return copy(group);
+  },
+
+  removeInvite: async (id, userId) => {
+    const group = groupStore.get(id);
+    const remaining =
+      group && group.invites.filter((invite) => invite.userId !== userId);
+    if (!remaining || remaining.length === group.invites.length) {
+      return 0;
+    }
+
+    group.invites = remaining;
+    group.updatedAt = new Date();
+    return 1;
+  },
+
+  setRole: async (id, userId, role) => {
+    const group = groupStore.get(id);
+    const member =
+      group && group.members.find((entry) => entry.userId === userId);
+    if (!member) {
+      return null;
+    }
+
+    member.role = role;
+    group.updatedAt = new Date();
+    return copy(group);
+  },
+
+  removeMembers: async (userIds, { groupId } = {}) => {
+    const ids = new Set(userIds);
+    let modified = 0;
+
+    for (const group of groupStore.values()) {
+      if (groupId && group.id !== groupId) {
+        continue;
+      }
+
+      const remaining = group.members.filter(
+        (member) => !ids.has(member.userId)
+      );
+      const invites = group.invites.filter((invite) => !ids.has(invite.userId));
+      if (
+        remaining.length === group.members.length &&
+        invites.length === group.invites.length
+      ) {
+        continue;
+      }
+
+      if (
+        remaining.length > 0 &&
+        !remaining.some((member) => member.role === "owner")
+      ) {
+        successorOf(remaining).role = "owner";
+      }
+
+      group.members = remaining;
+      group.invites = invites;
+      group.updatedAt = new Date();
+      modified++;
+    }
+
+    return modified;
+  },
+
+  deleteById: async (id) => {
+    await idReservations.release([id]);
+    return groupStore.delete(id) ? 1 : 0;
+  },
+
+  deleteEmpty: async () => {
+    const ids = [];
+    for (const [id, group] of groupStore) {
+      if (group.members.length === 0) {
+        groupStore.delete(id);
+        ids.push(id);
+      }
+    }
+    await idReservations.release(ids);
+    return ids;
+  },
+};
+
+// Admin key repository
+const adminKeys = {
+  create: async (data) => {
+    for (const existing of adminKeyStore.values()) {
+      if (existing.keyHash === data.keyHash) {
+        throw duplicateKeyError("admin key");
+      }
+    }
+
+    const adminKey = {
+      _id: new Types.ObjectId(),
+      createdAt: new Date(),
+      lastUsedAt: null,
+      revokedAt: null,
+      ...data,
+    };
+
+    adminKeyStore.set(adminKey._id.toString(), adminKey);
+    return { ...adminKey };
+  },
+
+  findByHash: async (keyHash) => {
+    for (const adminKey of adminKeyStore.values()) {
+      if (adminKey.keyHash === keyHash && !adminKey.revokedAt) {
+        return { ...adminKey };
+      }
+    }
+    return null;
+  },
+
+  list: async () => {
+    return [...adminKeyStore.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(({ keyHash, ...adminKey }) => adminKey);
+  },
+
+  touch: async (id) => {
+    const adminKey = adminKeyStore.get(id.toString());
+    if (adminKey) {
+      adminKey.lastUsedAt = new Date();
+    }
+  },
+
+  revoke: async (id) => {
+    const adminKey = adminKeyStore.get(id.toString());
+    if (!adminKey || adminKey.revokedAt) {
+      return false;
+    }
+
+    adminKey.revokedAt = new Date();
+    return true;
+  },
+};
+
+// Ban repository
+const bans = {
+  create: async (data) => {
+    for (const existing of banStore.values()) {
+      if (existing.type === data.type && existing.value === data.value) {
+        throw duplicateKeyError("ban");
+      }
+    }
+
+    const ban = {
+      _id: new Types.ObjectId(),
+      createdAt: new Date(),
+      expiresAt: null,
+      ...data,
+    };
+
+    banStore.set(ban._id.toString(), ban);
+    return { ...ban };
+  },
+
+  listActive: async () => {
+    const now = new Date();
+    for (const [key, ban] of banStore) {
+      if (ban.expiresAt && ban.expiresAt <= now) {
+        banStore.delete(key);
+      }
+    }
+
+    return [...banStore.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((ban) => ({ ...ban }));
+  },
+
+  remove: async (id) => {
+    return banStore.delete(id.toString()) ? 1 : 0;
+  },
+};
+
+/**
+ * Drop reports past their retention, like the TTL index
+ */
+const sweepReports = () => {
+  const now = new Date();
+  for (const [key, report] of reportStore) {
+    if (report.expiresAt <= now) {
+      reportStore.delete(key);
+    }
+  }
+};
+
+// Report repository
+const reports = {
+  create: async (data) => {
+    sweepReports();
+    for (const existing of reportStore.values()) {
+      if (
+        existing.messageId.toString() === data.messageId.toString() &&
+        existing.reporterId === data.reporterId
+      ) {
+        throw duplicateKeyError("report");
+      }
+    }
+
+    const report = {
+      _id: new Types.ObjectId(),
+      encrypted: false,
+      status: "open",
+      createdAt: new Date(),
+      ...data,
+    };
+
+    reportStore.set(report._id.toString(), report);
+    return { ...report };
+  },
+
+  findById: async (id) => {
+    sweepReports();
+    const report = reportStore.get(id.toString());
+    return report ? { ...report } : null;
+  },
+
+  list: async ({ status = "open", limit = 50 } = {}) => {
+    sweepReports();
+    return [...reportStore.values()]
+      .filter((report) => report.status === status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, limit)
+      .map((report) => ({ ...report }));
+  },
+
+  count: async (status = "open") => {
+    sweepReports();
+    let count = 0;
+    for (const report of reportStore.values()) {
+      if (report.status === status) {
+        count++;
+      }
+    }
+    return count;
+  },
+
+  resolve: async (id, { status, resolvedBy, resolutionNote }) => {
+    const report = reportStore.get(id.toString());
+    if (!report || report.status !== "open") {
+      return null;
+    }
+
+    Object.assign(report, {
+      status,
+      resolvedBy,
+      resolutionNote,
+      resolvedAt: new Date(),
+    });
+    return { ...report };
+  },
+
+  listWarnings: async ({ senderId, fingerprints = [] }) => {
+    sweepReports();
+    return [...reportStore.values()]
+      .filter(
+        (report) =>
+          report.status === "warned" &&
+          ((senderId &&
+            report.senderId === senderId &&
+            report.senderVerified !== false) ||
+            fingerprints.includes(report.senderFingerprint))
+      )
+      .sort((a, b) => b.resolvedAt - a.resolvedAt)
+      .map(({ _id, resolvedAt }) => ({ _id, resolvedAt }));
+  },
+};
+
+// Audit log repository
+const auditLogs = {
+  record: async (entry) => {
+    const auditLog = {
+      _id: new Types.ObjectId(),
+      createdAt: new Date(),
+      ...entry,
+    };
+    auditLogStore.push(auditLog);
+    if (auditLogStore.length > MAX_AUDIT_LOGS) {
+      auditLogStore.shift();
+    }
+    return { ...auditLog };
+  },
+
+  list: async ({ action, limit = 50 } = {}) => {
+    return auditLogStore
+      .filter((entry) => !action || entry.action === action)
+      .slice(-limit)
+      .reverse()
+      .map((entry) => ({ ...entry }));
+  },
+};
+
+// Lock repository
+const locks = {
+  acquire: async (name, owner, ttlMs) => {
+    const now = new Date();
+    const lock = lockStore.get(name);
+
+    if (lock && lock.owner !== owner && lock.expiresAt > now) {
+      return false;
+    }
+
+    lockStore.set(name, {
+      owner,
+      expiresAt: new Date(now.getTime() + ttlMs),
+    });
+    return true;
+  },
+
+  release: async (name, owner) => {
+    const lock = lockStore.get(name);
+    if (lock && lock.owner === owner) {
+      lockStore.delete(name);
+    }
+  },
+};
+
+// Job run repository
+const jobRuns = {
+  record: async (run) => {
+    const jobRun = { _id: new Types.ObjectId(), ...run };
+    jobRunStore.push(jobRun);
+    if (jobRunStore.length > MAX_JOB_RUNS) {
+      jobRunStore.shift();
+    }
+    return { ...jobRun };
+  },
+
+  list: async ({ job, limit = 20 } = {}) => {
+    return jobRunStore
+      .filter((run) => !job || run.job === job)
+      .slice(-limit)
+      .reverse()
+      .map((run) => ({ ...run }));
+  },
+};
+
+// Reply token repository
+const replyTokens = {
+  create: async (data) => {
+    // Sweep lapsed tokens now and then, standing in for the TTL index
+    if (replyTokenStore.size > MAX_REPLY_TOKENS) {
+      const now = new Date();
+      for (const [key, stale] of replyTokenStore) {
+        if (stale.expiresAt <= now) {
+          replyTokenStore.delete(key);
+        }
+      }
+    }
+
+    const replyToken = { _id: new Types.ObjectId(), ...data };
+    replyTokenStore.set(data.tokenHash, replyToken);
+    return { ...replyToken };
+  },
+
+  findByHash: async (tokenHash) => {
+    const replyToken = replyTokenStore.get(tokenHash);
+    if (!replyToken) {
+      return null;
+    }
+
+    // Lazily expire, standing in for the TTL index
+    if (replyToken.expiresAt <= new Date()) {
+      replyTokenStore.delete(tokenHash);
+      return null;
+    }
+
+    return { ...replyToken };
+  },
+
+  consume: async (tokenHash, recipientId) => {
+    const replyToken = await replyTokens.findByHash(tokenHash);
+    if (!replyToken || replyToken.recipientId !== recipientId) {
+      return null;
+    }
+
+    replyTokenStore.delete(tokenHash);
+    return replyToken;
+  },
+
+  deleteForUsers: async (userIds) => {
+    const ids = new Set(userIds);
+    let deleted = 0;
+    for (const [key, replyToken] of replyTokenStore) {
+      if (ids.has(replyToken.senderId) || ids.has(replyToken.recipientId)) {
+        replyTokenStore.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  },
+};
+
+// Rate limit counter repository
+const rateLimits = {
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    let counter = rateLimitStore.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      // Drop ended windows now and then, standing in for the TTL index
+      if (rateLimitStore.size > MAX_RATE_LIMIT_KEYS) {
+        for (const [staleKey, stale] of rateLimitStore) {
+          if (stale.resetAt <= now) {
+            rateLimitStore.delete(staleKey);
+          }
+        }
+      }
+
+      counter = { hits: 0, resetAt: new Date(now.getTime() + windowMs) };
+      rateLimitStore.set(key, counter);
+    }
+
+    counter.hits++;
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  },
+
+  decrement: async (key) => {
+    const counter = rateLimitStore.get(key);
+    if (counter && counter.hits > 0) {
+      counter.hits--;
+    }
+  },
+
+  reset: async (key) => {
+    rateLimitStore.delete(key);
+  },
+};
+
+/**
+ * Nothing to connect to - log the backend so it is obvious data is volatile
+ */
+const connect = async () => {
+  logger.info("🧠 Using in-memory storage (data is not persisted)");
+};
+
+module.exports = {
+  driver: "memory",
+  connect,
+  connectionState: () => "connected",
+  isConnected: () => true,
+  idReservations,
+  users,
+  messages,
+  attachments,
+  outbox,
+  groups,
+  locks,
+  jobRuns,
+  adminKeys,
+  bans,
+  reports,
+  auditLogs,
+  replyTokens,
+  rateLimits,
+};
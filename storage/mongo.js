@@ -0,0 +1,1353 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const connectDatabase = require("../config/database");
+const {
+  User,
+  Message,
+  Group,
+  OutboxEntry,
+  AdminKey,
+  Ban,
+  Report,
+  AuditLog,
+  Lock,
+  IdReservation,
+  JobRun,
+  ReplyToken,
+  RateLimit,
+} = require("../models");
+
+// Fields never returned to recipients - senderId stays private so replies
+// go through reply tokens
+const HIDDEN_MESSAGE_FIELDS =
+  "-senderId -senderFingerprint -leaseId -leasedUntil -moderationFlags -outboxId";
+
+// Outbox statuses a message moves through, in order
+const OUTBOX_PROGRESS = ["queued", "delivered", "read"];
+
+/**
+ * Query fragment matching reports about a sender ID or fingerprint. Reports
+ * on messages that only claimed the sender ID match by fingerprint alone.
+ */
+const reportedSenderFilter = ({ senderId, fingerprints = [] }) => ({
+  $or: [
+    ...(senderId ? [{ senderId, senderVerified: { $ne: false } }] : []),
+    { senderFingerprint: { $in: fingerprints.filter(Boolean) } },
+  ],
+});
+
+/**
+ * Query fragment matching messages that are not currently leased
+ */
+const availableMessageFilter = (now = new Date()) => ({
+  $or: [{ leasedUntil: null }, { leasedUntil: { $lte: now } }],
+});
+
+/**
+ * Query fragment matching messages that have not expired
+ * The TTL monitor only runs about once a minute, so reads must filter too
+ */
+const unexpiredMessageFilter = (now = new Date()) => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * Query fragment matching messages strictly after a (timestamp, _id) cursor
+ * in the given direction - "forward" is older, "backward" is newer
+ */
+const keysetFilter = ({ timestamp, id }, direction) => {
+  const op = direction === "backward" ? "$gt" : "$lt";
+  return {
+    $or: [{ timestamp: { [op]: timestamp } }, { timestamp, _id: { [op]: id } }],
+  };
+};
+
+// GridFS bucket holding attachment files; metadata lives on the file document
+const ATTACHMENT_BUCKET = "attachments";
+
+let attachmentBucket = null;
+
+/**
+ * The attachment GridFS bucket, created on first use once connected
+ */
+const bucket = () => {
+  if (!attachmentBucket) {
+    attachmentBucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: ATTACHMENT_BUCKET,
+    });
+  }
+  return attachmentBucket;
+};
+
+/**
+ * Raw GridFS collection for the attachment bucket ("files" or "chunks")
+ */
+const bucketCollection = (name) => {
+  return mongoose.connection.db.collection(`${ATTACHMENT_BUCKET}.${name}`);
+};
+
+/**
+ * Flatten a GridFS file document into an attachment record
+ */
+const toAttachment = (file) => {
+  if (!file) {
+    return null;
+  }
+
+  return {
+    _id: file._id,
+    contentType: file.metadata.contentType,
+    size: file.length,
+    uploaderId: file.metadata.uploaderId,
+    recipientId: file.metadata.recipientId,
+    messageId: file.metadata.messageId,
+    createdAt: file.uploadDate,
+  };
+};
+
+/**
+ * Delete messages matching a filter along with their attachments
+ */
+const deleteMessagesWithAttachments = async (filter) => {
+  const withAttachments = await Message.find({
+    ...filter,
+    "attachments.0": { $exists: true },
+  })
+    .select("attachments._id")
+    .lean();
+
+  const result = await Message.deleteMany(filter);
+
+  await attachments.deleteByIds(
+    withAttachments.flatMap((message) =>
+      message.attachments.map((attachment) => attachment._id)
+    )
+  );
+
+  return result.deletedCount;
+};
+
+/**
+ * Page through plaintext messages in _id order, batchSize at a time, so a
+ * content scan never holds or blocks on the whole collection at once
+ */
+async function* plaintextBatches(batchSize) {
+  let lastId = null;
+  for (;;) {
+    const batch = await Message.find({
+      encrypted: { $ne: true },
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .select("content outboxId")
+      .lean();
+
+    if (batch.length === 0) {
+      return;
+    }
+    yield batch;
+
+    if (batch.length < batchSize) {
+      return;
+    }
+    lastId = batch[batch.length - 1]._id;
+  }
+}
+
+/**
+ * Member who inherits ownership when the owner leaves - the longest-standing
+ * admin, otherwise the longest-standing member
+ */
+const successorOf = (members) => {
+  const byJoined = [...members].sort((a, b) => a.joinedAt - b.joinedAt);
+  return byJoined.find((member) => member.role === "admin") || byJoined[0];
+};
+
+// ID reservations - the namespace users and groups share
+const idReservations = {
+  /**
+   * Reserve an ID for a new user or group
+   * Throws a duplicate key error if the ID is reserved, or belongs to a user
+   * or group created before reservations existed (the reservation is kept
+   * for those, so the next attempt fails on the index alone).
+   */
+  reserve: async (id, kind) => {
+    await IdReservation.create({ _id: id, kind });
+
+    const [userExists, groupExists] = await Promise.all([
+      User.exists({ id }),
+      Group.exists({ id }),
+    ]);
+    if (userExists || groupExists) {
+      const error = new Error("Duplicate key: ID already exists");
+      error.code = 11000;
+      throw error;
+    }
+  },
+
+  /**
+   * Check if an ID is reserved or used by a user or group
+   */
+  exists: async (id) => {
+    const found = await Promise.all([
+      IdReservation.exists({ _id: id }),
+      User.exists({ id }),
+      Group.exists({ id }),
+    ]);
+    return found.some(Boolean);
+  },
+
+  /**
+   * Free IDs whose user or group is gone
+   */
+  release: async (ids) => {
+    if (ids.length > 0) {
+      await IdReservation.deleteMany({ _id: { $in: ids } });
+    }
+  },
+};
+
+// User repository
+const users = {
+  /**
+   * Find a user by ID, optionally including the session token hash
+   */
+  findById: (id, { includeTokenHash = false } = {}) => {
+    const query = User.findOne({ id });
+    if (includeTokenHash) {
+      query.select("+tokenHash");
+    }
+    return query.lean();
+  },
+
+  /**
+   * Check if a user with this ID exists
+   */
+  exists: async (id) => {
+    return !!(await User.exists({ id }));
+  },
+
+  /**
+   * Create a user under a newly reserved ID
+   */
+  create: async (data) => {
+    await idReservations.reserve(data.id, "user");
+    try {
+      const user = new User(data);
+      await user.save();
+      return user.toObject();
+    } catch (error) {
+      await idReservations.release([data.id]);
+      throw error;
+    }
+  },
+
+  /**
+   * Refresh a user's lastActive timestamp, returning the updated user
+   */
+  touch: (id) => {
+    return User.findOneAndUpdate(
+      { id },
+      { lastActive: new Date() },
+      { new: true }
+    ).lean();
+  },
+
+  /**
+   * Update fields on a user, returning the updated user
+   */
+  update: (id, fields) => {
+    return User.findOneAndUpdate({ id }, fields, { new: true }).lean();
+  },
+
+  /**
+   * Add a block to a user's block list, returning the new block
+   */
+  addBlock: async (id, { type, value }) => {
+    const user = await User.findOneAndUpdate(
+      { id },
+      { $push: { blocks: { type, value, createdAt: new Date() } } },
+      { new: true }
+    ).lean();
+    return user ? user.blocks[user.blocks.length - 1] : null;
+  },
+
+  /**
+   * Remove a block from a user's block list
+   */
+  removeBlock: async (id, blockId) => {
+    const result = await User.updateOne(
+      { id },
+      { $pull: { blocks: { _id: blockId } } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Soft-delete users so the cleanup job removes them later
+   */
+  markForDeletion: async (ids, reason) => {
+    const result = await User.updateMany(
+      { id: { $in: ids } },
+      { markedForDeletion: true, markedAt: new Date(), deleteReason: reason }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Hard-delete a user
+   */
+  deleteById: async (id) => {
+    const result = await User.deleteOne({ id });
+    await idReservations.release([id]);
+    return result.deletedCount;
+  },
+
+  /**
+   * Hard-delete a batch of users
+   */
+  deleteByIds: async (userIds) => {
+    const result = await User.deleteMany({ id: { $in: userIds } });
+    await idReservations.release(userIds);
+    return result.deletedCount;
+  },
+
+  /**
+   * Users marked for deletion before the given date, oldest first
+   */
+  findMarkedBefore: (date, limit = 0) => {
+    return User.find({
+      markedForDeletion: true,
+      markedAt: { $lt: date },
+    })
+      .sort({ markedAt: 1 })
+      .limit(limit)
+      .lean();
+  },
+
+  /**
+   * Count all users
+   */
+  count: () => {
+    return User.estimatedDocumentCount();
+  },
+
+  /**
+   * Count users active since the given date
+   */
+  countActiveSince: (date) => {
+    return User.countDocuments({ lastActive: { $gte: date } });
+  },
+
+  /**
+   * Mark users with no activity since the given date for deletion
+   * Already-marked users are skipped so they aren't double-processed
+   */
+  markInactiveSince: async (date, reason) => {
+    const result = await User.updateMany(
+      { lastActive: { $lt: date }, markedForDeletion: { $ne: true } },
+      { markedForDeletion: true, markedAt: new Date(), deleteReason: reason }
+    );
+    return result.modifiedCount;
+  },
+};
+
+// Message repository
+const messages = {
+  /**
+   * Create a message
+   */
+  create: async (data) => {
+    const message = new Message(data);
+    await message.save();
+    return message.toObject();
+  },
+
+  /**
+   * Atomically claim a page of available messages for a recipient
+   * Pages are keyset-based on (timestamp, _id): "forward" walks to older
+   * messages after the cursor, "backward" to newer ones. Claimed messages are
+   * hidden from other fetches until the lease expires.
+   */
+  claim: async (
+    recipientId,
+    {
+      cursor = null,
+      direction = "forward",
+      limit = 20,
+      unread = false,
+      groupId = null,
+      leaseMs,
+    }
+  ) => {
+    const now = new Date();
+    const conditions = [
+      { recipientId },
+      availableMessageFilter(now),
+      unexpiredMessageFilter(now),
+    ];
+    if (cursor) {
+      conditions.push(keysetFilter(cursor, direction));
+    }
+    if (unread) {
+      conditions.push({ isRead: false });
+    }
+    if (groupId) {
+      conditions.push({ groupId });
+    }
+
+    const order = direction === "backward" ? 1 : -1;
+    const candidates = await Message.find({ $and: conditions })
+      .sort({ timestamp: order, _id: order })
+      .limit(limit + 1)
+      .select("_id")
+      .lean();
+
+    const hasMore = candidates.length > limit;
+    const page = candidates.slice(0, limit);
+
+    if (page.length === 0) {
+      return { messages: [], leaseId: null, leaseExpiresAt: null, hasMore };
+    }
+
+    const leaseId = crypto.randomBytes(16).toString("hex");
+    const leaseExpiresAt = new Date(now.getTime() + leaseMs);
+
+    // Re-check availability in the update so concurrent fetches never win the
+    // same message twice
+    await Message.updateMany(
+      {
+        _id: { $in: page.map((msg) => msg._id) },
+        ...availableMessageFilter(now),
+      },
+      { leaseId, leasedUntil: leaseExpiresAt, isRead: true }
+    );
+
+    const claimed = await Message.find({ leaseId })
+      .sort({ timestamp: -1, _id: -1 })
+      .select(HIDDEN_MESSAGE_FIELDS)
+      .lean();
+
+    await outbox.advance(
+      await Message.distinct("outboxId", { leaseId }),
+      "delivered"
+    );
+
+    return { messages: claimed, leaseId, leaseExpiresAt, hasMore };
+  },
+
+  /**
+   * Lease a single message that was pushed to an open stream, under the
+   * lease ID it was sent with
+   */
+  lease: async (messageId, { leaseId, leaseExpiresAt }) => {
+    const message = await Message.findOneAndUpdate(
+      { _id: messageId },
+      { leaseId, leasedUntil: leaseExpiresAt, isRead: true }
+    )
+      .select("outboxId")
+      .lean();
+
+    if (message && message.outboxId) {
+      await outbox.advance([message.outboxId], "delivered");
+    }
+  },
+
+  /**
+   * Delete delivered messages the recipient has acknowledged
+   * Only messages held under the given lease are deleted, optionally
+   * narrowed to explicit message IDs.
+   * Senders' outbox entries move to "read" unless readReceipts is false.
+   */
+  acknowledge: async (
+    recipientId,
+    { messageIds, leaseId, readReceipts = true }
+  ) => {
+    if (!leaseId) {
+      return 0;
+    }
+
+    const filter = {
+      recipientId,
+      isRead: true,
+      leaseId,
+      ...(Array.isArray(messageIds) &&
+        messageIds.length > 0 && { _id: { $in: messageIds } }),
+    };
+    const outboxIds = readReceipts
+      ? await Message.distinct("outboxId", filter)
+      : [];
+
+    const deleted = await deleteMessagesWithAttachments(filter);
+    await outbox.advance(outboxIds, "read");
+
+    return deleted;
+  },
+
+  /**
+   * Find a message in a recipient's inbox, including the sender fingerprint
+   */
+  findForRecipient: (recipientId, messageId) => {
+    return Message.findOne({ _id: messageId, recipientId }).lean();
+  },
+
+  /**
+   * Count messages that have never been delivered, optionally in one group
+   */
+  countUnread: (recipientId, { groupId = null } = {}) => {
+    return Message.countDocuments({
+      recipientId,
+      isRead: false,
+      ...(groupId && { groupId }),
+      ...unexpiredMessageFilter(),
+    });
+  },
+
+  /**
+   * Delete every message sent or received by any of the given users
+   */
+  deleteForUsers: (userIds) => {
+    return deleteMessagesWithAttachments({
+      $or: [{ senderId: { $in: userIds } }, { recipientId: { $in: userIds } }],
+    });
+  },
+
+  /**
+   * Count plaintext messages whose content matches a regular expression,
+   * scanning batchSize messages at a time
+   */
+  countMatching: async (pattern, { batchSize = 500 } = {}) => {
+    let count = 0;
+    for await (const batch of plaintextBatches(batchSize)) {
+      count += batch.filter((message) => pattern.test(message.content)).length;
+    }
+    return count;
+  },
+
+  /**
+   * Delete plaintext messages whose content matches a regular expression,
+   * scanning batchSize messages at a time
+   */
+  deleteMatching: async (pattern, { batchSize = 500 } = {}) => {
+    let deleted = 0;
+    for await (const batch of plaintextBatches(batchSize)) {
+      const matched = batch.filter((message) => pattern.test(message.content));
+      if (matched.length === 0) {
+        continue;
+      }
+
+      // The senders' outbox previews hold the same text
+      await outbox.dropContent(matched.map((message) => message.outboxId));
+      deleted += await deleteMessagesWithAttachments({
+        _id: { $in: matched.map((message) => message._id) },
+      });
+    }
+    return deleted;
+  },
+
+  /**
+   * Delete every message fanned out from any of the given groups
+   */
+  deleteForGroups: (groupIds) => {
+    return deleteMessagesWithAttachments({ groupId: { $in: groupIds } });
+  },
+
+  /**
+   * Delete every message sent or received by a user
+   */
+  deleteForUser: (userId) => {
+    return deleteMessagesWithAttachments({
+      $or: [{ senderId: userId }, { recipientId: userId }],
+    });
+  },
+};
+
+// Attachment repository (GridFS)
+const attachments = {
+  /**
+   * Store an uploaded file, not yet linked to a message
+   */
+  create: ({ buffer, contentType, uploaderId }) => {
+    const metadata = {
+      contentType,
+      uploaderId,
+      recipientId: null,
+      messageId: null,
+    };
+
+    return new Promise((resolve, reject) => {
+      const upload = bucket().openUploadStream("attachment", { metadata });
+      upload.once("error", reject);
+      upload.once("finish", () =>
+        resolve(
+          toAttachment({
+            _id: upload.id,
+            length: buffer.length,
+            uploadDate: new Date(),
+            metadata,
+          })
+        )
+      );
+      upload.end(buffer);
+    });
+  },
+
+  /**
+   * Find an attachment's record by ID
+   */
+  findById: async (id) => {
+    return toAttachment(
+      await bucketCollection("files").findOne({
+        _id: new mongoose.Types.ObjectId(id),
+      })
+    );
+  },
+
+  /**
+   * Stream an attachment's contents
+   */
+  openStream: (id) => {
+    return bucket().openDownloadStream(new mongoose.Types.ObjectId(id));
+  },
+
+  /**
+   * Link unlinked uploads from one sender to a message, returning the count
+   */
+  link: async (ids, { messageId, recipientId, uploaderId }) => {
+    const result = await bucketCollection("files").updateMany(
+      {
+        _id: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+        "metadata.uploaderId": uploaderId,
+        "metadata.messageId": null,
+      },
+      {
+        $set: {
+          "metadata.messageId": messageId,
+          "metadata.recipientId": recipientId,
+        },
+      }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Delete attachments and their chunks
+   */
+  deleteByIds: async (ids) => {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const objectIds = ids.map((id) => new mongoose.Types.ObjectId(id));
+    const result = await bucketCollection("files").deleteMany({
+      _id: { $in: objectIds },
+    });
+    await bucketCollection("chunks").deleteMany({
+      files_id: { $in: objectIds },
+    });
+    return result.deletedCount;
+  },
+
+  /**
+   * Delete attachments uploaded or received by any of the given users
+   */
+  deleteForUsers: async (userIds) => {
+    const files = await bucketCollection("files")
+      .find({
+        $or: [
+          { "metadata.uploaderId": { $in: userIds } },
+          { "metadata.recipientId": { $in: userIds } },
+        ],
+      })
+      .project({ _id: 1 })
+      .toArray();
+
+    return attachments.deleteByIds(files.map((file) => file._id));
+  },
+
+  /**
+   * Delete uploads never linked to a message since before the given date, and
+   * linked ones whose message is gone (e.g. removed by the TTL index)
+   */
+  deleteOrphans: async (unlinkedBefore) => {
+    const orphans = await bucketCollection("files")
+      .aggregate([
+        {
+          $match: {
+            $or: [
+              {
+                "metadata.messageId": null,
+                uploadDate: { $lt: unlinkedBefore },
+              },
+              { "metadata.messageId": { $ne: null } },
+            ],
+          },
+        },
+        {
+          $lookup: {
+            from: Message.collection.collectionName,
+            localField: "metadata.messageId",
+            foreignField: "_id",
+            as: "message",
+          },
+        },
+        { $match: { message: { $size: 0 } } },
+        { $project: { _id: 1 } },
+      ])
+      .toArray();
+
+    return attachments.deleteByIds(orphans.map((file) => file._id));
+  },
+};
+
+// Outbox repository
+const outbox = {
+  /**
+   * Record a sent message in the sender's outbox
+   */
+  create: async (data) => {
+    const entry = new OutboxEntry(data);
+    await entry.save();
+    return entry.toObject();
+  },
+
+  /**
+   * A page of a sender's outbox, newest first, after an optional cursor
+   */
+  list: async (senderId, { cursor = null, limit = 20 } = {}) => {
+    const conditions = [{ senderId }];
+    if (cursor) {
+      conditions.push(keysetFilter(cursor, "forward"));
+    }
+
+    const entries = await OutboxEntry.find({ $and: conditions })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .select("-__v")
+      .lean();
+
+    return {
+      entries: entries.slice(0, limit),
+      hasMore: entries.length > limit,
+    };
+  },
+
+  /**
+   * Move entries forward to "delivered" or "read"; never moves them back
+   * The content preview is dropped once a message leaves the queue
+   */
+  advance: async (ids, status) => {
+    const compacted = ids.filter(Boolean);
+    if (compacted.length === 0) {
+      return 0;
+    }
+
+    const result = await OutboxEntry.updateMany(
+      {
+        _id: { $in: compacted },
+        status: {
+          $in: OUTBOX_PROGRESS.slice(0, OUTBOX_PROGRESS.indexOf(status)),
+        },
+      },
+      { status, [`${status}At`]: new Date(), $unset: { content: 1 } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Remove the content preview from the given entries
+   */
+  dropContent: async (ids) => {
+    const compacted = ids.filter(Boolean);
+    if (compacted.length === 0) {
+      return 0;
+    }
+
+    const result = await OutboxEntry.updateMany(
+      { _id: { $in: compacted }, content: { $exists: true } },
+      { $unset: { content: 1 } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Remove the content preview from entries whose message has expired
+   */
+  dropExpiredContent: async (now = new Date()) => {
+    const result = await OutboxEntry.updateMany(
+      { expiresAt: { $lte: now }, content: { $exists: true } },
+      { $unset: { content: 1 } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Messages sent per hour since the given date, oldest hour first
+   */
+  countByHour: async (since) => {
+    const hours = await OutboxEntry.aggregate([
+      { $match: { timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: "$timestamp", unit: "hour" } },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return hours.map(({ _id, count }) => ({ hour: _id, count }));
+  },
+
+  /**
+   * Mark undelivered entries addressed to deleted users or groups
+   */
+  markRecipientGone: async (recipientIds) => {
+    const result = await OutboxEntry.updateMany(
+      { recipientId: { $in: recipientIds }, status: "queued" },
+      { status: "recipient_gone", $unset: { content: 1 } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Delete the outboxes of the given senders
+   */
+  deleteForUsers: async (senderIds) => {
+    const result = await OutboxEntry.deleteMany({
+      senderId: { $in: senderIds },
+    });
+    return result.deletedCount;
+  },
+};
+
+// Admin key repository
+const adminKeys = {
+  /**
+   * Store a new admin key by hash
+   */
+  create: async (data) => {
+    const adminKey = new AdminKey(data);
+    await adminKey.save();
+    return adminKey.toObject();
+  },
+
+  /**
+   * Find an unrevoked admin key by hash
+   */
+  findByHash: (keyHash) => {
+    return AdminKey.findOne({ keyHash, revokedAt: null }).lean();
+  },
+
+  /**
+   * All admin keys, newest first, without their hashes
+   */
+  list: () => {
+    return AdminKey.find()
+      .sort({ createdAt: -1 })
+      .select("-keyHash -__v")
+      .lean();
+  },
+
+  /**
+   * Record that a key was just used
+   */
+  touch: async (id) => {
+    await AdminKey.updateOne({ _id: id }, { lastUsedAt: new Date() });
+  },
+
+  /**
+   * Revoke a key, returning false if it was not found or already revoked
+   */
+  revoke: async (id) => {
+    const result = await AdminKey.updateOne(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+  },
+};
+
+// Ban repository
+const bans = {
+  /**
+   * Ban a fingerprint or IP range
+   */
+  create: async (data) => {
+    const ban = new Ban(data);
+    await ban.save();
+    return ban.toObject();
+  },
+
+  /**
+   * Bans that have not expired, newest first
+   */
+  listActive: () => {
+    return Ban.find({
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    })
+      .sort({ createdAt: -1 })
+      .select("-__v")
+      .lean();
+  },
+
+  /**
+   * Lift a ban
+   */
+  remove: async (id) => {
+    const result = await Ban.deleteOne({ _id: id });
+    return result.deletedCount;
+  },
+};
+
+// Report repository
+const reports = {
+  /**
+   * Quarantine a reported message
+   */
+  create: async (data) => {
+    const report = new Report(data);
+    await report.save();
+    return report.toObject();
+  },
+
+  /**
+   * Find a report by ID
+   */
+  findById: (id) => {
+    return Report.findById(id).select("-__v").lean();
+  },
+
+  /**
+   * Reports with a status, oldest first so the queue is worked in order
+   */
+  list: ({ status = "open", limit = 50 } = {}) => {
+    return Report.find({ status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select("-__v")
+      .lean();
+  },
+
+  /**
+   * Count reports with a status
+   */
+  count: (status = "open") => {
+    return Report.countDocuments({ status });
+  },
+
+  /**
+   * Close an open report, returning null if it was not open
+   */
+  resolve: (id, { status, resolvedBy, resolutionNote }) => {
+    return Report.findOneAndUpdate(
+      { _id: id, status: "open" },
+      { status, resolvedBy, resolutionNote, resolvedAt: new Date() },
+      { new: true }
+    )
+      .select("-__v")
+      .lean();
+  },
+
+  /**
+   * Warnings issued to a sender ID or any of its fingerprints, newest first
+   */
+  listWarnings: (sender) => {
+    return Report.find({ ...reportedSenderFilter(sender), status: "warned" })
+      .sort({ resolvedAt: -1 })
+      .select("resolvedAt")
+      .lean();
+  },
+};
+
+// Audit log repository
+const auditLogs = {
+  /**
+   * Record an admin action
+   */
+  record: async (entry) => {
+    const auditLog = new AuditLog(entry);
+    await auditLog.save();
+    return auditLog.toObject();
+  },
+
+  /**
+   * Most recent entries, optionally filtered by action
+   */
+  list: ({ action, limit = 50 } = {}) => {
+    return AuditLog.find(action ? { action } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("-__v")
+      .lean();
+  },
+};
+
+// Group repository
+const groups = {
+  /**
+   * Find a group by ID
+   */
+  findById: (id) => {
+    return Group.findOne({ id }).lean();
+  },
+
+  /**
+   * Check if a group with this ID exists
+   */
+  exists: async (id) => {
+    return !!(await Group.exists({ id }));
+  },
+
+  /**
+   * Create a group under a newly reserved ID
+   */
+  create: async (data) => {
+    await idReservations.reserve(data.id, "group");
+    try {
+      const group = new Group(data);
+      await group.save();
+      return group.toObject();
+    } catch (error) {
+      await idReservations.release([data.id]);
+      throw error;
+    }
+  },
+
+  /**
+   * Groups a user belongs to
+   */
+  listForMember: (userId) => {
+    return Group.find({ "members.userId": userId })
+      .sort({ createdAt: -1 })
+      .lean();
+  },
+
+  /**
+   * Groups a user has been invited to but not joined
+   */
+  listInvitesFor: (userId) => {
+    return Group.find({ "invites.userId": userId })
+      .sort({ createdAt: -1 })
+      .lean();
+  },
+
+  /**
+   * Invite a user unless they already belong or are invited, returning the
+   * updated group
+   */
+  invite: (id, userId, { role = "member", invitedBy }) => {
+    return Group.findOneAndUpdate(
+      {
+        id,
+        "members.userId": { $ne: userId },
+        "invites.userId": { $ne: userId },
+      },
+      {
+        $push: {
+          invites: { userId, role, invitedBy, invitedAt: new Date() },
+        },
+      },
+      { new: true }
+    ).lean();
+  },
+
+  /**
+   * Turn a pending invite into a membership, returning the updated group
+   */
+  acceptInvite: async (id, userId) => {
+    const group = await Group.findOne({ id, "invites.userId": userId })
+      .select("invites")
+      .lean();
+    if (!group) {
+      return null;
+    }
+
+    const { role } = group.invites.find((invite) => invite.userId === userId);
+    return Group.findOneAndUpdate(
+      { id, "invites.userId": userId, "members.userId": { $ne: userId } },
+      {
+        $pull: { invites: { userId } },
+        $push: { members: { userId, role, joinedAt: new Date() } },
+      },
+      { new: true }
+    ).lean();
+  },
+
+  /**
+   * Withdraw or decline a pending invite
+   */
+  removeInvite: async (id, userId) => {
+    const result = await Group.updateOne(
+      { id, "invites.userId": userId },
+      { $pull: { invites: { userId } } }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Change a member's role, returning the updated group
+   */
+  setRole: (id, userId, role) => {
+    return Group.findOneAndUpdate(
+      { id, "members.userId": userId },
+      { $set: { "members.$.role": role } },
+      { new: true }
+    ).lean();
+  },
+
+  /**
+   * Remove users (and their pending invites) from every group (or just one),
+   * handing ownership of any group left without an owner to its successor
+   */
+  removeMembers: async (userIds, { groupId } = {}) => {
+    const scope = groupId ? { id: groupId } : {};
+    const result = await Group.updateMany(
+      {
+        ...scope,
+        $or: [
+          { "members.userId": { $in: userIds } },
+          { "invites.userId": { $in: userIds } },
+        ],
+      },
+      {
+        $pull: {
+          members: { userId: { $in: userIds } },
+          invites: { userId: { $in: userIds } },
+        },
+      }
+    );
+
+    const ownerless = await Group.find({
+      ...scope,
+      "members.0": { $exists: true },
+      "members.role": { $ne: "owner" },
+    }).lean();
+
+    for (const group of ownerless) {
+      await Group.updateOne(
+        { id: group.id, "members.userId": successorOf(group.members).userId },
+        { $set: { "members.$.role": "owner" } }
+      );
+    }
+
+    return result.modifiedCount;
+  },
+
+  /**
+   * Hard-delete a group
+   */
+  deleteById: async (id) => {
+    const result = await Group.deleteOne({ id });
+    await idReservations.release([id]);
+    return result.deletedCount;
+  },
+
+  /**
+   * Delete groups with no members left, returning their IDs
+   */
+  deleteEmpty: async () => {
+    const empty = await Group.find({ members: { $size: 0 } })
+      .select("id")
+      .lean();
+    const groupIds = empty.map((group) => group.id);
+
+    if (groupIds.length > 0) {
+      await Group.deleteMany({ id: { $in: groupIds }, members: { $size: 0 } });
+      await idReservations.release(groupIds);
+    }
+
+    return groupIds;
+  },
+};
+
+// Lock repository
+const locks = {
+  /**
+   * Take or renew a named lease, returning true if this owner now holds it
+   */
+  acquire: async (name, owner, ttlMs) => {
+    const now = new Date();
+    try {
+      await Lock.findOneAndUpdate(
+        { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+        { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The upsert collides with the existing _id while another owner holds it
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Release a lease if this owner still holds it
+   */
+  release: async (name, owner) => {
+    await Lock.deleteOne({ _id: name, owner });
+  },
+};
+
+// Job run repository
+const jobRuns = {
+  /**
+   * Record the outcome of a job run
+   */
+  record: async (run) => {
+    const jobRun = new JobRun(run);
+    await jobRun.save();
+    return jobRun.toObject();
+  },
+
+  /**
+   * Most recent runs, optionally filtered by job name
+   */
+  list: ({ job, limit = 20 } = {}) => {
+    return JobRun.find(job ? { job } : {})
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .select("-__v")
+      .lean();
+  },
+};
+
+// Reply token repository
+const replyTokens = {
+  /**
+   * Store a reply route for a hashed token
+   */
+  create: async (data) => {
+    const replyToken = new ReplyToken(data);
+    await replyToken.save();
+    return replyToken.toObject();
+  },
+
+  /**
+   * Find an unexpired reply route by token hash
+   */
+  findByHash: (tokenHash) => {
+    return ReplyToken.findOne({
+      tokenHash,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+  },
+
+  /**
+   * Delete an unexpired reply route for the inbox it was delivered to,
+   * returning it, or null if it is gone or another request used it first
+   */
+  consume: (tokenHash, recipientId) => {
+    return ReplyToken.findOneAndDelete({
+      tokenHash,
+      recipientId,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+  },
+
+  /**
+   * Delete reply routes involving any of the given users
+   */
+  deleteForUsers: async (userIds) => {
+    const result = await ReplyToken.deleteMany({
+      $or: [{ senderId: { $in: userIds } }, { recipientId: { $in: userIds } }],
+    });
+    return result.deletedCount;
+  },
+};
+
+// Rate limit counter repository
+const rateLimits = {
+  /**
+   * Count a hit for a key, starting a new window if the last one has ended
+   */
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const windowEnded = {
+      $or: [{ $lte: ["$resetAt", now] }, { $not: ["$resetAt"] }],
+    };
+
+    // Single pipeline update so concurrent hits from any instance are atomic
+    const counter = await RateLimit.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            hits: { $cond: [windowEnded, 1, { $add: ["$hits", 1] }] },
+            resetAt: {
+              $cond: [
+                windowEnded,
+                new Date(now.getTime() + windowMs),
+                "$resetAt",
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  },
+
+  /**
+   * Undo a hit (used when a limiter skips successful or failed requests)
+   */
+  decrement: async (key) => {
+    await RateLimit.updateOne(
+      { _id: key, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  },
+
+  /**
+   * Clear a key's counter
+   */
+  reset: async (key) => {
+    await RateLimit.deleteOne({ _id: key });
+  },
+};
+
+// Mongoose connection.readyState values
+const CONNECTION_STATES = [
+  "disconnected",
+  "connected",
+  "connecting",
+  "disconnecting",
+];
+
+/**
+ * Current connection state name
+ */
+const connectionState = () =>
+  CONNECTION_STATES[mongoose.connection.readyState] || "unknown";
+
+/**
+ * Whether queries can run now rather than queue until reconnection
+ */
+const isConnected = () => mongoose.connection.readyState === 1;
+
+module.exports = {
+  driver: "mongo",
+  connect: connectDatabase,
+  connectionState,
+  isConnected,
+  idReservations,
+  users,
+  messages,
+  attachments,
+  outbox,
+  groups,
+  locks,
+  jobRuns,
+  adminKeys,
+  bans,
+  reports,
+  auditLogs,
+  replyTokens,
+  rateLimits,
+};
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_KEY, startApp, createUser, sendMessage } = require("./helpers");
+
+describe("admin API", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const admin = { headers: { "X-Admin-Key": ADMIN_KEY } };
+
+  it("hides itself without a key and rejects unknown keys", async () => {
+    const hidden = await api("GET", "/admin/stats");
+    assert.equal(hidden.status, 404);
+
+    const rejected = await api("GET", "/admin/stats", {
+      headers: { "X-Admin-Key": "not-a-real-admin-key" },
+    });
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.body.code, "ADMIN_AUTH_REQUIRED");
+  });
+
+  it("issues admin keys that work until revoked", async () => {
+    const issued = await api("POST", "/admin/keys", {
+      ...admin,
+      body: { name: "on-call" },
+    });
+    assert.equal(issued.status, 201);
+    const { id, key } = issued.body.data;
+    const asOnCall = { headers: { "X-Admin-Key": key } };
+
+    const listed = await api("GET", "/admin/keys", asOnCall);
+    assert.equal(listed.status, 200);
+    const entry = listed.body.data.keys.find((k) => k._id === id);
+    assert.equal(entry.name, "on-call");
+    assert.equal(entry.keyHash, undefined);
+
+    const revoked = await api("DELETE", `/admin/keys/${id}`, admin);
+    assert.equal(revoked.status, 200);
+
+    assert.equal((await api("GET", "/admin/keys", asOnCall)).status, 401);
+  });
+
+  it("bans an IP range from every route until the ban is lifted", async () => {
+    const banned = { headers: { "X-Forwarded-For": "203.0.113.7" } };
+
+    const created = await api("POST", "/admin/bans", {
+      ...admin,
+      body: { type: "ip", value: "203.0.113.0/24", reason: "abuse" },
+    });
+    assert.equal(created.status, 201);
+    const banId = created.body.data.ban._id;
+
+    const duplicate = await api("POST", "/admin/bans", {
+      ...admin,
+      body: { type: "ip", value: "203.0.113.0/24" },
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, "ALREADY_BANNED");
+
+    const refused = await api("GET", "/generate-id", banned);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, "BANNED");
+
+    const elsewhere = await api("GET", "/generate-id", {
+      headers: { "X-Forwarded-For": "198.51.100.7" },
+    });
+    assert.equal(elsewhere.status, 200);
+
+    assert.equal(
+      (await api("DELETE", `/admin/bans/${banId}`, admin)).status,
+      200
+    );
+    assert.equal((await api("GET", "/generate-id", banned)).status, 200);
+  });
+
+  it("rejects bans that aren't a fingerprint or an IP range", async () => {
+    const { status, body } = await api("POST", "/admin/bans", {
+      ...admin,
+      body: { type: "fingerprint", value: "not-hex" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_BAN");
+  });
+
+  describe("message purge", () => {
+    const purge = (pattern, fields = {}) =>
+      api("POST", "/admin/messages/purge", {
+        ...admin,
+        body: { pattern, ...fields },
+      });
+
+    it("counts and deletes matches across several batches", async () => {
+      const sender = await createUser(api);
+      const recipient = await createUser(api);
+      for (let i = 1; i <= 5; i++) {
+        await sendMessage(api, sender, recipient.id, `spam offer ${i}`);
+      }
+      await sendMessage(api, sender, recipient.id, "keep this one");
+
+      const counted = await purge("SPAM offer \\d", { dryRun: true });
+      assert.equal(counted.status, 200);
+      assert.equal(counted.body.data.matched, 5);
+
+      const deleted = await purge("spam offer \\d", { caseSensitive: true });
+      assert.equal(deleted.body.data.deleted, 5);
+
+      const inbox = await api("GET", `/messages/${recipient.id}`, {
+        token: recipient.token,
+      });
+      assert.deepEqual(
+        inbox.body.data.messages.map((message) => message.content),
+        ["keep this one"]
+      );
+    });
+
+    it("refuses patterns that could backtrack catastrophically", async () => {
+      for (const pattern of [
+        "(a+)+$",
+        "(\\w*x?)*y",
+        "((ab)*c)+",
+        "(?:a|b+){2,}",
+      ]) {
+        const { status, body } = await purge(pattern, { dryRun: true });
+        assert.equal(status, 400, pattern);
+        assert.equal(body.code, "INVALID_PATTERN");
+      }
+
+      // Quantifiers inside a group, or on a group without any, are fine
+      for (const pattern of ["(a+)b", "(ab)+", "[(a+)]+", "\\(a+\\)+"]) {
+        const { status } = await purge(pattern, { dryRun: true });
+        assert.equal(status, 200, pattern);
+      }
+    });
+
+    it("refuses long or invalid patterns", async () => {
+      const long = await purge("a".repeat(101), { dryRun: true });
+      assert.equal(long.status, 400);
+      assert.equal(long.body.code, "INVALID_PATTERN");
+
+      const invalid = await purge("(unclosed", { dryRun: true });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.code, "INVALID_PATTERN");
+    });
+  });
+});
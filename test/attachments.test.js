@@ -0,0 +1,238 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+const { processAttachment } = require("../utils/attachments");
+
+const bytes = (...parts) =>
+  Buffer.concat(
+    parts.map((part) =>
+      typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part)
+    )
+  );
+
+/**
+ * JPEG marker segment with its length prefix
+ */
+const jpegSegment = (marker, payload) => {
+  const data = bytes(payload);
+  return bytes(
+    [0xff, marker, (data.length + 2) >> 8, (data.length + 2) & 0xff],
+    data
+  );
+};
+
+/**
+ * PNG chunk - the CRC isn't checked, so it is left zeroed
+ */
+const pngChunk = (type, payload) => {
+  const data = bytes(payload);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return bytes(length, type, data, [0, 0, 0, 0]);
+};
+
+/**
+ * WebP chunk, padded to an even length
+ */
+const webpChunk = (type, payload) => {
+  const data = bytes(payload);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(data.length);
+  return bytes(type, length, data, data.length % 2 ? [0] : []);
+};
+
+const webpFile = (...chunks) => {
+  const body = bytes(...chunks);
+  const size = Buffer.alloc(4);
+  size.writeUInt32LE(body.length + 4);
+  return bytes("RIFF", size, "WEBP", body);
+};
+
+// Kept segments of the test JPEG
+const JPEG_SOI = [0xff, 0xd8];
+const JPEG_JFIF = jpegSegment(0xe0, "JFIF\0\x01\x01\0\0\x01\0\x01\0\0");
+const JPEG_ICC = jpegSegment(0xe2, "ICC_PROFILE\0\x01\x01");
+const JPEG_TABLES = jpegSegment(0xdb, [0, 1, 2, 3]);
+const JPEG_SCAN = bytes([0xff, 0xda, 0, 2, 0x12, 0x34], [0xff, 0xd9]);
+
+const JPEG_WITH_EXIF = bytes(
+  JPEG_SOI,
+  JPEG_JFIF,
+  jpegSegment(0xe1, "Exif\0\0Canon EOS GPS 51.5N"),
+  jpegSegment(0xe1, "http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>"),
+  JPEG_ICC,
+  jpegSegment(0xfe, "Taken at home"),
+  JPEG_TABLES,
+  JPEG_SCAN
+);
+
+describe("attachment metadata stripping", () => {
+  it("removes EXIF, XMP and comments from JPEGs", () => {
+    const result = processAttachment(JPEG_WITH_EXIF);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.contentType, "image/jpeg");
+    assert.deepEqual(
+      result.buffer,
+      bytes(JPEG_SOI, JPEG_JFIF, JPEG_ICC, JPEG_TABLES, JPEG_SCAN)
+    );
+  });
+
+  it("removes text, EXIF and timestamp chunks from PNGs", () => {
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    const header = pngChunk("IHDR", Buffer.alloc(13));
+    const data = pngChunk("IDAT", [1, 2, 3]);
+    const end = pngChunk("IEND", []);
+
+    const result = processAttachment(
+      bytes(
+        signature,
+        header,
+        pngChunk("tEXt", "Author\0Jane"),
+        pngChunk("eXIf", "MM\0*"),
+        data,
+        pngChunk("tIME", [7, 234, 1, 1, 0, 0, 0]),
+        pngChunk("iTXt", "Comment\0\0\0\0\0hi"),
+        end
+      )
+    );
+
+    assert.equal(result.contentType, "image/png");
+    assert.deepEqual(result.buffer, bytes(signature, header, data, end));
+  });
+
+  it("removes EXIF and XMP chunks from WebPs and clears their flags", () => {
+    // VP8X flags: alpha (0x10), EXIF (0x08) and XMP (0x04)
+    const extended = (flags) =>
+      webpChunk("VP8X", [flags, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const image = webpChunk("VP8 ", [1, 2, 3]);
+
+    const result = processAttachment(
+      webpFile(
+        extended(0x1c),
+        image,
+        webpChunk("EXIF", "MM\0*GPS"),
+        webpChunk("XMP ", "<x:xmpmeta/>")
+      )
+    );
+
+    assert.equal(result.contentType, "image/webp");
+    assert.deepEqual(result.buffer, webpFile(extended(0x10), image));
+  });
+
+  it("removes comments and application data from GIFs but keeps looping", () => {
+    // 1x1 image with a two-colour global table
+    const header = bytes("GIF89a", [1, 0, 1, 0, 0x80, 0, 0], Buffer.alloc(6));
+    const loop = bytes([0x21, 0xff, 11], "NETSCAPE2.0", [3, 1, 0, 0, 0]);
+    const control = bytes([0x21, 0xf9, 4, 0, 0, 0, 0, 0]);
+    const image = bytes(
+      [0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0],
+      [2, 2, 0x4c, 0x01, 0]
+    );
+    const trailer = bytes([0x3b]);
+
+    const result = processAttachment(
+      bytes(
+        header,
+        loop,
+        bytes([0x21, 0xfe, 13], "Taken at home", [0]),
+        bytes([0x21, 0xff, 11], "XMP DataXMP", [3], "abc", [0]),
+        control,
+        image,
+        trailer
+      )
+    );
+
+    assert.equal(result.contentType, "image/gif");
+    assert.deepEqual(
+      result.buffer,
+      bytes(header, loop, control, image, trailer)
+    );
+  });
+
+  it("stores PDFs as uploaded", () => {
+    const pdf = bytes("%PDF-1.7\n%%EOF\n");
+    const result = processAttachment(pdf);
+
+    assert.equal(result.contentType, "application/pdf");
+    assert.deepEqual(result.buffer, pdf);
+  });
+
+  it("rejects unsupported and damaged files", () => {
+    const executable = processAttachment(bytes("MZ\x90\0"));
+    assert.equal(executable.valid, false);
+    assert.equal(executable.code, "UNSUPPORTED_ATTACHMENT_TYPE");
+
+    // APP1 segment claiming more bytes than the file has
+    assert.deepEqual(
+      processAttachment(bytes(JPEG_SOI, [0xff, 0xe1, 0x40, 0], "Exif")),
+      {
+        valid: false,
+        error: "The file is damaged or could not be read",
+        code: "INVALID_ATTACHMENT",
+      }
+    );
+  });
+});
+
+describe("attachment uploads", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  /**
+   * Upload a file as the given sender
+   */
+  const upload = (sender, buffer, type = "image/jpeg") => {
+    const form = new FormData();
+    form.append("senderId", sender.id);
+    form.append("file", new Blob([buffer], { type }), "photo.jpg");
+    return api("POST", "/attachments", { token: sender.token, body: form });
+  };
+
+  it("delivers images without their metadata", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const uploaded = await upload(sender, JPEG_WITH_EXIF);
+    assert.equal(uploaded.status, 201);
+    assert.equal(uploaded.body.data.contentType, "image/jpeg");
+
+    const sent = await sendMessage(api, sender, recipient.id, "photo", {
+      attachments: [uploaded.body.data.id],
+    });
+    assert.equal(sent.status, 201);
+
+    const inbox = await api("GET", `/messages/${recipient.id}`, {
+      token: recipient.token,
+    });
+    const [attachment] = inbox.body.data.messages[0].attachments;
+
+    const download = await api(
+      "GET",
+      `/messages/${recipient.id}/attachments/${attachment._id}`,
+      { token: recipient.token }
+    );
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get("content-type"), "image/jpeg");
+    assert.deepEqual(download.body, processAttachment(JPEG_WITH_EXIF).buffer);
+    assert.equal(download.body.includes("Exif"), false);
+  });
+
+  it("detects the type from the contents, not the declared type", async () => {
+    const sender = await createUser(api);
+
+    const { status, body } = await upload(
+      sender,
+      bytes("<script>alert(1)</script>"),
+      "image/png"
+    );
+    assert.equal(status, 400);
+    assert.equal(body.code, "UNSUPPORTED_ATTACHMENT_TYPE");
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+describe("block lists", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const block = (user, body) =>
+    api("POST", `/users/${user.id}/blocks`, { token: user.token, body });
+
+  const listBlocks = async (user) => {
+    const { body } = await api("GET", `/users/${user.id}/blocks`, {
+      token: user.token,
+    });
+    return body.data.blocks;
+  };
+
+  const inbox = async (user) => {
+    const { body } = await api("GET", `/messages/${user.id}`, {
+      token: user.token,
+    });
+    return body.data.messages;
+  };
+
+  it("silently drops messages from a blocked sender ID", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const created = await block(recipient, { senderId: sender.id });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.block.senderId, sender.id);
+
+    // Blocking again returns the same entry
+    const again = await block(recipient, { senderId: sender.id });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.data.block.id, created.body.data.block.id);
+
+    const sent = await sendMessage(api, sender, recipient.id, "hello?");
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.data.delivered, false);
+    assert.deepEqual(await inbox(recipient), []);
+
+    const removed = await api(
+      "DELETE",
+      `/users/${recipient.id}/blocks/${created.body.data.block.id}`,
+      { token: recipient.token }
+    );
+    assert.equal(removed.status, 200);
+    assert.deepEqual(await listBlocks(recipient), []);
+
+    await sendMessage(api, sender, recipient.id, "unblocked");
+    assert.deepEqual(
+      (await inbox(recipient)).map((message) => message.content),
+      ["unblocked"]
+    );
+  });
+
+  it("blocks the sender of a message by fingerprint without exposing it", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    const headers = { "User-Agent": "blocked-device" };
+
+    await sendMessage(api, sender, recipient.id, "unwanted", { headers });
+    const [message] = await inbox(recipient);
+
+    const created = await block(recipient, { messageId: message._id });
+    assert.equal(created.status, 201);
+    assert.deepEqual(Object.keys(created.body.data.block).sort(), [
+      "createdAt",
+      "id",
+      "type",
+    ]);
+
+    const [listed] = await listBlocks(recipient);
+    assert.equal(listed.type, "fingerprint");
+    assert.equal(listed.value, undefined);
+
+    // Same device under a fresh ID is still dropped, other devices are not.
+    // The first fetch leased the blocked message, so only new ones show.
+    const fresh = await createUser(api);
+    await sendMessage(api, fresh, recipient.id, "again", { headers });
+    await sendMessage(api, fresh, recipient.id, "other device");
+    assert.deepEqual(
+      (await inbox(recipient)).map((entry) => entry.content),
+      ["other device"]
+    );
+  });
+
+  it("rejects invalid blocks and caps the list", async () => {
+    const recipient = await createUser(api);
+
+    const self = await block(recipient, { senderId: recipient.id });
+    assert.equal(self.status, 400);
+    assert.equal(self.body.code, "INVALID_ID");
+
+    const both = await block(recipient, {
+      senderId: "123456",
+      messageId: "0123456789abcdef01234567",
+    });
+    assert.equal(both.status, 400);
+
+    const unknown = await block(recipient, {
+      messageId: "0123456789abcdef01234567",
+    });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, "MESSAGE_NOT_FOUND");
+
+    // users.maxBlocks is 3 in the test config
+    for (const senderId of ["100001", "100002", "100003"]) {
+      assert.equal((await block(recipient, { senderId })).status, 201);
+    }
+    const full = await block(recipient, { senderId: "100004" });
+    assert.equal(full.status, 409);
+    assert.equal(full.body.code, "BLOCK_LIST_FULL");
+
+    const missing = await api(
+      "DELETE",
+      `/users/${recipient.id}/blocks/0123456789abcdef01234567`,
+      { token: recipient.token }
+    );
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, "BLOCK_NOT_FOUND");
+  });
+});
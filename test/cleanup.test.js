@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const storage = require("../storage");
+const {
+  JOB_NAME,
+  runCleanup,
+  startCleanupJob,
+  stopCleanupJob,
+} = require("../jobs/cleanup");
+const { sleep } = require("../utils/helpers");
+
+const { users, locks, jobRuns } = storage;
+
+let nextId = 0;
+
+/**
+ * Create users already marked for deletion, returning their IDs
+ */
+const createMarkedUsers = async (count) => {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const id = `marked-${nextId++}`;
+    await users.create({ id, tokenHash: "hash" });
+    ids.push(id);
+  }
+  await users.markForDeletion(ids, "manual");
+  // Marked strictly before the run's cutoff
+  await sleep(5);
+  return ids;
+};
+
+const remaining = async (ids) =>
+  (await Promise.all(ids.map((id) => users.findById(id)))).filter(Boolean)
+    .length;
+
+describe("cleanup job", () => {
+  beforeEach(async () => {
+    // Drop anything a previous test left marked
+    await runCleanup({ softDeleteGraceMs: 0 });
+  });
+
+  it("deletes marked users in batches, renewing its lock between them", async (t) => {
+    const ids = await createMarkedUsers(5);
+    const acquire = t.mock.method(locks, "acquire");
+
+    const run = await runCleanup({ softDeleteGraceMs: 0, batchSize: 2 });
+
+    assert.equal(run.status, "success");
+    assert.equal(run.results.deletedUsers, 5);
+    assert.equal(await remaining(ids), 0);
+    // Taken once, renewed before batches 2 and 3 and the three later stages
+    assert.equal(acquire.mock.callCount(), 6);
+  });
+
+  it("skips the run while another instance holds the lock", async () => {
+    const ids = await createMarkedUsers(1);
+    assert.equal(await locks.acquire(JOB_NAME, "other-instance", 60000), true);
+
+    try {
+      assert.equal(await runCleanup({ softDeleteGraceMs: 0 }), null);
+      assert.equal(await remaining(ids), 1);
+    } finally {
+      await locks.release(JOB_NAME, "other-instance");
+    }
+  });
+
+  it("stops when the lock is lost between batches", async (t) => {
+    const ids = await createMarkedUsers(4);
+    const acquire = locks.acquire;
+    let calls = 0;
+    t.mock.method(locks, "acquire", (...args) =>
+      calls++ === 0 ? acquire(...args) : Promise.resolve(false)
+    );
+
+    const run = await runCleanup({ softDeleteGraceMs: 0, batchSize: 2 });
+
+    assert.equal(run.status, "failed");
+    assert.match(run.error, /lock expired/);
+    assert.equal(await remaining(ids), 2);
+  });
+
+  it("runs once at startup", async () => {
+    const before = (await jobRuns.list({ job: JOB_NAME })).length;
+
+    startCleanupJob();
+    try {
+      for (let i = 0; i < 50; i++) {
+        if ((await jobRuns.list({ job: JOB_NAME })).length > before) {
+          break;
+        }
+        await sleep(10);
+      }
+      assert.equal((await jobRuns.list({ job: JOB_NAME })).length, before + 1);
+    } finally {
+      stopCleanupJob();
+    }
+  });
+});
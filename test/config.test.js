@@ -0,0 +1,107 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const fixture = (name) => path.join(__dirname, "fixtures", name);
+
+/**
+ * Load the config in a fresh process with the given environment, returning
+ * { status, config, stderr }. Invalid config exits the process, so it can't
+ * be loaded in this one.
+ */
+const loadConfig = (env) => {
+  const result = spawnSync(
+    process.execPath,
+    ["-e", 'process.stdout.write(JSON.stringify(require("./config")))'],
+    {
+      cwd: path.join(__dirname, ".."),
+      env: { PATH: process.env.PATH, STORAGE_DRIVER: "memory", ...env },
+      encoding: "utf8",
+    }
+  );
+  return {
+    status: result.status,
+    config: result.status === 0 ? JSON.parse(result.stdout) : null,
+    stderr: result.stderr,
+  };
+};
+
+describe("configuration", () => {
+  it("defaults the limits that used to be hard-coded", () => {
+    const { status, config } = loadConfig({});
+    assert.equal(status, 0);
+
+    assert.equal(config.messages.leaseMs, 60 * 1000);
+    assert.equal(config.messages.replyTokenTtlMs, 7 * 24 * 60 * 60 * 1000);
+    assert.equal(config.messages.maxCiphertextLength, 4096);
+    assert.equal(config.users.maxBlocks, 500);
+    assert.equal(config.groups.maxMembers, 50);
+    assert.equal(config.reports.warningCooldownMs, 24 * 60 * 60 * 1000);
+    assert.equal(config.reports.maxWarnings, 3);
+    assert.equal(config.admin.banCacheMs, 30 * 1000);
+    assert.equal(config.attachments.maxImageBytes, 5 * 1024 * 1024);
+    assert.equal(config.attachments.uploadTtlMs, 60 * 60 * 1000);
+  });
+
+  it("reads overrides from the environment", () => {
+    const { status, config } = loadConfig({
+      MESSAGE_LEASE_MS: "5000",
+      MAX_GROUP_MEMBERS: "10",
+      MAX_SENDER_WARNINGS: "5",
+      ATTACHMENT_MAX_GIF_BYTES: "1024",
+      CORS_ORIGINS: "https://a.example, https://b.example",
+    });
+    assert.equal(status, 0);
+
+    assert.equal(config.messages.leaseMs, 5000);
+    assert.equal(config.groups.maxMembers, 10);
+    assert.equal(config.reports.maxWarnings, 5);
+    assert.equal(config.attachments.maxGifBytes, 1024);
+    assert.deepEqual(config.cors.allowedOrigins, [
+      "https://a.example",
+      "https://b.example",
+    ]);
+  });
+
+  it("lets the environment win over CONFIG_FILE, which wins over defaults", () => {
+    const { status, config } = loadConfig({
+      CONFIG_FILE: fixture("rate-limits.json"),
+      RATE_LIMIT_STORE: "memory",
+    });
+    assert.equal(status, 0);
+
+    assert.equal(config.rateLimits.store, "memory");
+    assert.equal(config.rateLimits.messageIp.max, 2);
+    // Siblings not named in the file keep their defaults
+    assert.equal(config.rateLimits.messageIp.windowMs, 10 * 60 * 1000);
+  });
+
+  it("exits listing every invalid value with its variable name", () => {
+    const { status, stderr } = loadConfig({
+      MESSAGE_LEASE_MS: "soon",
+      MAX_BLOCKS_PER_USER: "0",
+      ADMIN_API_KEY: "short",
+    });
+    assert.equal(status, 1);
+
+    assert.match(stderr, /Invalid configuration/);
+    assert.match(stderr, /\(MESSAGE_LEASE_MS\)/);
+    assert.match(stderr, /\(MAX_BLOCKS_PER_USER\)/);
+    assert.match(stderr, /\(ADMIN_API_KEY\)/);
+  });
+
+  it("requires a MongoDB URI for the mongo driver", () => {
+    const { status, stderr } = loadConfig({ STORAGE_DRIVER: "mongo" });
+    assert.equal(status, 1);
+    assert.match(stderr, /\(MONGODB_URI\)/);
+  });
+
+  it("reports an unreadable CONFIG_FILE", () => {
+    const { status, stderr } = loadConfig({
+      CONFIG_FILE: fixture("missing.json"),
+    });
+    assert.equal(status, 1);
+    assert.match(stderr, /Could not read CONFIG_FILE/);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+// Just past MESSAGE_LEASE_MS
+const LEASE_EXPIRY_MS = 61 * 1000;
+
+describe("acknowledged delivery", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  /**
+   * Fetch a page of the inbox, returning the response data
+   */
+  const fetchInbox = async (user, query = "") => {
+    const { status, body } = await api("GET", `/messages/${user.id}${query}`, {
+      token: user.token,
+    });
+    assert.equal(status, 200);
+    return body.data;
+  };
+
+  it("redelivers messages that aren't acknowledged before their lease expires", async (t) => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "acknowledged");
+    await sendMessage(api, sender, recipient.id, "dropped");
+
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+
+    const leased = await fetchInbox(recipient);
+    assert.equal(leased.messages.length, 2);
+    assert.ok(leased.leaseId);
+
+    // Leased messages are hidden from other fetches until the lease expires
+    assert.equal((await fetchInbox(recipient)).messages.length, 0);
+
+    const acknowledged = leased.messages.find(
+      (message) => message.content === "acknowledged"
+    );
+    const ack = await api("POST", `/messages/${recipient.id}/ack`, {
+      token: recipient.token,
+      body: { leaseId: leased.leaseId, messageIds: [acknowledged._id] },
+    });
+    assert.equal(ack.body.data.acknowledged, 1);
+
+    t.mock.timers.tick(LEASE_EXPIRY_MS);
+
+    const redelivered = await fetchInbox(recipient);
+    assert.deepEqual(
+      redelivered.messages.map((message) => message.content),
+      ["dropped"]
+    );
+    assert.notEqual(redelivered.leaseId, leased.leaseId);
+
+    // Acknowledging by lease covers every message of the page
+    const ackLease = await api("POST", `/messages/${recipient.id}/ack`, {
+      token: recipient.token,
+      body: { leaseId: redelivered.leaseId },
+    });
+    assert.equal(ackLease.body.data.acknowledged, 1);
+
+    t.mock.timers.tick(LEASE_EXPIRY_MS);
+    assert.equal((await fetchInbox(recipient)).messages.length, 0);
+  });
+
+  it("only acknowledges messages still held under the given lease", async (t) => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "contested");
+
+    const ack = (body) =>
+      api("POST", `/messages/${recipient.id}/ack`, {
+        token: recipient.token,
+        body,
+      });
+
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+
+    const first = await fetchInbox(recipient);
+    const [message] = first.messages;
+
+    // Message IDs alone can't delete anything
+    const withoutLease = await ack({ messageIds: [message._id] });
+    assert.equal(withoutLease.status, 400);
+
+    t.mock.timers.tick(LEASE_EXPIRY_MS);
+    const second = await fetchInbox(recipient);
+    assert.equal(second.messages.length, 1);
+
+    // The expired lease no longer covers the redelivered message
+    const stale = await ack({
+      leaseId: first.leaseId,
+      messageIds: [message._id],
+    });
+    assert.equal(stale.body.data.acknowledged, 0);
+
+    const current = await ack({
+      leaseId: second.leaseId,
+      messageIds: [message._id],
+    });
+    assert.equal(current.body.data.acknowledged, 1);
+  });
+});
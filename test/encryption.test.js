@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+const ALGORITHM = "x25519-xsalsa20-poly1305";
+
+const base64Bytes = (count) => crypto.randomBytes(count).toString("base64");
+
+describe("end-to-end encryption", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const publicKeyOf = (userId) => api("GET", `/users/${userId}/public-key`);
+
+  /**
+   * Register a user with a key, returning { id, token, key }
+   */
+  const createUserWithKey = async () => {
+    const key = base64Bytes(32);
+    const { status, body } = await api("POST", "/generate-id", {
+      body: { publicKey: key, algorithm: ALGORITHM },
+    });
+    assert.equal(status, 200);
+    return { id: body.data.id, token: body.data.token, key };
+  };
+
+  const sendEncrypted = (sender, recipientId, fields = {}) =>
+    sendMessage(api, sender, recipientId, base64Bytes(48), {
+      encrypted: true,
+      algorithm: ALGORITHM,
+      nonce: base64Bytes(24),
+      ...fields,
+    });
+
+  it("registers a public key when an ID is generated", async () => {
+    const user = await createUserWithKey();
+
+    const { status, body } = await publicKeyOf(user.id);
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.publicKey, {
+      algorithm: ALGORITHM,
+      key: user.key,
+    });
+
+    // Without a body it still creates a keyless user
+    const keyless = await createUser(api);
+    const missing = await publicKeyOf(keyless.id);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, "PUBLIC_KEY_NOT_FOUND");
+  });
+
+  it("registers a public key when a custom ID is claimed, in either form", async () => {
+    const key = base64Bytes(32);
+    const flat = await api("POST", "/custom-id/800001", {
+      body: { publicKey: key, algorithm: ALGORITHM },
+    });
+    assert.equal(flat.status, 200);
+    assert.equal((await publicKeyOf("800001")).body.data.publicKey.key, key);
+
+    const nested = await api("POST", "/custom-id/800002", {
+      body: { publicKey: { algorithm: ALGORITHM, key } },
+    });
+    assert.equal(nested.status, 200);
+    assert.equal((await publicKeyOf("800002")).status, 200);
+  });
+
+  it("rejects malformed keys without creating the user", async () => {
+    const wrongSize = await api("POST", "/custom-id/800003", {
+      body: { publicKey: base64Bytes(16), algorithm: ALGORITHM },
+    });
+    assert.equal(wrongSize.status, 400);
+    assert.equal(wrongSize.body.code, "INVALID_PUBLIC_KEY");
+
+    const noKey = await api("POST", "/generate-id", {
+      body: { algorithm: ALGORITHM },
+    });
+    assert.equal(noKey.status, 400);
+    assert.equal(noKey.body.code, "INVALID_PUBLIC_KEY");
+
+    const exists = await api("GET", "/users/800003/exists");
+    assert.equal(exists.body.data.exists, false);
+  });
+
+  it("accepts well-formed ciphertext for the recipient's scheme", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUserWithKey();
+
+    const sent = await sendEncrypted(sender, recipient.id);
+    assert.equal(sent.status, 201);
+
+    const { body } = await api("GET", `/messages/${recipient.id}`, {
+      token: recipient.token,
+    });
+    const [message] = body.data.messages;
+    assert.equal(message.encrypted, true);
+    assert.equal(message.algorithm, ALGORITHM);
+    assert.ok(message.nonce);
+  });
+
+  it("checks the envelope instead of moderating ciphertext", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUserWithKey();
+    const keyless = await createUser(api);
+
+    const badNonce = await sendEncrypted(sender, recipient.id, {
+      nonce: base64Bytes(12),
+    });
+    assert.equal(badNonce.status, 400);
+
+    const notBase64 = await sendEncrypted(sender, recipient.id, {
+      content: "not base64 at all!",
+    });
+    assert.equal(notBase64.status, 400);
+
+    const tooLong = await sendEncrypted(sender, recipient.id, {
+      content: "A".repeat(4100),
+    });
+    assert.equal(tooLong.status, 400);
+
+    const mismatch = await sendEncrypted(sender, recipient.id, {
+      algorithm: "p256-aes-256-gcm",
+      nonce: base64Bytes(12),
+    });
+    assert.equal(mismatch.status, 400);
+    assert.equal(mismatch.body.code, "ALGORITHM_MISMATCH");
+
+    const noKey = await sendEncrypted(sender, keyless.id);
+    assert.equal(noKey.status, 409);
+    assert.equal(noKey.body.code, "RECIPIENT_NO_PUBLIC_KEY");
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { errorHandler } = require("../middleware");
+const {
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  UnavailableError,
+} = require("../utils/errors");
+
+/**
+ * Run errorHandler on an error, returning { status, headers, body }
+ */
+const handle = (error) => {
+  const sent = { status: null, headers: {}, body: null };
+  const res = {
+    status(code) {
+      sent.status = code;
+      return this;
+    },
+    set(name, value) {
+      sent.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+      return this;
+    },
+  };
+  errorHandler(error, { id: "test-request" }, res, () => {});
+  return sent;
+};
+
+describe("error handling", () => {
+  it("answers typed errors with their status, code and message", () => {
+    const notFound = handle(
+      new NotFoundError("User not found", { code: "USER_NOT_FOUND" })
+    );
+    assert.equal(notFound.status, 404);
+    assert.deepEqual(notFound.body, {
+      success: false,
+      error: "User not found",
+      code: "USER_NOT_FOUND",
+    });
+
+    const conflict = handle(new ConflictError("Taken"));
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.code, "CONFLICT");
+  });
+
+  it("sends Retry-After for rate limited and unavailable errors", () => {
+    const limited = handle(
+      new RateLimitedError("Slow down", { retryAfter: 30 })
+    );
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers["Retry-After"], "30");
+    assert.equal(limited.body.data.retryAfter, 30);
+
+    const unavailable = handle(new UnavailableError("Down"));
+    assert.equal(unavailable.status, 503);
+    assert.equal(unavailable.body.code, "SERVICE_UNAVAILABLE");
+    assert.equal(unavailable.headers["Retry-After"], undefined);
+  });
+
+  it("never leaks the message of an unexpected error", () => {
+    const { status, body } = handle(
+      new Error("connect ECONNREFUSED 10.0.0.5:27017")
+    );
+    assert.equal(status, 500);
+    assert.equal(body.error, "Internal server error");
+    assert.equal(body.code, "INTERNAL_ERROR");
+    assert.doesNotMatch(JSON.stringify(body), /ECONNREFUSED/);
+  });
+
+  it("maps database and body parser errors", () => {
+    const duplicate = handle(
+      Object.assign(new Error("E11000 duplicate key"), { code: 11000 })
+    );
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, "DUPLICATE_ID");
+
+    const tooLarge = handle(
+      Object.assign(new Error("request entity too large"), {
+        type: "entity.too.large",
+      })
+    );
+    assert.equal(tooLarge.status, 413);
+    assert.equal(tooLarge.body.code, "PAYLOAD_TOO_LARGE");
+  });
+
+  describe("over HTTP", () => {
+    let api;
+    let baseUrl;
+    let close;
+
+    before(async () => {
+      ({ api, baseUrl, close } = await startApp());
+    });
+
+    after(() => close());
+
+    it("answers unknown routes with NOT_FOUND", async () => {
+      const { status, body } = await api("GET", "/no-such-route");
+      assert.equal(status, 404);
+      assert.equal(body.code, "NOT_FOUND");
+      assert.equal(body.data.path, "/api/v1/no-such-route");
+    });
+
+    it("rejects malformed JSON bodies", async () => {
+      const response = await fetch(`${baseUrl}/api/v1/messages/send`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: '{"recipientId": ',
+      });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).code, "INVALID_JSON");
+    });
+
+    it("reports a taken custom ID as a conflict", async () => {
+      assert.equal((await api("POST", "/custom-id/600001")).status, 200);
+
+      const taken = await api("POST", "/custom-id/600001");
+      assert.equal(taken.status, 409);
+      assert.equal(taken.body.code, "ID_TAKEN");
+      assert.equal(taken.body.error, "ID already taken");
+    });
+  });
+});
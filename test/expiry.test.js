@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+const { sleep } = require("../utils/helpers");
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+describe("message expiry", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const inbox = async (user) => {
+    const { body } = await api("GET", `/messages/${user.id}`, {
+      token: user.token,
+    });
+    return body.data.messages.map((message) => message.content);
+  };
+
+  const outbox = async (sender) => {
+    const { body } = await api("GET", `/users/${sender.id}/outbox`, {
+      token: sender.token,
+    });
+    return body.data.messages;
+  };
+
+  /**
+   * Seconds from now until the given expiry
+   */
+  const secondsLeft = (expiresAt) =>
+    (new Date(expiresAt).getTime() - Date.now()) / 1000;
+
+  it("caps the sender's timer at the server maximum", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const forever = await sendMessage(api, sender, recipient.id, "long", {
+      expiresIn: 365 * DAY_SECONDS,
+    });
+    assert.equal(forever.status, 201);
+    const left = secondsLeft(forever.body.data.expiresAt);
+    assert.ok(left > 7 * DAY_SECONDS - 60 && left <= 7 * DAY_SECONDS);
+
+    const untimed = await sendMessage(api, sender, recipient.id, "plain");
+    assert.equal(untimed.body.data.expiresAt, null);
+
+    const invalid = await sendMessage(api, sender, recipient.id, "never", {
+      expiresIn: 0,
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "INVALID_EXPIRY");
+  });
+
+  it("applies the recipient's default when it is shorter", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const settings = await api("PUT", `/users/${recipient.id}/settings`, {
+      token: recipient.token,
+      body: { defaultMessageExpiry: 60 },
+    });
+    assert.equal(settings.status, 200);
+    assert.equal(settings.body.data.settings.defaultMessageExpiry, 60);
+
+    const untimed = await sendMessage(api, sender, recipient.id, "default");
+    assert.ok(secondsLeft(untimed.body.data.expiresAt) <= 60);
+
+    const longer = await sendMessage(api, sender, recipient.id, "longer", {
+      expiresIn: 3600,
+    });
+    assert.ok(secondsLeft(longer.body.data.expiresAt) <= 60);
+
+    const shorter = await sendMessage(api, sender, recipient.id, "shorter", {
+      expiresIn: 30,
+    });
+    assert.ok(secondsLeft(shorter.body.data.expiresAt) <= 30);
+  });
+
+  it("never returns an expired message", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    await sendMessage(api, sender, recipient.id, "gone soon", {
+      expiresIn: 1,
+    });
+    await sendMessage(api, sender, recipient.id, "kept");
+
+    await sleep(1100);
+
+    assert.deepEqual(await inbox(recipient), ["kept"]);
+
+    const [kept, expired] = await outbox(sender);
+    assert.equal(kept.status, "delivered");
+    assert.equal(expired.status, "expired");
+    assert.equal(expired.content, undefined);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+describe("group inboxes", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const createGroup = (owner, body = {}) =>
+    api("POST", `/users/${owner.id}/groups`, { token: owner.token, body });
+
+  const inbox = async (user) => {
+    const { body } = await api("GET", `/messages/${user.id}`, {
+      token: user.token,
+    });
+    return body.data.messages.map((message) => message.content);
+  };
+
+  it("delivers to invited members only once they accept", async () => {
+    const owner = await createUser(api);
+    const invitee = await createUser(api);
+
+    const created = await createGroup(owner, {
+      name: "Book club",
+      members: [invitee.id],
+    });
+    assert.equal(created.status, 201);
+    const group = created.body.data;
+    assert.equal(group.id.length, 8);
+    assert.deepEqual(
+      group.invites.map((invite) => invite.userId),
+      [invitee.id]
+    );
+
+    const listed = await api("GET", `/users/${invitee.id}/groups`, {
+      token: invitee.token,
+    });
+    assert.deepEqual(
+      listed.body.data.invites.map((invite) => invite.id),
+      [group.id]
+    );
+
+    await sendMessage(api, owner, group.id, "before joining");
+    assert.deepEqual(await inbox(invitee), []);
+
+    const accepted = await api(
+      "POST",
+      `/users/${invitee.id}/groups/${group.id}/accept`,
+      { token: invitee.token }
+    );
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.data.role, "member");
+
+    const sent = await sendMessage(api, owner, group.id, "welcome");
+    assert.equal(sent.status, 201);
+    assert.deepEqual(await inbox(invitee), ["welcome"]);
+    assert.deepEqual(await inbox(owner), []);
+  });
+
+  it("lets invitees decline and only managers invite", async () => {
+    const owner = await createUser(api);
+    const member = await createUser(api);
+    const outsider = await createUser(api);
+
+    const { body } = await createGroup(owner, { members: [member.id] });
+    const groupId = body.data.id;
+
+    await api("POST", `/users/${member.id}/groups/${groupId}/accept`, {
+      token: member.token,
+    });
+
+    const invited = await api(
+      "POST",
+      `/users/${member.id}/groups/${groupId}/members`,
+      { token: member.token, body: { memberId: outsider.id } }
+    );
+    assert.equal(invited.status, 403);
+
+    const byOwner = await api(
+      "POST",
+      `/users/${owner.id}/groups/${groupId}/members`,
+      { token: owner.token, body: { memberId: outsider.id } }
+    );
+    assert.equal(byOwner.status, 201);
+
+    const decline = () =>
+      api("DELETE", `/users/${outsider.id}/groups/${groupId}/invite`, {
+        token: outsider.token,
+      });
+    assert.equal((await decline()).status, 200);
+    const again = await decline();
+    assert.equal(again.status, 404);
+    assert.equal(again.body.code, "INVITE_NOT_FOUND");
+  });
+
+  it("shares one ID namespace with users", async () => {
+    const owner = await createUser(api);
+
+    const clash = await createGroup(owner, { id: owner.id });
+    assert.equal(clash.status, 409);
+    assert.equal(clash.body.code, "ID_TAKEN");
+
+    const { body } = await createGroup(owner, { id: "700001" });
+    const taken = await api("POST", "/custom-id/700001");
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, "ID_TAKEN");
+
+    // Deleting the group frees its ID
+    const deleted = await api(
+      "DELETE",
+      `/users/${owner.id}/groups/${body.data.id}`,
+      { token: owner.token }
+    );
+    assert.equal(deleted.status, 200);
+    assert.equal((await api("POST", "/custom-id/700001")).status, 200);
+  });
+
+  it("gives a contested ID to exactly one of two racing requests", async () => {
+    const owner = await createUser(api);
+
+    const results = await Promise.all([
+      createGroup(owner, { id: "700002" }),
+      api("POST", "/custom-id/700002"),
+      createGroup(owner, { id: "700002" }),
+    ]);
+
+    assert.equal(
+      results.filter(({ status }) => status === 200 || status === 201).length,
+      1
+    );
+    for (const { status, body } of results) {
+      if (status === 409) {
+        assert.equal(body.code, "ID_TAKEN");
+      }
+    }
+  });
+});
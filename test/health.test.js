@@ -0,0 +1,77 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const storage = require("../storage");
+const { runCleanup } = require("../jobs/cleanup");
+const { version } = require("../package.json");
+
+describe("health, readiness and wake", () => {
+  let api;
+  let request;
+  let close;
+  let connected = true;
+
+  before(async () => {
+    // Mocked before the app loads, so the middleware picks it up too
+    mock.method(storage, "isConnected", () => connected);
+    ({ api, request, close } = await startApp());
+  });
+
+  after(() => {
+    mock.restoreAll();
+    return close();
+  });
+
+  it("reports liveness and wakes in the standard envelope", async () => {
+    for (const path of ["/health", "/wake"]) {
+      const { status, body } = await request("GET", path);
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.data.version, version);
+      assert.equal(typeof body.data.uptimeSeconds, "number");
+    }
+  });
+
+  it("is ready once connected with cleanup keeping up", async () => {
+    const { status, body } = await request("GET", "/ready");
+    assert.equal(status, 200);
+    assert.equal(body.data.status, "ready");
+    assert.equal(body.data.checks.database.ok, true);
+  });
+
+  it("is not ready when cleanup has not succeeded for too long", async (t) => {
+    // Well past the startup grace period, with no successful run yet
+    t.mock.method(process, "uptime", () => 7 * 24 * 60 * 60);
+
+    const stale = await request("GET", "/ready");
+    assert.equal(stale.status, 503);
+    assert.equal(stale.body.success, false);
+    assert.equal(stale.body.code, "NOT_READY");
+    assert.equal(stale.body.data.checks.cleanup.ok, false);
+
+    await runCleanup();
+    const recovered = await request("GET", "/ready");
+    assert.equal(recovered.status, 200);
+    assert.ok(recovered.body.data.checks.cleanup.lastSuccessAt);
+  });
+
+  it("refuses API traffic while the database is down, but still answers health", async () => {
+    connected = false;
+    try {
+      const ready = await request("GET", "/ready");
+      assert.equal(ready.status, 503);
+      assert.equal(ready.body.data.checks.database.ok, false);
+
+      assert.equal((await request("GET", "/health")).status, 200);
+
+      const refused = await api("GET", "/generate-id");
+      assert.equal(refused.status, 503);
+      assert.equal(refused.body.code, "SERVICE_UNAVAILABLE");
+      assert.equal(refused.headers.get("retry-after"), "5");
+    } finally {
+      connected = true;
+    }
+
+    assert.equal((await api("GET", "/generate-id")).status, 200);
+  });
+});
@@ -0,0 +1,100 @@
+const path = require("path");
+const { once } = require("events");
+
+// Shared setup for the API tests. The whole API runs offline against the
+// in-memory storage backend, with rate limits from a config file in
+// test/fixtures. Each test file runs in its own process, so every file gets
+// a fresh store and may pick its own config.
+
+// Bootstrap admin key from fixtures/config.json
+const ADMIN_KEY = "test-admin-key-0123456789";
+
+const fixture = (name) => path.join(__dirname, "fixtures", name);
+
+// Set before anything loads the config, including modules tested directly
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  RATE_LIMIT_STORE: "memory",
+  LOG_LEVEL: "error",
+  CONFIG_FILE: fixture("config.json"),
+});
+
+/**
+ * Start the app on a free local port, with the config from the named
+ * fixture unless a module already loaded the default one
+ * Returns { api, request, close, baseUrl }. request(method, path, options) calls any
+ * path on the server; api(method, path, options) calls an API route under
+ * /api/v1, or under the version named in options.version ("" for the
+ * unversioned /api). Options are { token, body, headers }, and both resolve
+ * to { status, headers, body } - JSON responses are parsed, anything else is
+ * returned as a Buffer.
+ */
+const startApp = async (configFile = "config.json") => {
+  process.env.CONFIG_FILE = fixture(configFile);
+
+  const app = require("../app");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined &&
+          !isForm && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: isForm || body === undefined ? body : JSON.stringify(body),
+    });
+
+    const isJson = (response.headers.get("content-type") || "").includes(
+      "application/json"
+    );
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson
+        ? await response.json()
+        : Buffer.from(await response.arrayBuffer()),
+    };
+  };
+
+  const api = (method, url, { version = "v1", ...options } = {}) =>
+    request(method, `/api${version ? `/${version}` : ""}${url}`, options);
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { api, request, close, baseUrl };
+};
+
+/**
+ * Register a new user, returning { id, token }
+ */
+const createUser = async (api, { headers } = {}) => {
+  const { body } = await api("GET", "/generate-id", { headers });
+  return { id: body.data.id, token: body.data.token };
+};
+
+/**
+ * Send a message as a registered user
+ * Options are extra body fields, plus headers and version as for api()
+ */
+const sendMessage = (api, sender, recipientId, content, options = {}) => {
+  const { headers, version, ...fields } = options;
+  return api("POST", "/messages/send", {
+    token: sender.token,
+    body: { senderId: sender.id, recipientId, content, ...fields },
+    headers,
+    version,
+  });
+};
+
+module.exports = {
+  ADMIN_KEY,
+  startApp,
+  createUser,
+  sendMessage,
+};
@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const logger = require("../utils/logger");
+const storage = require("../storage");
+
+const USER_ID = "482913";
+const IP = "203.0.113.42";
+const FINGERPRINT = "ab".repeat(32);
+
+/**
+ * Log one error entry, returning what was written
+ */
+const captureError = (t, message, fields) => {
+  let output = "";
+  const write = t.mock.method(process.stderr, "write", (chunk) => {
+    output += chunk;
+    return true;
+  });
+  logger.error(message, fields);
+  write.mock.restore();
+  return output;
+};
+
+describe("log redaction", () => {
+  it("redacts ID, IP and fingerprint fields to a stable keyed hash", (t) => {
+    const output = captureError(t, "Lookup failed", {
+      userId: USER_ID,
+      memberIds: [USER_ID],
+      ip: IP,
+      senderFingerprint: FINGERPRINT,
+    });
+
+    for (const value of [USER_ID, IP, FINGERPRINT]) {
+      assert.ok(!output.includes(value), value);
+    }
+    assert.equal(
+      output.split(logger.redact(USER_ID)).length - 1,
+      2,
+      "the same ID always redacts to the same hash"
+    );
+  });
+
+  it("redacts the same values inside error messages and stacks", (t) => {
+    const error = new Error(
+      `E11000 duplicate key error collection: users dup key: { id: "${USER_ID}" } ` +
+        `from ${IP} and 2001:db8::7 with fingerprint ${FINGERPRINT}`
+    );
+    const output = captureError(t, "Error creating user", { error });
+
+    for (const value of [USER_ID, IP, "2001:db8::7", FINGERPRINT]) {
+      assert.ok(!output.includes(value), value);
+    }
+    assert.ok(output.includes(logger.redact(USER_ID)));
+    assert.ok(output.includes("E11000 duplicate key error"));
+    // Stack frames keep their line and column numbers
+    assert.match(output, /logger\.test\.js:\d+:\d+/);
+  });
+
+  it("keeps IDs out of the in-memory duplicate key errors", async () => {
+    await storage.users.create({ id: USER_ID, tokenHash: "hash" });
+
+    await assert.rejects(
+      storage.users.create({ id: USER_ID, tokenHash: "hash" }),
+      (error) => error.code === 11000 && !error.message.includes(USER_ID)
+    );
+  });
+});
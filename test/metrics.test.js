@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+// Token from fixtures/metrics.json
+const METRICS_TOKEN = "test-metrics-token-0123";
+
+describe("metrics endpoint", () => {
+  let api;
+  let request;
+  let close;
+
+  before(async () => {
+    ({ api, request, close } = await startApp("metrics.json"));
+  });
+
+  after(() => close());
+
+  const scrape = async () => {
+    const { status, headers, body } = await request("GET", "/metrics", {
+      token: METRICS_TOKEN,
+    });
+    assert.equal(status, 200);
+    assert.match(headers.get("content-type"), /^text\/plain/);
+    return body.toString();
+  };
+
+  it("requires the metrics token", async () => {
+    const missing = await request("GET", "/metrics");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, "METRICS_AUTH_REQUIRED");
+
+    const wrong = await request("GET", "/metrics", {
+      token: "wrong-metrics-token-000",
+    });
+    assert.equal(wrong.status, 401);
+  });
+
+  it("counts requests by route pattern, messages and rejections", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "counted");
+    await api("GET", `/messages/${recipient.id}`, { token: recipient.token });
+    await sendMessage(api, sender, recipient.id, "");
+
+    const text = await scrape();
+
+    assert.match(
+      text,
+      /inkless_http_requests_total\{method="POST",route="\/api\/v1\/messages\/send",status="201"\} 1/
+    );
+    // Labels use the route pattern, never the IDs in the path
+    assert.match(text, /route="\/api\/v1\/messages\/:recipientId"/);
+    assert.doesNotMatch(text, new RegExp(recipient.id));
+    assert.match(text, /inkless_http_request_duration_seconds_bucket/);
+    assert.match(text, /inkless_messages_sent_total\{kind="direct"\} 1/);
+    assert.match(text, /inkless_messages_fetched_total\{channel="fetch"\} 1/);
+    assert.match(
+      text,
+      /inkless_validation_rejections_total\{reason="[A-Z_]+"\} 1/
+    );
+    assert.match(text, /inkless_rate_limit_hits_total/);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp, createUser, sendMessage } = require("./helpers");
+const { loadModerationRules, moderateContent } = require("../utils/moderation");
+
+describe("moderation pipeline", () => {
+  const rules = loadModerationRules(
+    path.join(__dirname, "fixtures", "moderation.json")
+  );
+  const moderate = (content) => moderateContent(content, rules);
+
+  /**
+   * Load rules from a temporary config file
+   */
+  const loadRules = (config) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "moderation-"));
+    const file = path.join(dir, "moderation.json");
+    fs.writeFileSync(file, JSON.stringify(config));
+    try {
+      return loadModerationRules(file);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  };
+
+  it("accepts ordinary messages without flags", () => {
+    assert.deepEqual(moderate("See you tomorrow"), {
+      action: "allow",
+      flags: [],
+    });
+  });
+
+  it("rejects blocked words with the rule and its code", () => {
+    assert.deepEqual(moderate("you BADWORD"), {
+      action: "reject",
+      rule: "slurs",
+      code: "BLOCKED_CONTENT",
+      flags: [],
+    });
+    assert.equal(moderate("just go away now").rule, "slurs");
+  });
+
+  it("matches blocked words as whole words only", () => {
+    assert.equal(moderate("badwords").action, "allow");
+  });
+
+  it("matches against the normalized text", () => {
+    // Zero-width space, Cyrillic "о" and a combining strike-through
+    assert.equal(moderate("bad\u200Bw\u043Erd").action, "reject");
+    assert.equal(moderate("ba\u0336dword").action, "reject");
+  });
+
+  it("stops at the first allow rule", () => {
+    assert.deepEqual(moderate("hello badword"), {
+      action: "allow",
+      flags: [],
+    });
+  });
+
+  it("flags links outside the allowed domains", () => {
+    assert.deepEqual(moderate("read https://tracker.example.net/x"), {
+      action: "flag",
+      flags: ["link-domains"],
+    });
+    assert.deepEqual(moderate("read https://docs.example.com/x"), {
+      action: "allow",
+      flags: [],
+    });
+  });
+
+  it("rejects too many links and repetitive content", () => {
+    assert.equal(
+      moderate("example.com and www.example.com").code,
+      "TOO_MANY_LINKS"
+    );
+    assert.equal(moderate("aaaaaaaaaaaaaaaa").code, "REPETITIVE_CONTENT");
+    assert.equal(
+      moderate("spam spam spam spam spam spam ham").rule,
+      "repetition"
+    );
+  });
+
+  it("refuses unknown rule types and actions", () => {
+    assert.throws(
+      () => loadRules({ rules: [{ type: "sentiment" }] }),
+      /unknown type "sentiment"/
+    );
+    assert.throws(
+      () => loadRules({ rules: [{ type: "blocklist", action: "delete" }] }),
+      /invalid action "delete"/
+    );
+    assert.throws(() => loadRules({}), /must define a rules array/);
+  });
+});
+
+describe("moderation on send", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  it("names the rule that rejected a message", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const { status, body } = await sendMessage(
+      api,
+      sender,
+      recipient.id,
+      "zzzzzzzzzzzzzzzzzzzz"
+    );
+    assert.equal(status, 400);
+    assert.equal(body.code, "REPETITIVE_CONTENT");
+    assert.deepEqual(body.data, { rule: "repetition" });
+    assert.match(body.error, /"repetition"/);
+  });
+
+  it("delivers flagged messages", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const { status } = await sendMessage(
+      api,
+      sender,
+      recipient.id,
+      "have a look at https://example.org"
+    );
+    assert.equal(status, 201);
+  });
+});
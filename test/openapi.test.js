@@ -0,0 +1,102 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const logger = require("../utils/logger");
+
+describe("OpenAPI document and docs", () => {
+  let request;
+  let close;
+  let spec;
+  let warn;
+
+  before(async () => {
+    // The document is built, and checked against the docs, as the app loads
+    warn = mock.method(logger, "warn");
+    ({ request, close } = await startApp());
+    ({ body: spec } = await request("GET", "/api/openapi.json"));
+  });
+
+  /**
+   * Error codes an operation documents for a status
+   */
+  const codes = (operation, status) =>
+    operation.responses[status].content["application/json"].schema.allOf[1]
+      .properties.code.enum;
+
+  after(() => {
+    mock.restoreAll();
+    return close();
+  });
+
+  it("documents every mounted route", () => {
+    assert.equal(spec.openapi, "3.0.3");
+    assert.ok(
+      !warn.mock.calls.some(({ arguments: [message] }) =>
+        message.includes("out of sync")
+      ),
+      "every route has a docs entry and every entry a route"
+    );
+
+    for (const path of [
+      "/api/v1/messages/send",
+      "/api/v1/messages/{recipientId}",
+      "/api/v2/users/{userId}",
+      "/api/users/{userId}",
+      "/api/admin/bans",
+      "/health",
+      "/ready",
+    ]) {
+      assert.ok(spec.paths[path], `missing ${path}`);
+    }
+  });
+
+  it("derives parameters, security and error codes from the routes", () => {
+    const fetchInbox = spec.paths["/api/v1/messages/{recipientId}"].get;
+    const recipientId = fetchInbox.parameters.find(
+      (param) => param.name === "recipientId"
+    );
+    assert.equal(recipientId.in, "path");
+    assert.ok(recipientId.schema.pattern);
+    assert.deepEqual(fetchInbox.security, [{ sessionToken: [] }]);
+
+    const listBans = spec.paths["/api/admin/bans"].get;
+    assert.deepEqual(listBans.security, [{ adminKey: [] }]);
+
+    const send = spec.paths["/api/v1/messages/send"].post;
+    assert.ok(send.requestBody.content["application/json"].schema.properties);
+    assert.ok(codes(send, 400).includes("INVALID_JSON"));
+    assert.ok(codes(send, 429).includes("RATE_LIMITED"));
+    assert.ok(send.responses[429].headers["Retry-After"]);
+
+    assert.deepEqual(codes(spec.paths["/ready"].get, 503), ["NOT_READY"]);
+  });
+
+  it("describes the route each version actually answers with", () => {
+    const v1 = spec.paths["/api/v1/users/{userId}"].delete;
+    const v2 = spec.paths["/api/v2/users/{userId}"].delete;
+    assert.equal(v2.summary, "Delete a user and their messages immediately");
+    assert.ok(v2.responses[404]);
+    assert.notEqual(v1.summary, v2.summary);
+    assert.equal(v1.responses[404], undefined);
+
+    // The unversioned alias is documented as deprecated
+    assert.equal(spec.paths["/api/users/{userId}"].delete.deprecated, true);
+    assert.equal(v1.deprecated, undefined);
+  });
+
+  it("serves a self-hosted docs page", async () => {
+    const page = await request("GET", "/api/docs");
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get("content-type"), /^text\/html/);
+    assert.match(page.body.toString(), /\/api\/docs\/init\.js/);
+
+    const init = await request("GET", "/api/docs/init.js");
+    assert.match(init.body.toString(), /\/api\/openapi\.json/);
+
+    const asset = await request("GET", "/api/docs/assets/swagger-ui.css");
+    assert.equal(asset.status, 200);
+
+    const other = await request("GET", "/api/docs/assets/index.html");
+    assert.equal(other.status, 404);
+  });
+});
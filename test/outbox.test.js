@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+describe("sender outbox", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const outbox = async (sender, query = "") => {
+    const { status, body } = await api(
+      "GET",
+      `/users/${sender.id}/outbox${query}`,
+      { token: sender.token }
+    );
+    assert.equal(status, 200);
+    return body.data;
+  };
+
+  /**
+   * Fetch the recipient's inbox, returning the lease to acknowledge it with
+   */
+  const fetchInbox = async (recipient) => {
+    const { body } = await api("GET", `/messages/${recipient.id}`, {
+      token: recipient.token,
+    });
+    return body.data.leaseId;
+  };
+
+  const ack = (recipient, leaseId) =>
+    api("POST", `/messages/${recipient.id}/ack`, {
+      token: recipient.token,
+      body: { leaseId },
+    });
+
+  it("tracks a message from queued to delivered to read", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const sent = await sendMessage(api, sender, recipient.id, "tracked");
+
+    let [entry] = (await outbox(sender)).messages;
+    assert.equal(entry.id, sent.body.data.id);
+    assert.equal(entry.status, "queued");
+    assert.equal(entry.recipientId, recipient.id);
+    assert.equal(entry.content, "tracked");
+
+    const leaseId = await fetchInbox(recipient);
+    [entry] = (await outbox(sender)).messages;
+    assert.equal(entry.status, "delivered");
+    assert.ok(entry.deliveredAt);
+    // Content is never shown after delivery
+    assert.equal(entry.content, undefined);
+
+    await ack(recipient, leaseId);
+    [entry] = (await outbox(sender)).messages;
+    assert.equal(entry.status, "read");
+    assert.ok(entry.readAt);
+  });
+
+  it("stops at delivered for recipients with read receipts off", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const settings = await api("PUT", `/users/${recipient.id}/settings`, {
+      token: recipient.token,
+      body: { readReceipts: false },
+    });
+    assert.equal(settings.body.data.settings.readReceipts, false);
+
+    await sendMessage(api, sender, recipient.id, "private");
+    await ack(recipient, await fetchInbox(recipient));
+
+    const [entry] = (await outbox(sender)).messages;
+    assert.equal(entry.status, "delivered");
+    assert.equal(entry.readAt, null);
+  });
+
+  it("reports recipient_gone when the recipient is deleted unread", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    await sendMessage(api, sender, recipient.id, "too late");
+    const deleted = await api("DELETE", `/users/${recipient.id}`, {
+      token: recipient.token,
+      body: { immediate: true },
+    });
+    assert.equal(deleted.status, 200);
+
+    const [entry] = (await outbox(sender)).messages;
+    assert.equal(entry.status, "recipient_gone");
+    assert.equal(entry.content, undefined);
+  });
+
+  it("pages newest first and only shows the sender's own messages", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    for (const content of ["one", "two", "three"]) {
+      await sendMessage(api, sender, recipient.id, content);
+    }
+
+    const first = await outbox(sender, "?limit=2");
+    assert.deepEqual(
+      first.messages.map((entry) => entry.content),
+      ["three", "two"]
+    );
+    assert.equal(first.pagination.hasMore, true);
+
+    const second = await outbox(
+      sender,
+      `?limit=2&cursor=${first.pagination.nextCursor}`
+    );
+    assert.deepEqual(
+      second.messages.map((entry) => entry.content),
+      ["one"]
+    );
+    assert.equal(second.pagination.hasMore, false);
+
+    const invalid = await api("GET", `/users/${sender.id}/outbox?cursor=bad`, {
+      token: sender.token,
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "INVALID_CURSOR");
+
+    const other = await api("GET", `/users/${sender.id}/outbox`, {
+      token: recipient.token,
+    });
+    assert.equal(other.status, 403);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+describe("inbox pagination", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  /**
+   * Fetch a page of the inbox, returning the response data
+   */
+  const fetchInbox = async (user, query = "") => {
+    const { status, body } = await api("GET", `/messages/${user.id}${query}`, {
+      token: user.token,
+    });
+    assert.equal(status, 200);
+    return body.data;
+  };
+
+  it("pages through the inbox with keyset cursors", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    for (let i = 1; i <= 5; i++) {
+      await sendMessage(api, sender, recipient.id, `message ${i}`);
+    }
+
+    const contents = (page) => page.messages.map((message) => message.content);
+
+    const first = await fetchInbox(recipient, "?limit=2");
+    assert.deepEqual(contents(first), ["message 5", "message 4"]);
+    assert.equal(first.pagination.hasMore, true);
+
+    const second = await fetchInbox(
+      recipient,
+      `?limit=2&cursor=${first.pagination.nextCursor}`
+    );
+    assert.deepEqual(contents(second), ["message 3", "message 2"]);
+
+    const last = await fetchInbox(
+      recipient,
+      `?limit=2&cursor=${second.pagination.nextCursor}`
+    );
+    assert.deepEqual(contents(last), ["message 1"]);
+    assert.equal(last.pagination.hasMore, false);
+    assert.equal(last.pagination.nextCursor, null);
+
+    // Newer messages are read backwards from the newest cursor seen
+    await sendMessage(api, sender, recipient.id, "message 6");
+    const newer = await fetchInbox(
+      recipient,
+      `?direction=backward&cursor=${first.pagination.prevCursor}`
+    );
+    assert.deepEqual(contents(newer), ["message 6"]);
+  });
+
+  it("rejects a malformed cursor", async () => {
+    const recipient = await createUser(api);
+
+    const { status, body } = await api(
+      "GET",
+      `/messages/${recipient.id}?cursor=not-a-cursor`,
+      { token: recipient.token }
+    );
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_CURSOR");
+  });
+});
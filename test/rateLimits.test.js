@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+// Limits from fixtures/rate-limits.json: 2 sends per IP, 4 per sender and
+// 2 from one sender to one inbox. Each test sends from its own addresses
+// (the app trusts one proxy hop) so the per-IP counters don't carry over.
+describe("message rate limits", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp("rate-limits.json"));
+  });
+
+  after(() => close());
+
+  const from = (ip, userAgent = "test") => ({
+    headers: { "X-Forwarded-For": ip, "User-Agent": userAgent },
+  });
+
+  const assertLimited = ({ status, body, headers }) => {
+    assert.equal(status, 429);
+    assert.equal(body.code, "RATE_LIMITED");
+    assert.ok(Number(headers.get("retry-after")) > 0);
+  };
+
+  it("keys anonymous limits on the IP, however the client rotates headers", async () => {
+    const sender = await createUser(api);
+    const recipients = [
+      await createUser(api),
+      await createUser(api),
+      await createUser(api),
+    ];
+
+    for (const [i, recipient] of recipients.slice(0, 2).entries()) {
+      const sent = await sendMessage(
+        api,
+        sender,
+        recipient.id,
+        "hi",
+        from("203.0.113.1", `browser-${i}`)
+      );
+      assert.equal(sent.status, 201);
+    }
+
+    assertLimited(
+      await sendMessage(
+        api,
+        sender,
+        recipients[2].id,
+        "hi",
+        from("203.0.113.1", "browser-2")
+      )
+    );
+  });
+
+  it("limits an authenticated sender across IPs", async () => {
+    const sender = await createUser(api);
+
+    for (let i = 1; i <= 4; i++) {
+      const recipient = await createUser(api);
+      const sent = await sendMessage(
+        api,
+        sender,
+        recipient.id,
+        "hi",
+        from(`198.51.100.${i}`)
+      );
+      assert.equal(sent.status, 201);
+    }
+
+    const recipient = await createUser(api);
+    assertLimited(
+      await sendMessage(api, sender, recipient.id, "hi", from("198.51.100.5"))
+    );
+  });
+
+  it("doesn't charge a sender for requests that fail authentication", async () => {
+    const sender = await createUser(api);
+    const impostor = await createUser(api);
+    const recipient = await createUser(api);
+
+    for (let i = 1; i <= 4; i++) {
+      const forged = await sendMessage(api, impostor, recipient.id, "hi", {
+        senderId: sender.id,
+        ...from(`192.0.2.${i}`),
+      });
+      assert.equal(forged.status, 403);
+    }
+
+    const sent = await sendMessage(
+      api,
+      sender,
+      recipient.id,
+      "hi",
+      from("192.0.2.10")
+    );
+    assert.equal(sent.status, 201);
+  });
+
+  it("charges sends without a token to the fingerprint, not the claimed ID", async () => {
+    const sender = await createUser(api);
+
+    for (let i = 1; i <= 4; i++) {
+      const recipient = await createUser(api);
+      const claimed = await api("POST", "/messages/send", {
+        body: { senderId: sender.id, recipientId: recipient.id, content: "hi" },
+        ...from(`192.0.2.${20 + i}`),
+      });
+      assert.equal(claimed.status, 201);
+    }
+
+    const recipient = await createUser(api);
+    const sent = await sendMessage(
+      api,
+      sender,
+      recipient.id,
+      "hi",
+      from("192.0.2.30")
+    );
+    assert.equal(sent.status, 201);
+  });
+
+  it("limits one sender to one inbox separately from other inboxes", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    const other = await createUser(api);
+
+    for (let i = 1; i <= 2; i++) {
+      const sent = await sendMessage(
+        api,
+        sender,
+        recipient.id,
+        `hi ${i}`,
+        from(`100.64.0.${i}`)
+      );
+      assert.equal(sent.status, 201);
+    }
+
+    assertLimited(
+      await sendMessage(api, sender, recipient.id, "hi 3", from("100.64.0.3"))
+    );
+
+    const sent = await sendMessage(
+      api,
+      sender,
+      other.id,
+      "hi",
+      from("100.64.0.4")
+    );
+    assert.equal(sent.status, 201);
+  });
+});
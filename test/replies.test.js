@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+describe("anonymous replies", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  /**
+   * Fetch a page of the inbox, returning the response data
+   */
+  const fetchInbox = async (user, query = "") => {
+    const { status, body } = await api("GET", `/messages/${user.id}${query}`, {
+      token: user.token,
+    });
+    assert.equal(status, 200);
+    return body.data;
+  };
+
+  it("routes replies back to the original sender", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "question");
+
+    const [received] = (await fetchInbox(recipient)).messages;
+    assert.equal(received.senderId, undefined);
+
+    const reply = await api("POST", `/messages/${recipient.id}/replies`, {
+      token: recipient.token,
+      body: { replyToken: received.replyToken, content: "answer" },
+    });
+    assert.equal(reply.status, 201);
+
+    // The token only works for the inbox it was delivered to
+    const stolen = await api("POST", `/messages/${sender.id}/replies`, {
+      token: sender.token,
+      body: { replyToken: received.replyToken, content: "answer" },
+    });
+    assert.equal(stolen.status, 404);
+    assert.equal(stolen.body.code, "INVALID_REPLY_TOKEN");
+
+    const [answer] = (await fetchInbox(sender)).messages;
+    assert.equal(answer.content, "answer");
+    assert.equal(answer.replyTo, received._id);
+  });
+
+  it("spends a reply token on the first reply that goes through", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "question");
+
+    const [received] = (await fetchInbox(recipient)).messages;
+    const reply = (content) =>
+      api("POST", `/messages/${recipient.id}/replies`, {
+        token: recipient.token,
+        body: { replyToken: received.replyToken, content },
+      });
+
+    // A rejected reply leaves the token usable
+    assert.equal((await reply("   ")).status, 400);
+
+    const racing = await Promise.all([reply("first"), reply("second")]);
+    assert.deepEqual(racing.map(({ status }) => status).sort(), [201, 404]);
+
+    const again = await reply("third");
+    assert.equal(again.status, 404);
+    assert.equal(again.body.code, "INVALID_REPLY_TOKEN");
+
+    // The sender answers with the fresh token the reply carried
+    const [answer] = (await fetchInbox(sender)).messages;
+    const back = await api("POST", `/messages/${sender.id}/replies`, {
+      token: sender.token,
+      body: { replyToken: answer.replyToken, content: "thanks" },
+    });
+    assert.equal(back.status, 201);
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_KEY, startApp, createUser, sendMessage } = require("./helpers");
+
+describe("abuse reports", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  const admin = { headers: { "X-Admin-Key": ADMIN_KEY } };
+
+  /**
+   * Deliver a message and report it, returning the report ID
+   */
+  const reportMessage = async (recipient, reason = "harassment") => {
+    const inbox = await api("GET", `/messages/${recipient.id}`, {
+      token: recipient.token,
+    });
+    const [message] = inbox.body.data.messages;
+
+    const { status, body } = await api(
+      "POST",
+      `/messages/${recipient.id}/reports`,
+      { token: recipient.token, body: { messageId: message._id, reason } }
+    );
+    assert.equal(status, 201);
+    return body.data.reportId;
+  };
+
+  const resolve = (reportId, action) =>
+    api("POST", `/admin/reports/${reportId}/resolve`, {
+      ...admin,
+      body: { action },
+    });
+
+  it("queues reports for moderators with a copy of the message", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "you again");
+
+    const reportId = await reportMessage(recipient, "spam");
+
+    const queue = await api("GET", "/admin/reports", admin);
+    const queued = queue.body.data.reports.find(
+      (report) => report._id === reportId
+    );
+    assert.equal(queued.content, "you again");
+    assert.equal(queued.reason, "spam");
+    assert.equal(queued.senderId, sender.id);
+
+    const dismissed = await resolve(reportId, "dismiss");
+    assert.equal(dismissed.status, 200);
+
+    const again = await resolve(reportId, "warn");
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "REPORT_ALREADY_RESOLVED");
+  });
+
+  it("only lets a recipient report messages they hold", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    const other = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "hello there");
+
+    const inbox = await api("GET", `/messages/${recipient.id}`, {
+      token: recipient.token,
+    });
+    const [message] = inbox.body.data.messages;
+
+    const { status, body } = await api(
+      "POST",
+      `/messages/${other.id}/reports`,
+      {
+        token: other.token,
+        body: { messageId: message._id, reason: "spam" },
+      }
+    );
+    assert.equal(status, 404);
+    assert.equal(body.code, "MESSAGE_NOT_FOUND");
+  });
+
+  it("restricts a warned sender for the cooldown", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    await sendMessage(api, sender, recipient.id, "rude", {
+      headers: { "User-Agent": "warned-sender" },
+    });
+
+    const reportId = await reportMessage(recipient);
+    assert.equal((await resolve(reportId, "warn")).status, 200);
+
+    // Restricted by ID even from another device
+    const blocked = await sendMessage(api, sender, recipient.id, "sorry", {
+      headers: { "User-Agent": "another-device" },
+    });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, "SENDING_RESTRICTED");
+    assert.ok(blocked.body.data.restrictedUntil);
+  });
+
+  it("warns only the fingerprint when the sender ID was not proven", async () => {
+    const victim = await createUser(api);
+    const recipient = await createUser(api);
+
+    // A v1 send without a token only claims its sender ID
+    const impersonated = await api("POST", "/messages/send", {
+      body: { senderId: victim.id, recipientId: recipient.id, content: "boo" },
+      headers: { "User-Agent": "impersonator" },
+    });
+    assert.equal(impersonated.status, 201);
+
+    const reportId = await reportMessage(recipient);
+    assert.equal((await resolve(reportId, "warn")).status, 200);
+
+    const fromVictim = await sendMessage(api, victim, recipient.id, "hi", {
+      headers: { "User-Agent": "victim" },
+    });
+    assert.equal(fromVictim.status, 201);
+
+    const fromImpersonator = await api("POST", "/messages/send", {
+      body: { senderId: victim.id, recipientId: recipient.id, content: "hi" },
+      headers: { "User-Agent": "impersonator" },
+    });
+    assert.equal(fromImpersonator.status, 403);
+    assert.equal(fromImpersonator.body.code, "SENDING_RESTRICTED");
+  });
+});
+
+describe("sender tokens", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  it("keeps sending public on v1 and the unversioned API", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    const body = { senderId: sender.id, recipientId: recipient.id };
+
+    for (const version of ["v1", ""]) {
+      const { status } = await api("POST", "/messages/send", {
+        version,
+        body: { ...body, content: `via ${version || "api"}` },
+      });
+      assert.equal(status, 201);
+    }
+  });
+
+  it("checks a sender token when v1 clients send one", async () => {
+    const sender = await createUser(api);
+    const other = await createUser(api);
+    const recipient = await createUser(api);
+
+    const forged = await sendMessage(api, other, recipient.id, "hi", {
+      senderId: sender.id,
+    });
+    assert.equal(forged.status, 403);
+    assert.equal(forged.body.code, "INVALID_TOKEN");
+  });
+
+  it("requires the sender's token on v2", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const anonymous = await api("POST", "/messages/send", {
+      version: "v2",
+      body: { senderId: sender.id, recipientId: recipient.id, content: "hi" },
+    });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, "AUTH_REQUIRED");
+
+    const form = new FormData();
+    form.append("senderId", sender.id);
+    form.append("file", new Blob(["%PDF-1.7\n"]), "notes.pdf");
+    const upload = await api("POST", "/attachments", {
+      version: "v2",
+      body: form,
+    });
+    assert.equal(upload.status, 401);
+
+    const sent = await sendMessage(api, sender, recipient.id, "hi", {
+      version: "v2",
+    });
+    assert.equal(sent.status, 201);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser } = require("./helpers");
+const storage = require("../storage");
+
+describe("storage selection", () => {
+  it("uses the in-memory backend when STORAGE_DRIVER=memory", () => {
+    assert.equal(storage, require("../storage/memory"));
+    assert.equal(storage.isConnected(), true);
+  });
+});
+
+describe("in-memory repositories", () => {
+  const { users, messages } = storage;
+
+  it("refuses duplicate IDs with a duplicate key error", async () => {
+    await users.create({ id: "duplicate-id", tokenHash: "hash" });
+
+    await assert.rejects(
+      users.create({ id: "duplicate-id", tokenHash: "hash" }),
+      { code: 11000 }
+    );
+  });
+
+  it("returns copies that can't change the store", async () => {
+    await users.create({ id: "copied-user", tokenHash: "hash" });
+
+    const user = await users.findById("copied-user");
+    user.markedForDeletion = true;
+    user.blocks.push({ type: "id", value: "someone" });
+
+    const stored = await users.findById("copied-user");
+    assert.equal(stored.markedForDeletion, false);
+    assert.deepEqual(stored.blocks, []);
+    assert.equal(stored.tokenHash, undefined);
+    assert.equal(
+      (await users.findById("copied-user", { includeTokenHash: true }))
+        .tokenHash,
+      "hash"
+    );
+  });
+
+  it("hides expired messages", async () => {
+    await messages.create({
+      recipientId: "expiring-user",
+      senderId: "sender",
+      content: "gone",
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    await messages.create({
+      recipientId: "expiring-user",
+      senderId: "sender",
+      content: "kept",
+    });
+
+    const { messages: claimed } = await messages.claim("expiring-user", {
+      leaseMs: 1000,
+    });
+    assert.deepEqual(
+      claimed.map((message) => message.content),
+      ["kept"]
+    );
+  });
+});
+
+describe("the API on the in-memory backend", () => {
+  let api;
+  let close;
+
+  before(async () => {
+    ({ api, close } = await startApp());
+  });
+
+  after(() => close());
+
+  it("registers users and keeps them until deleted", async () => {
+    const user = await createUser(api);
+
+    const exists = await api("GET", `/users/${user.id}/exists`);
+    assert.equal(exists.body.data.exists, true);
+
+    const deleted = await api("DELETE", `/users/${user.id}`, {
+      token: user.token,
+    });
+    assert.equal(deleted.status, 200);
+  });
+});
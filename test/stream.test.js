@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { startApp, createUser, sendMessage } = require("./helpers");
+const realtime = require("../utils/realtime");
+
+describe("streamed delivery", () => {
+  let api;
+  let close;
+  let baseUrl;
+
+  before(async () => {
+    ({ api, close, baseUrl } = await startApp());
+  });
+
+  after(() => {
+    realtime.closeAll();
+    return close();
+  });
+
+  /**
+   * Open a recipient's SSE stream, returning { next, close }. next() resolves
+   * with the data of the next event of the given type.
+   */
+  const openStream = async (user) => {
+    const controller = new AbortController();
+    const response = await fetch(
+      `${baseUrl}/api/v1/messages/${user.id}/stream`,
+      {
+        headers: { Authorization: `Bearer ${user.token}` },
+        signal: controller.signal,
+      }
+    );
+    assert.equal(response.status, 200);
+
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffered = "";
+
+    const next = async (type) => {
+      for (;;) {
+        const end = buffered.indexOf("\n\n");
+        if (end !== -1) {
+          const frame = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const event = /^event: (.*)$/m.exec(frame);
+          const data = /^data: (.*)$/m.exec(frame);
+          if (event && event[1] === type) {
+            return JSON.parse(data[1]);
+          }
+          continue;
+        }
+        const { value, done } = await reader.read();
+        assert.ok(!done, `stream ended before a ${type} event`);
+        buffered += value;
+      }
+    };
+
+    await next("ready");
+    return { next, close: () => controller.abort() };
+  };
+
+  const outboxStatus = async (sender) => {
+    const { body } = await api("GET", `/users/${sender.id}/outbox`, {
+      token: sender.token,
+    });
+    return body.data.messages[0].status;
+  };
+
+  it("pushes messages under a lease the recipient acknowledges", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+    const stream = await openStream(recipient);
+
+    const sent = await sendMessage(api, sender, recipient.id, "live");
+    assert.equal(sent.body.data.delivered, true);
+
+    const message = await stream.next("message");
+    assert.equal(message.content, "live");
+    assert.equal(message.senderId, undefined);
+    assert.ok(message.leaseId);
+    assert.equal(await outboxStatus(sender), "delivered");
+
+    // Leased, so a fetch doesn't hand it out again
+    const inbox = await api("GET", `/messages/${recipient.id}`, {
+      token: recipient.token,
+    });
+    assert.equal(inbox.body.data.messages.length, 0);
+
+    const ack = await api("POST", `/messages/${recipient.id}/ack`, {
+      token: recipient.token,
+      body: { leaseId: message.leaseId },
+    });
+    assert.equal(ack.status, 200);
+    assert.equal(await outboxStatus(sender), "read");
+
+    stream.close();
+  });
+
+  it("leaves a message no stream took visible to the next fetch", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    // A stream still registered after its response ended
+    const req = new EventEmitter();
+    const res = {
+      set() {},
+      flushHeaders() {},
+      write() {},
+      writableEnded: false,
+    };
+    await realtime.subscribe(recipient.id, req, res);
+    res.writableEnded = true;
+
+    try {
+      const sent = await sendMessage(api, sender, recipient.id, "missed");
+      assert.equal(sent.body.data.delivered, false);
+      assert.equal(await outboxStatus(sender), "queued");
+
+      const inbox = await api("GET", `/messages/${recipient.id}`, {
+        token: recipient.token,
+      });
+      assert.deepEqual(
+        inbox.body.data.messages.map((message) => message.content),
+        ["missed"]
+      );
+    } finally {
+      req.emit("close");
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createUser, sendMessage } = require("./helpers");
+
+describe("API versions", () => {
+  let api;
+  let request;
+  let close;
+
+  before(async () => {
+    ({ api, request, close } = await startApp());
+  });
+
+  after(() => close());
+
+  it("marks the unversioned alias deprecated and points at v1", async () => {
+    const legacy = await api("GET", "/generate-id", { version: "" });
+    assert.equal(legacy.status, 200);
+    assert.equal(legacy.headers.get("deprecation"), "@1792368000");
+    assert.equal(legacy.headers.get("sunset"), "Mon, 19 Apr 2027 00:00:00 GMT");
+    assert.equal(
+      legacy.headers.get("link"),
+      '</api/v1/generate-id>; rel="successor-version"'
+    );
+
+    const current = await api("GET", "/generate-id");
+    assert.equal(current.status, 200);
+    assert.equal(current.headers.get("deprecation"), null);
+    assert.equal(current.headers.get("sunset"), null);
+  });
+
+  it("keeps versioned paths from falling through to the alias", async () => {
+    const { status, headers } = await api("GET", "/no-such-route");
+    assert.equal(status, 404);
+    assert.equal(headers.get("deprecation"), null);
+  });
+
+  it("reports the supported versions at the root", async () => {
+    const { body } = await request("GET", "/");
+    assert.deepEqual(Object.keys(body.versions), ["v1", "v2"]);
+    assert.equal(body.versions.v1.path, "/api/v1");
+    assert.equal(body.unversioned.aliasOf, "v1");
+    assert.equal(body.unversioned.deprecated, true);
+  });
+
+  it("deletes immediately on v2 and 404s unknown users", async () => {
+    const sender = await createUser(api);
+    const user = await createUser(api);
+    await sendMessage(api, sender, user.id, "bye");
+
+    const deleted = await api("DELETE", `/users/${user.id}`, {
+      version: "v2",
+      token: user.token,
+    });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.data.deletedMessages, 1);
+
+    const exists = await api("GET", `/users/${user.id}/exists`);
+    assert.equal(exists.body.data.exists, false);
+
+    const again = await api("DELETE", `/users/${user.id}`, {
+      version: "v2",
+      token: user.token,
+    });
+    assert.equal(again.status, 404);
+    assert.equal(again.body.code, "USER_NOT_FOUND");
+
+    // v1 still answers an unknown user with an idempotent success
+    const v1 = await api("DELETE", `/users/${user.id}`, { token: user.token });
+    assert.equal(v1.status, 200);
+    assert.equal(v1.body.data.wasDeleted, false);
+  });
+
+  it("requires the sender's token to send on v2 only", async () => {
+    const sender = await createUser(api);
+    const recipient = await createUser(api);
+
+    const anonymous = await sendMessage(
+      api,
+      { id: sender.id },
+      recipient.id,
+      "no token",
+      { version: "v2" }
+    );
+    assert.equal(anonymous.status, 401);
+
+    const signed = await sendMessage(api, sender, recipient.id, "token", {
+      version: "v2",
+    });
+    assert.equal(signed.status, 201);
+
+    const v1 = await sendMessage(api, { id: sender.id }, recipient.id, "v1");
+    assert.equal(v1.status, 201);
+  });
+});
@@ -0,0 +1,27 @@
+const storage = require("../storage");
+
+/**
+ * Hard-delete users and everything that hangs off them
+ * Their messages, reply routes, attachments and outboxes go with them; they
+ * leave their groups, and groups left empty are deleted with their messages.
+ * Senders of messages they never received see recipient_gone.
+ */
+const deleteUsers = async (ids) => {
+  let deletedMessages = await storage.messages.deleteForUsers(ids);
+  await storage.replyTokens.deleteForUsers(ids);
+  await storage.attachments.deleteForUsers(ids);
+  await storage.groups.removeMembers(ids);
+  const deletedUsers = await storage.users.deleteByIds(ids);
+
+  const emptyGroups = await storage.groups.deleteEmpty();
+  deletedMessages += await storage.messages.deleteForGroups(emptyGroups);
+
+  await storage.outbox.markRecipientGone([...ids, ...emptyGroups]);
+  await storage.outbox.deleteForUsers(ids);
+
+  return { deletedUsers, deletedMessages, deletedGroups: emptyGroups.length };
+};
+
+module.exports = {
+  deleteUsers,
+};
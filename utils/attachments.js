@@ -0,0 +1,303 @@
+// Attachment type detection and metadata stripping. The declared MIME type of
+// an upload is ignored - the type comes from the file's magic bytes, and
+// images are rewritten without EXIF, XMP, comments and other metadata that
+// could identify the sender (camera, location, software, timestamps).
+
+const config = require("../config");
+
+const MB = 1024 * 1024;
+
+const { maxImageBytes, maxGifBytes, maxDocumentBytes } = config.attachments;
+
+// Accepted types with their size limits (bytes)
+const ATTACHMENT_TYPES = {
+  "image/jpeg": { maxBytes: maxImageBytes, image: true },
+  "image/png": { maxBytes: maxImageBytes, image: true },
+  "image/webp": { maxBytes: maxImageBytes, image: true },
+  "image/gif": { maxBytes: maxGifBytes, image: true },
+  // Documents are stored as uploaded - their metadata is not rewritten
+  "application/pdf": { maxBytes: maxDocumentBytes, image: false },
+};
+
+// Largest upload of any type, used as the multipart limit
+const MAX_ATTACHMENT_BYTES = Math.max(
+  ...Object.values(ATTACHMENT_TYPES).map((type) => type.maxBytes)
+);
+
+// Most attachments a single message may carry
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+// How long an upload may stay unattached to a message before cleanup
+const ATTACHMENT_UPLOAD_TTL_MS = config.attachments.uploadTtlMs;
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+/**
+ * Detect a file's MIME type from its magic bytes, or null if unsupported
+ */
+const detectType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return buffer[2] === 0xff ? "image/jpeg" : null;
+  }
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return "image/png";
+  }
+
+  const head = buffer.subarray(0, 12).toString("latin1");
+  if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) {
+    return "image/gif";
+  }
+
+  if (head.startsWith("RIFF") && head.slice(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+
+  if (head.startsWith("%PDF-")) {
+    return "application/pdf";
+  }
+
+  return null;
+};
+
+/**
+ * Rebuild a JPEG without metadata segments
+ * Keeps JFIF (APP0), ICC colour profiles (APP2) and Adobe colour info (APP14),
+ * which decoders need to render the image correctly
+ */
+const stripJpeg = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error("Malformed JPEG segment");
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // Start of scan - the rest is entropy-coded image data
+    if (marker === 0xda || marker === 0xd9) {
+      parts.push(buffer.subarray(offset));
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new Error("Truncated JPEG segment");
+    }
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const isIcc =
+      marker === 0xe2 &&
+      buffer.subarray(offset + 4, offset + 16).toString("latin1") ===
+        "ICC_PROFILE\0";
+    const keep =
+      marker !== 0xfe && // Comment
+      (!isApp || marker === 0xe0 || marker === 0xee || isIcc);
+
+    if (keep) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(parts);
+};
+
+// PNG chunks carrying text, EXIF or timestamps
+const PNG_METADATA_CHUNKS = ["tEXt", "zTXt", "iTXt", "eXIf", "tIME"];
+
+/**
+ * Rebuild a PNG without text, EXIF and timestamp chunks
+ */
+const stripPng = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString("latin1");
+    const end = offset + 12 + length; // length, type, data, CRC
+    if (end > buffer.length) {
+      throw new Error("Truncated PNG chunk");
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+
+    if (type === "IEND") {
+      break;
+    }
+  }
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Rebuild a WebP without EXIF and XMP chunks, clearing their VP8X flags
+ */
+const stripWebp = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.subarray(offset, offset + 4).toString("latin1");
+    const length = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + length + (length % 2); // Chunks are padded to even
+    if (end > buffer.length) {
+      throw new Error("Truncated WebP chunk");
+    }
+
+    if (type !== "EXIF" && type !== "XMP ") {
+      const chunk = Buffer.from(buffer.subarray(offset, end));
+      if (type === "VP8X") {
+        chunk[8] &= ~(0x08 | 0x04); // EXIF and XMP present flags
+      }
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "latin1");
+
+  return Buffer.concat([header, body]);
+};
+
+/**
+ * Offset just past a run of GIF data sub-blocks
+ */
+const skipGifSubBlocks = (buffer, offset) => {
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    offset += buffer[offset] + 1;
+  }
+  if (offset >= buffer.length) {
+    throw new Error("Truncated GIF data");
+  }
+  return offset + 1;
+};
+
+/**
+ * Rebuild a GIF without comment and application extensions
+ * The NETSCAPE looping extension is kept so animations still loop
+ */
+const stripGif = (buffer) => {
+  const flags = buffer[10];
+  const globalTable = flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0;
+  let offset = 13 + globalTable;
+  const parts = [buffer.subarray(0, offset)];
+
+  while (offset < buffer.length) {
+    const introducer = buffer[offset];
+
+    if (introducer === 0x3b) {
+      parts.push(buffer.subarray(offset, offset + 1));
+      break;
+    }
+
+    if (introducer === 0x21) {
+      const label = buffer[offset + 1];
+      const end = skipGifSubBlocks(buffer, offset + 2);
+      const isLoop =
+        label === 0xff &&
+        buffer.subarray(offset + 3, offset + 14).toString("latin1") ===
+          "NETSCAPE2.0";
+
+      if ((label !== 0xfe && label !== 0xff) || isLoop) {
+        parts.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+      continue;
+    }
+
+    if (introducer === 0x2c) {
+      const localFlags = buffer[offset + 9];
+      const localTable =
+        localFlags & 0x80 ? 3 * 2 ** ((localFlags & 0x07) + 1) : 0;
+      // Descriptor, colour table, LZW code size, then image data sub-blocks
+      const end = skipGifSubBlocks(buffer, offset + 10 + localTable + 1);
+      parts.push(buffer.subarray(offset, end));
+      offset = end;
+      continue;
+    }
+
+    throw new Error("Malformed GIF block");
+  }
+
+  return Buffer.concat(parts);
+};
+
+const strippers = {
+  "image/jpeg": stripJpeg,
+  "image/png": stripPng,
+  "image/webp": stripWebp,
+  "image/gif": stripGif,
+};
+
+/**
+ * Validate an uploaded file and strip identifying metadata from images
+ * Returns { valid, buffer, contentType } or { valid: false, error, code }
+ */
+const processAttachment = (buffer) => {
+  const contentType = detectType(buffer);
+  if (!contentType) {
+    return {
+      valid: false,
+      error: `Unsupported file type. Supported: ${Object.keys(
+        ATTACHMENT_TYPES
+      ).join(", ")}`,
+      code: "UNSUPPORTED_ATTACHMENT_TYPE",
+    };
+  }
+
+  const { maxBytes } = ATTACHMENT_TYPES[contentType];
+  if (buffer.length > maxBytes) {
+    return {
+      valid: false,
+      error: `${contentType} attachments are limited to ${
+        maxBytes >= MB ? `${Math.floor(maxBytes / MB)} MB` : `${maxBytes} bytes`
+      }`,
+      code: "ATTACHMENT_TOO_LARGE",
+    };
+  }
+
+  const strip = strippers[contentType];
+  if (!strip) {
+    return { valid: true, buffer, contentType };
+  }
+
+  try {
+    return { valid: true, buffer: strip(buffer), contentType };
+  } catch (error) {
+    // The parser's message describes our internals, not the upload
+    return {
+      valid: false,
+      error: "The file is damaged or could not be read",
+      code: "INVALID_ATTACHMENT",
+    };
+  }
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  ATTACHMENT_UPLOAD_TTL_MS,
+  detectType,
+  processAttachment,
+};
@@ -0,0 +1,81 @@
+// Errors with an HTTP status and a stable code. Helpers and routes throw
+// them (or pass them to next) and errorHandler answers with the standard
+// envelope. Their messages are shown to clients, so keep them free of
+// internals; any other error is answered as a generic 500.
+
+class AppError extends Error {
+  /**
+   * Options: status, code, data (extra fields returned in data) and details
+   * (individual problems, for validation)
+   */
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", data, details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.data = data || null;
+    this.details = details || null;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, { code = "VALIDATION_ERROR", ...options } = {}) {
+    super(message, { ...options, status: 400, code });
+  }
+}
+
+class AuthError extends AppError {
+  constructor(message, { code = "AUTH_REQUIRED", ...options } = {}) {
+    super(message, { ...options, status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, { code = "FORBIDDEN", ...options } = {}) {
+    super(message, { ...options, status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = "NOT_FOUND", ...options } = {}) {
+    super(message, { ...options, status: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = "CONFLICT", ...options } = {}) {
+    super(message, { ...options, status: 409, code });
+  }
+}
+
+// retryAfter (seconds) is sent as the Retry-After header
+class RateLimitedError extends AppError {
+  constructor(message, { code = "RATE_LIMITED", retryAfter, ...options } = {}) {
+    super(message, { ...options, status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class UnavailableError extends AppError {
+  constructor(
+    message,
+    { code = "SERVICE_UNAVAILABLE", retryAfter, ...options } = {}
+  ) {
+    super(message, { ...options, status: 503, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  UnavailableError,
+};
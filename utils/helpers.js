@@ -1,5 +1,34 @@
 const crypto = require("crypto");
-const { User } = require("../models");
+const mongoose = require("mongoose");
+const config = require("../config");
+const { idReservations } = require("../storage");
+const { moderateContent } = require("./moderation");
+const {
+  ValidationError,
+  ConflictError,
+  UnavailableError,
+} = require("./errors");
+
+// How long fetched messages stay hidden before reappearing if not acknowledged
+const MESSAGE_LEASE_MS = config.messages.leaseMs;
+
+// How long a delivered message can still be replied to
+const REPLY_TOKEN_TTL_MS = config.messages.replyTokenTtlMs;
+
+// Most entries a recipient's block list may hold
+const MAX_BLOCKS_PER_USER = config.users.maxBlocks;
+
+// Most members a group inbox may hold
+const MAX_GROUP_MEMBERS = config.groups.maxMembers;
+
+// Group member roles, highest first
+const GROUP_ROLES = ["owner", "admin", "member"];
+
+// Longest self-destruct timer a sender or recipient may set (seconds)
+const MAX_MESSAGE_EXPIRY_SECONDS = config.messages.maxExpirySeconds;
+
+// Longest plaintext message (characters)
+const MAX_MESSAGE_LENGTH = config.messages.maxLength;
 
 /**
  * Generate a random 6-digit ID
@@ -10,21 +39,61 @@ const generateRandomId = () => {
 };
 
 /**
- * Generate a unique 6-digit ID that doesn't exist in database
+ * Check if an ID is used by a user or a group
+ * Users and groups share one namespace so a recipient ID is never ambiguous.
+ * This is only an early answer - creating the user or group reserves the ID,
+ * which is what settles two requests racing for it.
  */
-const generateUniqueId = async (maxAttempts = 10) => {
+const isIdTaken = (id) => {
+  return idReservations.exists(id);
+};
+
+/**
+ * Create a record under a random ID, retrying with a fresh ID when the
+ * create finds it taken. Returns whatever create returns.
+ */
+const createWithRandomId = async (generateId, create, maxAttempts) => {
   for (let i = 0; i < maxAttempts; i++) {
-    const id = generateRandomId();
+    const id = generateId();
 
     // Check if ID already exists
-    const existingUser = await User.findOne({ id });
+    if (await isIdTaken(id)) {
+      continue;
+    }
 
-    if (!existingUser) {
-      return id;
+    try {
+      return await create(id);
+    } catch (error) {
+      // Claimed by someone else between the check and the insert
+      if (error.code !== 11000) {
+        throw error;
+      }
     }
   }
 
-  throw new Error("Unable to generate unique ID after maximum attempts");
+  throw new UnavailableError(
+    "Service temporarily unavailable. Please try again."
+  );
+};
+
+/**
+ * Create a user under a unique random 6-digit ID
+ * create(id) inserts the user and returns it
+ */
+const createWithUniqueId = (create, maxAttempts = 10) => {
+  return createWithRandomId(generateRandomId, create, maxAttempts);
+};
+
+/**
+ * Create a group under a unique random 8-digit ID
+ * create(id) inserts the group and returns it
+ */
+const createWithUniqueGroupId = (create, maxAttempts = 10) => {
+  return createWithRandomId(
+    () => Math.floor(10000000 + Math.random() * 90000000).toString(),
+    create,
+    maxAttempts
+  );
 };
 
 /**
@@ -34,6 +103,13 @@ const isValidId = (id) => {
   return /^\d{6}$/.test(id);
 };
 
+/**
+ * Validate group ID format (6 to 12 digits)
+ */
+const isValidGroupId = (id) => {
+  return /^\d{6,12}$/.test(id);
+};
+
 /**
  * Check if ID is available (doesn't exist in database)
  */
@@ -42,8 +118,7 @@ const isIdAvailable = async (id) => {
     return false;
   }
 
-  const existingUser = await User.findOne({ id });
-  return !existingUser;
+  return !(await isIdTaken(id));
 };
 
 /**
@@ -62,9 +137,19 @@ const createFingerprint = (req) => {
 };
 
 /**
- * Format API response
+ * Format API response. Every endpoint answers with this envelope:
+ * { success, data?, error?, code?, details? }
+ * Failures always carry success: false, a readable error and a stable code;
+ * details lists each problem ({ location, field, message }) when a request
+ * fails validation
  */
-const formatResponse = (success, data = null, error = null, code = null) => {
+const formatResponse = (
+  success,
+  data = null,
+  error = null,
+  code = null,
+  details = null
+) => {
   const response = { success };
 
   if (data !== null) {
@@ -79,13 +164,120 @@ const formatResponse = (success, data = null, error = null, code = null) => {
     response.code = code;
   }
 
+  if (details) {
+    response.details = details;
+  }
+
   return response;
 };
 
+// Supported end-to-end encryption schemes: expected nonce size and accepted
+// public key sizes (decoded bytes)
+const ENCRYPTION_ALGORITHMS = {
+  "x25519-xsalsa20-poly1305": { nonceBytes: 24, keyBytes: [32] },
+  "p256-aes-256-gcm": { nonceBytes: 12, keyBytes: [65, 91] }, // raw or SPKI
+};
+
+// Upper bound for base64 ciphertext
+const MAX_CIPHERTEXT_LENGTH = config.messages.maxCiphertextLength;
+
+// Smallest possible ciphertext: an empty plaintext plus a 16-byte auth tag
+const MIN_CIPHERTEXT_BYTES = 16;
+
+/**
+ * Decode a strict base64 string, returning null if it is malformed
+ */
+const decodeBase64 = (value) => {
+  if (typeof value !== "string" || value.length === 0) {
+    return null;
+  }
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value) || value.length % 4 !== 0) {
+    return null;
+  }
+
+  return Buffer.from(value, "base64");
+};
+
+/**
+ * Validate a public key registration ({ algorithm, key })
+ */
+const validatePublicKey = (publicKey) => {
+  if (!publicKey || typeof publicKey !== "object") {
+    return { valid: false, error: "publicKey must be an object" };
+  }
+
+  const { algorithm, key } = publicKey;
+  const scheme = ENCRYPTION_ALGORITHMS[algorithm];
+  if (!scheme) {
+    return {
+      valid: false,
+      error: `Unsupported algorithm. Supported: ${Object.keys(
+        ENCRYPTION_ALGORITHMS
+      ).join(", ")}`,
+    };
+  }
+
+  const decoded = decodeBase64(key);
+  if (!decoded || !scheme.keyBytes.includes(decoded.length)) {
+    return {
+      valid: false,
+      error: `Public key must be base64 encoding ${scheme.keyBytes.join(
+        " or "
+      )} bytes for ${algorithm}`,
+    };
+  }
+
+  return { valid: true, publicKey: { algorithm, key } };
+};
+
+/**
+ * Validate an encrypted message envelope
+ * Ciphertext cannot be inspected, so only structure and size are checked
+ */
+const validateEncryptedMessage = (content, { algorithm, nonce } = {}) => {
+  if (!content || typeof content !== "string") {
+    return { valid: false, error: "Message ciphertext is required" };
+  }
+
+  const scheme = ENCRYPTION_ALGORITHMS[algorithm];
+  if (!scheme) {
+    return { valid: false, error: "Unsupported encryption algorithm" };
+  }
+
+  if (content.length > MAX_CIPHERTEXT_LENGTH) {
+    return {
+      valid: false,
+      error: `Ciphertext too long (max ${MAX_CIPHERTEXT_LENGTH} characters)`,
+    };
+  }
+
+  const ciphertext = decodeBase64(content);
+  if (!ciphertext || ciphertext.length < MIN_CIPHERTEXT_BYTES) {
+    return { valid: false, error: "Ciphertext must be valid base64" };
+  }
+
+  const decodedNonce = decodeBase64(nonce);
+  if (!decodedNonce || decodedNonce.length !== scheme.nonceBytes) {
+    return {
+      valid: false,
+      error: `Nonce must be base64 encoding ${scheme.nonceBytes} bytes for ${algorithm}`,
+    };
+  }
+
+  // Ciphertext can't be moderated, so it never carries flags
+  return { valid: true, content, algorithm, nonce, flags: [] };
+};
+
 /**
  * Validate message content
+ * Pass { encrypted: true, algorithm, nonce } to validate a ciphertext envelope
  */
-const validateMessage = (content) => {
+const validateMessage = (content, options = {}) => {
+  if (options.encrypted) {
+    return validateEncryptedMessage(content, options);
+  }
+
   if (!content || typeof content !== "string") {
     return { valid: false, error: "Message content is required" };
   }
@@ -96,23 +288,135 @@ const validateMessage = (content) => {
     return { valid: false, error: "Message cannot be empty" };
   }
 
-  if (trimmed.length > 1000) {
-    return { valid: false, error: "Message too long (max 1000 characters)" };
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    return {
+      valid: false,
+      error: `Message too long (max ${MAX_MESSAGE_LENGTH} characters)`,
+    };
   }
 
-  // Basic spam detection (you can enhance this)
-  const spamPatterns = [
-    /(.)\1{10,}/, // Repeated characters
-    /https?:\/\/[^\s]+/gi, // URLs (optional - you might want to allow them)
-  ];
+  // Configurable moderation pipeline (see utils/moderation.js)
+  const moderation = moderateContent(trimmed);
+  if (moderation.action === "reject") {
+    return {
+      valid: false,
+      error: `Message was rejected by content moderation rule "${moderation.rule}"`,
+      code: moderation.code,
+      rule: moderation.rule,
+    };
+  }
+
+  return { valid: true, content: trimmed, flags: moderation.flags };
+};
+
+/**
+ * Resolve when a message expires from the sender's timer and the recipient's
+ * default - the shorter of the two wins
+ */
+const resolveExpiresAt = (senderSeconds, recipientSeconds) => {
+  const candidates = [senderSeconds, recipientSeconds].filter(
+    (seconds) => seconds
+  );
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return new Date(Date.now() + Math.min(...candidates) * 1000);
+};
+
+/**
+ * Check if a recipient has blocked a sender by ID or by any of its fingerprints
+ */
+const isSenderBlocked = (recipient, senderId, fingerprints) => {
+  return (recipient.blocks || []).some(
+    (block) =>
+      (block.type === "sender" && block.value === senderId) ||
+      (block.type === "fingerprint" && fingerprints.includes(block.value))
+  );
+};
+
+/**
+ * Public view of a block - fingerprints are never exposed
+ */
+const formatBlock = (block) => {
+  const view = { id: block._id, type: block.type, createdAt: block.createdAt };
+  if (block.type === "sender") {
+    view.senderId = block.value;
+  }
+  return view;
+};
+
+/**
+ * Sender's view of an outbox entry
+ * Messages that expire before delivery report "expired"; replies never say
+ * who they went to, and content is only shown while the message is queued
+ */
+const formatOutboxEntry = (entry, now = new Date()) => {
+  const expired =
+    entry.status === "queued" && !!entry.expiresAt && entry.expiresAt <= now;
+
+  const view = {
+    id: entry._id,
+    status: expired ? "expired" : entry.status,
+    sentAt: entry.timestamp,
+    deliveredAt: entry.deliveredAt || null,
+    readAt: entry.readAt || null,
+    expiresAt: entry.expiresAt,
+    attachmentCount: entry.attachmentCount || 0,
+  };
+
+  if (entry.replyTo) {
+    view.replyTo = entry.replyTo;
+    view.threadId = entry.threadId;
+  } else if (entry.groupId) {
+    view.groupId = entry.groupId;
+  } else {
+    view.recipientId = entry.recipientId;
+  }
+
+  if (entry.status === "queued" && !expired && entry.content) {
+    view.content = entry.content;
+  }
+
+  return view;
+};
+
+/**
+ * Encode an opaque pagination cursor from a message's (timestamp, _id)
+ */
+const encodeCursor = (message) => {
+  const payload = JSON.stringify({
+    t: new Date(message.timestamp).getTime(),
+    id: message._id.toString(),
+  });
+  return Buffer.from(payload).toString("base64url");
+};
 
-  for (const pattern of spamPatterns) {
-    if (pattern.test(trimmed)) {
-      return { valid: false, error: "Message appears to be spam" };
+/**
+ * Decode a pagination cursor, returning null if it is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) {
+      return null;
     }
+
+    return { timestamp: new Date(t), id };
+  } catch (error) {
+    return null;
   }
+};
 
-  return { valid: true, content: trimmed };
+/**
+ * Check that a value is a valid message ID
+ */
+const isValidMessageId = (id) => {
+  return typeof id === "string" && mongoose.isValidObjectId(id);
 };
 
 /**
@@ -122,6 +426,51 @@ const generateApiKey = () => {
   return crypto.randomBytes(32).toString("hex");
 };
 
+/**
+ * Generate a secret session token proving ownership of an ID
+ */
+const generateSessionToken = () => {
+  return crypto.randomBytes(32).toString("hex");
+};
+
+/**
+ * Generate an opaque token that only allows replying to one message
+ */
+const generateReplyToken = () => {
+  return crypto.randomBytes(24).toString("base64url");
+};
+
+/**
+ * Generate the ID a recipient acknowledges a leased message by
+ */
+const generateLeaseId = () => {
+  return crypto.randomBytes(16).toString("hex");
+};
+
+/**
+ * Hash a session token for storage and comparison
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Compare a plaintext token against a stored hash in constant time
+ */
+const verifyToken = (token, storedHash) => {
+  if (!token || !storedHash) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashToken(token), "hex");
+  const expected = Buffer.from(storedHash, "hex");
+
+  return (
+    candidate.length === expected.length &&
+    crypto.timingSafeEqual(candidate, expected)
+  );
+};
+
 /**
  * Sleep function for rate limiting
  */
@@ -135,12 +484,11 @@ const sleep = (ms) => {
  */
 const generateCustomId = async (id) => {
   if (!isValidId(id)) {
-    throw new Error("Invalid ID format");
+    throw new ValidationError("Invalid ID format", { code: "INVALID_FORMAT" });
   }
 
-  const existingUser = await User.findOne({ id });
-  if (existingUser) {
-    throw new Error("ID already taken");
+  if (await isIdTaken(id)) {
+    throw new ConflictError("ID already taken", { code: "ID_TAKEN" });
   }
 
   return id;
@@ -148,13 +496,37 @@ const generateCustomId = async (id) => {
 
 module.exports = {
   generateRandomId,
-  generateUniqueId,
+  createWithUniqueId,
+  createWithUniqueGroupId,
   isValidId,
+  isValidGroupId,
   isIdAvailable,
+  isIdTaken,
   createFingerprint,
   formatResponse,
   validateMessage,
+  validateEncryptedMessage,
+  validatePublicKey,
+  ENCRYPTION_ALGORITHMS,
+  MESSAGE_LEASE_MS,
+  MAX_MESSAGE_EXPIRY_SECONDS,
+  resolveExpiresAt,
+  MAX_BLOCKS_PER_USER,
+  MAX_GROUP_MEMBERS,
+  GROUP_ROLES,
+  isSenderBlocked,
+  formatBlock,
+  formatOutboxEntry,
+  encodeCursor,
+  decodeCursor,
+  isValidMessageId,
   generateApiKey,
+  generateSessionToken,
+  generateReplyToken,
+  REPLY_TOKEN_TTL_MS,
+  generateLeaseId,
+  hashToken,
+  verifyToken,
   sleep,
   generateCustomId,
 };
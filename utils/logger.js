@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const config = require("../config");
+
+// Structured logger. Every entry has a level, a message and optional fields;
+// it is written as one JSON line in production and as readable text
+// elsewhere. Entries logged while handling a request carry its requestId.
+//
+// Fields holding user IDs, IPs or fingerprints are redacted before output,
+// and so are values of the same shape inside error messages and stacks.
+// logging.redact picks the categories (userIds, ips, fingerprints; "all" by
+// default, "none" to disable). Redacted values become a short keyed hash, so
+// one value can be followed through the logs without being readable - the
+// key changes on every restart.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const isProduction = config.env === "production";
+
+const level = config.logging.level || (isProduction ? "info" : "debug");
+
+const format = config.logging.format || (isProduction ? "json" : "pretty");
+
+// Field names redacted under each category
+const REDACTED_FIELDS = {
+  userIds: [
+    "userId",
+    "senderId",
+    "recipientId",
+    "memberId",
+    "reporterId",
+    "groupId",
+  ],
+  ips: ["ip"],
+  fingerprints: ["fingerprint", "senderFingerprint"],
+};
+
+// The same values as they appear in free text. User and group IDs are runs
+// of 6-12 digits; stack line and column numbers are shorter.
+const REDACTED_PATTERNS = {
+  userIds: [/\b\d{6,12}\b/],
+  ips: [
+    /\b(?:\d{1,3}\.){3}\d{1,3}\b/,
+    /\b[0-9a-f]{1,4}(?::[0-9a-f]{0,4}){2,7}\b/,
+  ],
+  fingerprints: [/\b[0-9a-f]{64}\b/],
+};
+
+const redactedCategories = (() => {
+  const setting = config.logging.redact;
+  if (setting.includes("none")) {
+    return [];
+  }
+  if (setting.includes("all")) {
+    return Object.keys(REDACTED_FIELDS);
+  }
+  return setting;
+})();
+
+const redactedFields = new Set(
+  redactedCategories.flatMap((category) => REDACTED_FIELDS[category])
+);
+
+// One pass over the text, so a redacted value is never matched again
+const redactedText = new RegExp(
+  redactedCategories
+    .flatMap((category) => REDACTED_PATTERNS[category])
+    .map((pattern) => pattern.source)
+    .join("|"),
+  "gi"
+);
+
+const redactionKey = crypto.randomBytes(32);
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Replace a sensitive value with a short keyed hash
+ */
+const redact = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  const digest = crypto
+    .createHmac("sha256", redactionKey)
+    .update(String(value))
+    .digest("hex");
+  return `[redacted:${digest.slice(0, 8)}]`;
+};
+
+/**
+ * Redact user IDs, IPs and fingerprints found anywhere in a piece of text
+ */
+const redactText = (text) => {
+  if (typeof text !== "string" || redactedCategories.length === 0) {
+    return text;
+  }
+  return text.replace(redactedText, (value) => redact(value));
+};
+
+/**
+ * Whether user IDs are redacted (for values logged outside named fields)
+ */
+const redactsUserIds = () => redactedFields.has("userId");
+
+/**
+ * Plain object form of an error
+ */
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  return {
+    name: error.name,
+    message: redactText(error.message),
+    ...(error.code !== undefined && { code: error.code }),
+    stack: redactText(error.stack),
+  };
+};
+
+/**
+ * Serialize errors and redact sensitive fields of an entry
+ */
+const redactFields = (fields) => {
+  const result = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (key === "error") {
+      result.error = serializeError(value);
+    } else if (
+      redactedFields.has(key) ||
+      redactedFields.has(key.slice(0, -1))
+    ) {
+      // Plural fields (userIds, memberIds) hold lists of the same values
+      result[key] = Array.isArray(value) ? value.map(redact) : redact(value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Render an entry as a line of readable text
+ */
+const prettyLine = ({ time, level: entryLevel, message, ...fields }) => {
+  const { error, ...rest } = fields;
+  const pairs = Object.entries(rest).map(
+    ([key, value]) =>
+      `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`
+  );
+
+  let line = `[${time}] ${entryLevel.toUpperCase().padEnd(5)} ${message}`;
+  if (pairs.length > 0) {
+    line += ` ${pairs.join(" ")}`;
+  }
+  if (error) {
+    line += `\n${error.stack || JSON.stringify(error)}`;
+  }
+  return line;
+};
+
+/**
+ * Write one entry if its level is enabled
+ */
+const write = (entryLevel, message, fields = {}) => {
+  if (LEVELS[entryLevel] > LEVELS[level]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: entryLevel,
+    message,
+    ...(context.getStore() || {}),
+    ...redactFields(fields),
+  };
+
+  const line = format === "json" ? JSON.stringify(entry) : prettyLine(entry);
+  const stream =
+    LEVELS[entryLevel] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Run a function with fields added to every entry logged inside it
+ */
+const runWithContext = (fields, fn) => {
+  return context.run(fields, fn);
+};
+
+/**
+ * Bind a callback to the current logging context, for libraries whose
+ * callbacks would otherwise lose it
+ */
+const bindContext = (fn) => {
+  return AsyncResource.bind(fn);
+};
+
+const logger = {
+  error: (message, fields) => write("error", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  debug: (message, fields) => write("debug", message, fields),
+  runWithContext,
+  bindContext,
+  redact,
+  redactsUserIds,
+};
+
+module.exports = logger;
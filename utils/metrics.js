@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const client = require("prom-client");
+const config = require("../config");
+const storage = require("../storage");
+const { AuthError } = require("./errors");
+
+// Prometheus metrics. Collection is always on and cheap; exposing them is
+// opt-in with METRICS_ENABLED=true, and the endpoint must be protected -
+// either served on its own METRICS_PORT (kept off the public network) or on
+// the main port at /metrics behind METRICS_TOKEN as a bearer token.
+
+const metricsConfig = config.metrics;
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "inkless_" });
+
+const httpRequests = new client.Counter({
+  name: "inkless_http_requests_total",
+  help: "HTTP requests by route and status code",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "inkless_http_request_duration_seconds",
+  help: "HTTP request latency by route and status code",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+const messagesSent = new client.Counter({
+  name: "inkless_messages_sent_total",
+  help: "Messages stored for a recipient (one per group member copy)",
+  labelNames: ["kind"], // direct, group or reply
+  registers: [registry],
+});
+
+const messagesFetched = new client.Counter({
+  name: "inkless_messages_fetched_total",
+  help: "Messages handed to recipients",
+  labelNames: ["channel"], // fetch or stream
+  registers: [registry],
+});
+
+const rateLimitHits = new client.Counter({
+  name: "inkless_rate_limit_hits_total",
+  help: "Requests counted by each rate limiter",
+  labelNames: ["limiter"],
+  registers: [registry],
+});
+
+const rateLimitRejections = new client.Counter({
+  name: "inkless_rate_limit_rejections_total",
+  help: "Requests refused by each rate limiter",
+  labelNames: ["limiter"],
+  registers: [registry],
+});
+
+const validationRejections = new client.Counter({
+  name: "inkless_validation_rejections_total",
+  help: "Requests rejected as invalid, by error code",
+  labelNames: ["reason"],
+  registers: [registry],
+});
+
+const cleanupDuration = new client.Histogram({
+  name: "inkless_cleanup_duration_seconds",
+  help: "Cleanup job run time",
+  labelNames: ["status"],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120],
+  registers: [registry],
+});
+
+const cleanupDeletions = new client.Counter({
+  name: "inkless_cleanup_deletions_total",
+  help: "Records removed or marked by the cleanup job",
+  labelNames: ["kind"],
+  registers: [registry],
+});
+
+// Mongoose readyState: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting
+if (storage.driver === "mongo") {
+  new client.Gauge({
+    name: "inkless_mongo_connection_state",
+    help: "MongoDB connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)",
+    registers: [registry],
+    collect() {
+      this.set(mongoose.connection.readyState);
+    },
+  });
+}
+
+/**
+ * Route pattern a request matched, so labels don't grow with IDs
+ */
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return "unmatched";
+};
+
+/**
+ * Record request count and latency, and 400-class rejection codes
+ * Must be mounted before any route or rate limiter
+ */
+const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  // Remember the error code of JSON error responses
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body.code === "string") {
+      res.locals.errorCode = body.code;
+    }
+    return json(body);
+  };
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(req),
+      status: res.statusCode,
+    };
+    httpRequests.inc(labels);
+    endTimer(labels);
+
+    if (
+      (res.statusCode === 400 || res.statusCode === 413) &&
+      res.locals.errorCode
+    ) {
+      validationRejections.inc({ reason: res.locals.errorCode });
+    }
+  });
+
+  next();
+};
+
+/**
+ * Serve the registry in Prometheus text format, checking the token if set
+ */
+const metricsHandler = async (req, res, next) => {
+  try {
+    if (metricsConfig.token) {
+      const header = req.headers.authorization || "";
+      const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+      const expected = Buffer.from(metricsConfig.token);
+      const actual = Buffer.from(token);
+
+      if (
+        actual.length !== expected.length ||
+        !crypto.timingSafeEqual(actual, expected)
+      ) {
+        throw new AuthError("Metrics token required", {
+          code: "METRICS_AUTH_REQUIRED",
+        });
+      }
+    }
+
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a finished cleanup run
+ */
+const recordCleanupRun = ({ status, durationMs, results = {} }) => {
+  cleanupDuration.observe({ status }, durationMs / 1000);
+  for (const [kind, count] of Object.entries(results)) {
+    cleanupDeletions.inc({ kind }, count);
+  }
+};
+
+module.exports = {
+  metricsConfig,
+  registry,
+  messagesSent,
+  messagesFetched,
+  rateLimitHits,
+  rateLimitRejections,
+  metricsMiddleware,
+  metricsHandler,
+  recordCleanupRun,
+};
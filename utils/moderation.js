@@ -0,0 +1,264 @@
+const fs = require("fs");
+const { moderation: moderationConfig } = require("../config");
+
+// Content moderation pipeline. Rules are loaded in order from
+// config/moderation.json (or the file named by MODERATION_CONFIG). A
+// "normalize" stage rewrites the text later rules match against; every other
+// rule either matches or not, and on a match applies its action:
+//   allow  - accept immediately, skipping the remaining rules
+//   reject - refuse the message with the rule's stable error code
+//   flag   - accept, but record the rule ID on the message
+
+const ACTIONS = ["allow", "reject", "flag"];
+
+// Zero-width and invisible formatting characters used to split words
+const ZERO_WIDTH_PATTERN = /[\u00AD\u200B-\u200F\u2060-\u2064\uFEFF]/g;
+
+// Common Cyrillic and Greek lookalikes folded to their Latin counterparts
+const HOMOGLYPHS = {
+  а: "a",
+  в: "b",
+  е: "e",
+  ё: "e",
+  к: "k",
+  м: "m",
+  н: "h",
+  о: "o",
+  р: "p",
+  с: "c",
+  т: "t",
+  у: "y",
+  х: "x",
+  і: "i",
+  ї: "i",
+  ј: "j",
+  ѕ: "s",
+  ԁ: "d",
+  ɡ: "g",
+  α: "a",
+  β: "b",
+  ε: "e",
+  ι: "i",
+  κ: "k",
+  ν: "v",
+  ο: "o",
+  ρ: "p",
+  τ: "t",
+  υ: "u",
+  χ: "x",
+};
+
+const HOMOGLYPH_PATTERN = new RegExp(
+  `[${Object.keys(HOMOGLYPHS).join("")}]`,
+  "g"
+);
+
+// Links with a scheme, a www. prefix or a bare domain on a common TLD
+const URL_PATTERN =
+  /\b(?:https?:\/\/[^\s/$.?#][^\s]*|www\.[^\s]+|(?:[a-z0-9-]+\.)+(?:com|net|org|io|co|me|ly|gg|xyz|info|biz|ru|app|dev|link|click|top|site|online)\b[^\s]*)/gi;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegExp = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+/**
+ * Extract the lowercase hostname from a matched link
+ */
+const hostnameOf = (link) => {
+  const withScheme = /^https?:\/\//i.test(link) ? link : `http://${link}`;
+  try {
+    return new URL(withScheme).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Rewrite text into the canonical form later rules match against
+ */
+const normalizeText = (text, options) => {
+  let result = text;
+
+  if (options.unicode !== false) {
+    // Decompose, drop combining marks (strike-throughs, accents), recompose
+    result = result
+      .normalize("NFKD")
+      .replace(/\p{Mn}/gu, "")
+      .normalize("NFKC");
+  }
+
+  if (options.stripZeroWidth !== false) {
+    result = result.replace(ZERO_WIDTH_PATTERN, "");
+  }
+
+  result = result.toLowerCase();
+
+  if (options.foldHomoglyphs !== false) {
+    result = result.replace(HOMOGLYPH_PATTERN, (char) => HOMOGLYPHS[char]);
+  }
+
+  return result;
+};
+
+// Match functions per rule type - return true when the rule fires
+const matchers = {
+  blocklist: (text, rule) => {
+    return rule.patterns.some((pattern) => pattern.test(text));
+  },
+
+  "url-allowlist": (text, rule) => {
+    const links = text.match(URL_PATTERN) || [];
+    return links.some((link) => {
+      const hostname = hostnameOf(link);
+      return (
+        !hostname ||
+        !rule.domains.some(
+          (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+        )
+      );
+    });
+  },
+
+  "max-links": (text, rule) => {
+    return (text.match(URL_PATTERN) || []).length > rule.max;
+  },
+
+  repetition: (text, rule) => {
+    const charRun = new RegExp(`(.)\\1{${rule.maxCharRun},}`, "u");
+    if (charRun.test(text)) {
+      return true;
+    }
+
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length < rule.minWords) {
+      return false;
+    }
+
+    const counts = new Map();
+    for (const word of words) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return Math.max(...counts.values()) / words.length > rule.maxWordRatio;
+  },
+};
+
+// Defaults filled in for each rule type when the config omits them
+const ruleDefaults = {
+  normalize: {},
+  blocklist: { code: "BLOCKED_CONTENT", words: [], phrases: [] },
+  "url-allowlist": { code: "LINK_NOT_ALLOWED", domains: [] },
+  "max-links": { code: "TOO_MANY_LINKS", max: 2 },
+  repetition: {
+    code: "REPETITIVE_CONTENT",
+    maxCharRun: 10,
+    maxWordRatio: 0.6,
+    minWords: 6,
+  },
+};
+
+/**
+ * Validate one configured rule and precompute what it needs
+ */
+const compileRule = (config, index) => {
+  const defaults = ruleDefaults[config.type];
+  if (!defaults) {
+    throw new Error(
+      `Moderation rule #${index + 1} has unknown type "${config.type}"`
+    );
+  }
+
+  const rule = {
+    id: config.id || config.type,
+    action: "reject",
+    ...defaults,
+    ...config,
+  };
+
+  if (rule.type !== "normalize" && !ACTIONS.includes(rule.action)) {
+    throw new Error(
+      `Moderation rule "${rule.id}" has invalid action "${rule.action}"`
+    );
+  }
+
+  if (rule.type === "blocklist") {
+    // Words match whole words only; phrases match anywhere
+    rule.patterns = [
+      ...rule.words.map(
+        (word) =>
+          new RegExp(
+            `(^|[^\\p{L}\\p{N}])${escapeRegExp(
+              word.toLowerCase()
+            )}($|[^\\p{L}\\p{N}])`,
+            "u"
+          )
+      ),
+      ...rule.phrases.map(
+        (phrase) => new RegExp(escapeRegExp(phrase.toLowerCase()), "u")
+      ),
+    ];
+  }
+
+  if (rule.type === "url-allowlist") {
+    rule.domains = rule.domains.map((domain) => domain.toLowerCase());
+  }
+
+  return rule;
+};
+
+/**
+ * Load and compile the configured rule pipeline
+ */
+const loadModerationRules = (configPath = moderationConfig.configPath) => {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+  if (!Array.isArray(config.rules)) {
+    throw new Error(
+      `Moderation config ${configPath} must define a rules array`
+    );
+  }
+
+  return config.rules.map(compileRule);
+};
+
+const moderationRules = loadModerationRules();
+
+/**
+ * Run content through the moderation pipeline
+ * Returns { action, flags } plus { rule, code } when a rule rejected it
+ */
+const moderateContent = (content, rules = moderationRules) => {
+  let text = content;
+  const flags = [];
+
+  for (const rule of rules) {
+    if (rule.type === "normalize") {
+      text = normalizeText(text, rule);
+      continue;
+    }
+
+    if (!matchers[rule.type](text, rule)) {
+      continue;
+    }
+
+    if (rule.action === "allow") {
+      return { action: "allow", flags };
+    }
+
+    if (rule.action === "reject") {
+      return { action: "reject", rule: rule.id, code: rule.code, flags };
+    }
+
+    flags.push(rule.id);
+  }
+
+  return { action: flags.length > 0 ? "flag" : "allow", flags };
+};
+
+module.exports = {
+  loadModerationRules,
+  moderateContent,
+  normalizeText,
+};
@@ -0,0 +1,506 @@
+const http = require("http");
+const {
+  authenticateUser,
+  authenticateSender,
+  identifySender,
+  requireAdmin,
+  rejectBanned,
+  deprecateUnversionedApi,
+  requireDatabase,
+} = require("../middleware");
+const ROUTE_DOCS = require("./routeDocs");
+const logger = require("./logger");
+const { name, version, description } = require("../package.json");
+
+// OpenAPI 3 document generated from what is actually mounted: routes and
+// methods come from the routers, parameters and request bodies from the
+// Joi schemas given to validate, and auth, ban, rate limit and database
+// errors from the middleware in front of each route. Summaries and the
+// errors handlers answer with themselves come from utils/routeDocs.js.
+// Routes served from the deprecated unversioned /api alias are marked
+// deprecated.
+
+// Errors answered by shared middleware, and the auth scheme it implies
+const MIDDLEWARE_DOCS = new Map([
+  [
+    authenticateUser,
+    {
+      security: "sessionToken",
+      errors: { 401: ["AUTH_REQUIRED"], 403: ["INVALID_TOKEN"] },
+    },
+  ],
+  [
+    authenticateSender,
+    {
+      security: "sessionToken",
+      errors: { 401: ["AUTH_REQUIRED"], 403: ["INVALID_TOKEN"] },
+    },
+  ],
+  [
+    identifySender,
+    {
+      security: "sessionToken",
+      optional: true,
+      errors: { 403: ["INVALID_TOKEN"] },
+    },
+  ],
+  [
+    requireAdmin,
+    {
+      security: "adminKey",
+      errors: { 401: ["ADMIN_AUTH_REQUIRED"], 404: ["NOT_FOUND"] },
+    },
+  ],
+  [rejectBanned, { errors: { 403: ["BANNED"] } }],
+  [deprecateUnversionedApi, { deprecated: true }],
+  [requireDatabase, { errors: { 503: ["SERVICE_UNAVAILABLE"] } }],
+]);
+
+// Statuses whose responses carry a Retry-After header
+const RETRY_STATUSES = [429, 503];
+
+/**
+ * Convert a Joi schema description into a JSON Schema (OpenAPI flavour)
+ */
+const toJsonSchema = (joi) => {
+  const flags = joi.flags || {};
+  const schema = {};
+
+  if (joi.type === "number") {
+    const integer = (joi.rules || []).some((rule) => rule.name === "integer");
+    schema.type = integer ? "integer" : "number";
+  } else if (["string", "boolean", "array", "object"].includes(joi.type)) {
+    schema.type = joi.type;
+  }
+
+  for (const rule of joi.rules || []) {
+    const { limit } = rule.args || {};
+    if (rule.name === "pattern") {
+      schema.pattern = rule.args.regex.replace(/^\/|\/[a-z]*$/g, "");
+    } else if (["min", "max", "length"].includes(rule.name)) {
+      const bound = rule.name === "max" ? "max" : "min";
+      const keys =
+        joi.type === "string"
+          ? { min: "minLength", max: "maxLength" }
+          : joi.type === "array"
+          ? { min: "minItems", max: "maxItems" }
+          : { min: "minimum", max: "maximum" };
+      schema[keys[bound]] = limit;
+      if (rule.name === "length") {
+        schema[keys.max] = limit;
+      }
+    } else if (rule.name === "unique") {
+      schema.uniqueItems = true;
+    }
+  }
+
+  const allowed = joi.allow || [];
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.only) {
+    schema.enum = allowed.filter((value) => value !== null);
+  }
+  if (flags.default !== undefined && typeof flags.default !== "function") {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  if (joi.matches) {
+    schema.oneOf = joi.matches.map((match) => toJsonSchema(match.schema));
+  }
+
+  if (joi.items) {
+    schema.items = joi.items.length > 0 ? toJsonSchema(joi.items[0]) : {};
+  }
+
+  if (joi.keys) {
+    schema.properties = {};
+    const required = [];
+    for (const [key, child] of Object.entries(joi.keys)) {
+      schema.properties[key] = toJsonSchema(child);
+      if ((child.flags || {}).presence === "required") {
+        required.push(key);
+      }
+    }
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    for (const { rel, peers } of joi.dependencies || []) {
+      const alternatives = peers.map((peer) => ({ required: [peer] }));
+      if (rel === "or") {
+        schema.anyOf = alternatives;
+      } else if (rel === "xor") {
+        schema.oneOf = alternatives;
+      }
+    }
+  }
+
+  return schema;
+};
+
+/**
+ * Error codes a failed schema can report, following validate's rule that a
+ * field uses the nearest code declared on it or a parent
+ */
+const validationCodes = (joi, inherited = null, codes = new Set()) => {
+  const meta = (joi.metas || []).find((item) => item.code);
+  const code = meta ? meta.code : inherited;
+  codes.add(code || "VALIDATION_ERROR");
+
+  for (const child of Object.values(joi.keys || {})) {
+    validationCodes(child, code, codes);
+  }
+  for (const item of joi.items || []) {
+    validationCodes(item, code, codes);
+  }
+  return codes;
+};
+
+/**
+ * Add error codes to a status -> Set map
+ */
+const addErrors = (errors, additions) => {
+  for (const [status, codes] of Object.entries(additions)) {
+    if (!errors.has(status)) {
+      errors.set(status, new Set());
+    }
+    codes.forEach((code) => errors.get(status).add(code));
+  }
+};
+
+/**
+ * Error response for one status listing the codes it can carry
+ */
+const errorResponse = (status, codes) => {
+  const response = {
+    description: http.STATUS_CODES[status] || "Error",
+    content: {
+      "application/json": {
+        schema: {
+          allOf: [
+            { $ref: "#/components/schemas/Error" },
+            {
+              type: "object",
+              properties: { code: { type: "string", enum: [...codes].sort() } },
+            },
+          ],
+        },
+      },
+    },
+  };
+
+  if (RETRY_STATUSES.includes(Number(status))) {
+    response.headers = {
+      "Retry-After": {
+        description: "Seconds to wait before retrying",
+        schema: { type: "integer" },
+      },
+    };
+  }
+  return response;
+};
+
+/**
+ * Success response for a route, in the standard envelope unless its docs
+ * entry says otherwise
+ */
+const successResponse = (doc) => {
+  const description = http.STATUS_CODES[doc.status || 200];
+
+  if (doc.produces) {
+    const schema = doc.produces.startsWith("text/")
+      ? { type: "string" }
+      : { type: "string", format: "binary" };
+    return { description, content: { [doc.produces]: { schema } } };
+  }
+
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema:
+          doc.envelope === false
+            ? { type: "object" }
+            : { $ref: "#/components/schemas/Success" },
+      },
+    },
+  };
+};
+
+/**
+ * OpenAPI operation for one route, from the middleware chain in front of it
+ */
+const buildOperation = (path, handlers, doc) => {
+  const errors = new Map();
+  const security = [];
+  const schemas = {};
+  let deprecated = false;
+
+  for (const handler of handlers) {
+    if (handler.schemas) {
+      Object.assign(schemas, handler.schemas);
+    } else if (handler.limiterName) {
+      addErrors(errors, { 429: ["RATE_LIMITED"] });
+    } else if (MIDDLEWARE_DOCS.has(handler)) {
+      const middlewareDoc = MIDDLEWARE_DOCS.get(handler);
+      addErrors(errors, middlewareDoc.errors || {});
+      deprecated = deprecated || Boolean(middlewareDoc.deprecated);
+      if (middlewareDoc.security) {
+        // An empty requirement makes the scheme optional
+        security.push(...(middlewareDoc.optional ? [{}] : []), {
+          [middlewareDoc.security]: [],
+        });
+      }
+    }
+  }
+
+  const describe = (location) =>
+    schemas[location] ? schemas[location].describe() : null;
+  const params = describe("params");
+  const query = describe("query");
+  const body = describe("body");
+
+  const parameters = [];
+  for (const [, param] of path.matchAll(/:(\w+)/g)) {
+    const declared = params && params.keys && params.keys[param];
+    parameters.push({
+      name: param,
+      in: "path",
+      required: true,
+      schema: declared ? toJsonSchema(declared) : { type: "string" },
+    });
+  }
+  for (const [key, field] of Object.entries((query && query.keys) || {})) {
+    parameters.push({
+      name: key,
+      in: "query",
+      required: (field.flags || {}).presence === "required",
+      schema: toJsonSchema(field),
+    });
+  }
+
+  for (const joi of [params, query, body].filter(Boolean)) {
+    addErrors(errors, { 400: [...validationCodes(joi)] });
+  }
+
+  const operation = {
+    tags: [doc.tag],
+    summary: doc.summary,
+    parameters,
+  };
+
+  if (body || doc.upload) {
+    const schema = body ? toJsonSchema(body) : { type: "object" };
+    if (doc.upload) {
+      schema.properties = {
+        ...schema.properties,
+        [doc.upload]: { type: "string", format: "binary" },
+      };
+      schema.required = [...(schema.required || []), doc.upload];
+    } else {
+      addErrors(errors, {
+        400: ["INVALID_JSON"],
+        413: ["PAYLOAD_TOO_LARGE"],
+      });
+    }
+    operation.requestBody = {
+      required: true,
+      content: {
+        [doc.upload ? "multipart/form-data" : "application/json"]: { schema },
+      },
+    };
+  }
+
+  addErrors(errors, doc.errors || {});
+  if (doc.envelope !== false) {
+    addErrors(errors, { 500: ["INTERNAL_ERROR"] });
+  }
+
+  operation.responses = { [doc.status || 200]: successResponse(doc) };
+  for (const status of [...errors.keys()].sort()) {
+    operation.responses[status] = errorResponse(status, errors.get(status));
+  }
+
+  if (security.length > 0) {
+    operation.security = security;
+  }
+  if (deprecated) {
+    operation.deprecated = true;
+  }
+  return operation;
+};
+
+/**
+ * Every route under the mounted handlers, with the middleware that runs
+ * before it. Mounted entries are { path, handler } in mount order; plain
+ * middleware applies to the routers mounted after it under its path.
+ */
+const collectRoutes = (mounted) => {
+  const routes = [];
+  const middleware = [];
+
+  for (const { path: mountPath, handler } of mounted) {
+    const prefix = mountPath === "/" ? "" : mountPath;
+
+    if (!handler.stack) {
+      middleware.push({ prefix, handler });
+      continue;
+    }
+
+    const inherited = middleware
+      .filter((entry) => prefix.startsWith(entry.prefix))
+      .map((entry) => entry.handler);
+    const routerMiddleware = [];
+
+    for (const layer of handler.stack) {
+      if (!layer.route) {
+        routerMiddleware.push(layer.handle);
+        continue;
+      }
+
+      const handlers = [
+        ...inherited,
+        ...routerMiddleware,
+        ...layer.route.stack.map((routeLayer) => routeLayer.handle),
+      ];
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method: method.toUpperCase(),
+          path: `${prefix}${layer.route.path}`,
+          handlers,
+        });
+      }
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Docs entry key for a route. Entries are written against the unversioned
+ * paths and shared by every version, unless a version has its own entry.
+ */
+const docKey = (method, path) => {
+  const key = `${method} ${path}`;
+  return ROUTE_DOCS[key] ? key : key.replace(/ \/api\/v\d+(?=\/)/, " /api");
+};
+
+/**
+ * Build the OpenAPI document for the mounted routers, logging any route
+ * without a docs entry and any docs entry without a route
+ */
+const buildSpec = (mounted) => {
+  const paths = {};
+  const seen = new Set();
+  const undocumented = new Set();
+
+  for (const { method, path, handlers } of collectRoutes(mounted)) {
+    const key = docKey(method, path);
+    const doc = ROUTE_DOCS[key];
+    if (!doc) {
+      undocumented.add(key);
+    }
+    seen.add(key);
+
+    // Express answers with the first matching route, so a v1 route that a
+    // version replaced is never reached under that version's path
+    const openApiPath = path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] = paths[openApiPath] || {};
+    if (paths[openApiPath][method.toLowerCase()]) {
+      continue;
+    }
+    paths[openApiPath][method.toLowerCase()] = buildOperation(
+      path,
+      handlers,
+      doc || { tag: "Other", summary: `${method} ${path}` }
+    );
+  }
+
+  const stale = Object.keys(ROUTE_DOCS).filter((key) => !seen.has(key));
+  if (undocumented.size > 0 || stale.length > 0) {
+    logger.warn("⚠️ API docs out of sync with routes", {
+      undocumented: [...undocumented],
+      stale,
+    });
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title: name, version, description },
+    paths,
+    components: {
+      securitySchemes: {
+        sessionToken: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "Session token issued with the user ID. EventSource streams may pass it as ?token= and sendBeacon requests in the body.",
+        },
+        adminKey: { type: "apiKey", in: "header", name: "X-Admin-Key" },
+      },
+      schemas: {
+        Success: {
+          type: "object",
+          required: ["success"],
+          properties: {
+            success: { type: "boolean", enum: [true] },
+            data: { type: "object" },
+          },
+        },
+        Error: {
+          type: "object",
+          required: ["success", "error", "code"],
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string" },
+            code: { type: "string" },
+            data: { type: "object", nullable: true },
+            details: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  location: {
+                    type: "string",
+                    enum: ["params", "query", "body"],
+                  },
+                  field: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+};
+
+/**
+ * One "METHOD /path - summary" line per current operation, for the startup
+ * log
+ */
+const listEndpoints = (spec) => {
+  const lines = [];
+  for (const [path, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      if (operation.deprecated) {
+        continue;
+      }
+      lines.push(
+        `  ${method.toUpperCase().padEnd(6)} ${path} - ${operation.summary}`
+      );
+    }
+  }
+  return lines.join("\n");
+};
+
+module.exports = {
+  toJsonSchema,
+  buildSpec,
+  listEndpoints,
+};
@@ -0,0 +1,111 @@
+const { users } = require("../storage");
+const logger = require("./logger");
+
+// Keepalive interval for open streams. Each tick also refreshes the user's
+// lastActive so the cleanup job treats a connected stream as a heartbeat.
+const KEEPALIVE_INTERVAL_MS = 30 * 1000;
+
+// Open Server-Sent Events streams keyed by user ID
+const streams = new Map();
+
+/**
+ * Write a single SSE frame to a response
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Refresh a user's lastActive timestamp
+ */
+const touchUser = (userId) => {
+  return users.touch(userId);
+};
+
+/**
+ * Open an SSE stream for a user and keep it registered until the client leaves
+ */
+const subscribe = (userId, req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  if (!streams.has(userId)) {
+    streams.set(userId, new Set());
+  }
+  streams.get(userId).add(res);
+
+  writeEvent(res, "ready", { userId, timestamp: new Date().toISOString() });
+
+  const keepalive = setInterval(() => {
+    res.write(": ping\n\n");
+    touchUser(userId).catch((error) => {
+      logger.error("Error refreshing stream heartbeat", { error });
+    });
+  }, KEEPALIVE_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(keepalive);
+
+    const userStreams = streams.get(userId);
+    if (userStreams) {
+      userStreams.delete(res);
+      if (userStreams.size === 0) {
+        streams.delete(userId);
+      }
+    }
+  });
+
+  return touchUser(userId);
+};
+
+/**
+ * Push a message to every open stream of the recipient
+ * Returns the number of streams the message was written to
+ */
+const publish = (recipientId, message) => {
+  const userStreams = streams.get(recipientId);
+  if (!userStreams) {
+    return 0;
+  }
+
+  let delivered = 0;
+  for (const res of userStreams) {
+    if (!res.writableEnded) {
+      writeEvent(res, "message", message);
+      delivered++;
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Check if a user has at least one open stream
+ */
+const isConnected = (userId) => {
+  return streams.has(userId);
+};
+
+/**
+ * End every open stream (used on shutdown so server.close can complete)
+ */
+const closeAll = () => {
+  for (const userStreams of streams.values()) {
+    for (const res of userStreams) {
+      res.end();
+    }
+  }
+  streams.clear();
+};
+
+module.exports = {
+  subscribe,
+  publish,
+  isConnected,
+  closeAll,
+};
@@ -0,0 +1,62 @@
+// Abuse reports. A recipient reports a message they hold (fetched but not yet
+// acknowledged) and a copy is quarantined for moderators, who resolve it by
+// dismissing it, warning the sender or banning the sender's fingerprint.
+// Warnings restrict sending for a cooldown, and repeated warnings escalate to
+// a fingerprint ban.
+
+const config = require("../config");
+const { reports } = require("../storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_REASONS = ["spam", "harassment", "threat", "sexual", "other"];
+
+// Resolution actions and the report status each one leaves
+const REPORT_ACTIONS = {
+  dismiss: "dismissed",
+  warn: "warned",
+  ban: "banned",
+};
+
+// How long reports are kept, whatever their status
+const REPORT_RETENTION_MS = config.reports.retentionDays * DAY_MS;
+
+// A warned sender cannot send until this long after the warning
+const SENDER_WARNING_COOLDOWN_MS = config.reports.warningCooldownMs;
+
+// Warnings within the retention period that escalate to a fingerprint ban
+const MAX_SENDER_WARNINGS = config.reports.maxWarnings;
+
+/**
+ * Warnings on record for a sender ID or any of its fingerprints
+ * Only reports on messages from a verified sender ID count against the ID,
+ * so nobody is warned for messages sent in their name
+ */
+const getSenderWarnings = (senderId, fingerprints) => {
+  return reports.listWarnings({ senderId, fingerprints });
+};
+
+/**
+ * When a warned sender may send again, or null if they are not restricted
+ */
+const getSendingRestriction = async (senderId, fingerprints) => {
+  const [latest] = await getSenderWarnings(senderId, fingerprints);
+  if (!latest) {
+    return null;
+  }
+
+  const until = new Date(
+    new Date(latest.resolvedAt).getTime() + SENDER_WARNING_COOLDOWN_MS
+  );
+  return until > new Date() ? until : null;
+};
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+  REPORT_RETENTION_MS,
+  SENDER_WARNING_COOLDOWN_MS,
+  MAX_SENDER_WARNINGS,
+  getSenderWarnings,
+  getSendingRestriction,
+};
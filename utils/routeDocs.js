@@ -0,0 +1,414 @@
+// What the OpenAPI document can't read off the routers: a summary, the
+// success status and the error codes each handler answers with itself,
+// keyed by "METHOD /full/path". API entries use the unversioned /api path
+// and cover every version, unless a version has its own "/api/v2/..." entry
+// for a route it changed. Parameters, validation errors, auth and
+// rate limiting are derived from the mounted middleware (utils/openapi.js),
+// and a route missing here - or an entry without a route - is logged when
+// the document is built.
+//
+// Entry fields: tag, summary, status (success, default 200), errors
+// ({ status: [codes] }), envelope: false for responses outside the standard
+// envelope, upload (multipart file field) and produces (non-JSON success
+// content type).
+
+module.exports = {
+  // Health
+
+  "GET /health": {
+    tag: "Health",
+    summary: "Liveness check",
+  },
+  "GET /ready": {
+    tag: "Health",
+    summary: "Readiness check (database, cleanup), 503 when not ready",
+    errors: { 503: ["NOT_READY"] },
+  },
+  "GET /wake": {
+    tag: "Health",
+    summary: "Wake the server",
+  },
+
+  // Docs
+
+  "GET /api/openapi.json": {
+    tag: "Docs",
+    summary: "This OpenAPI document",
+    envelope: false,
+  },
+  "GET /api/docs": {
+    tag: "Docs",
+    summary: "Interactive API docs",
+    produces: "text/html",
+  },
+  "GET /api/docs/init.js": {
+    tag: "Docs",
+    summary: "Docs page start-up script",
+    produces: "application/javascript",
+  },
+  "GET /api/docs/assets/:file": {
+    tag: "Docs",
+    summary: "Docs page assets",
+    produces: "application/octet-stream",
+    errors: { 404: ["NOT_FOUND"] },
+  },
+
+  // Users
+
+  "GET /api/generate-id": {
+    tag: "Users",
+    summary: "Generate a random user ID and session token",
+    errors: { 503: ["SERVICE_UNAVAILABLE"] },
+  },
+  "POST /api/generate-id": {
+    tag: "Users",
+    summary:
+      "Generate a random user ID and session token, registering a public key",
+    errors: { 400: ["INVALID_PUBLIC_KEY"], 503: ["SERVICE_UNAVAILABLE"] },
+  },
+  "GET /api/check-id/:id": {
+    tag: "Users",
+    summary: "Check if an ID is available",
+  },
+  "POST /api/custom-id/:id": {
+    tag: "Users",
+    summary: "Claim a custom user ID",
+    errors: {
+      400: ["INVALID_PUBLIC_KEY"],
+      409: ["ID_TAKEN"],
+    },
+  },
+  "DELETE /api/users/:userId": {
+    tag: "Users",
+    summary: "Delete a user and their messages",
+  },
+  "DELETE /api/v2/users/:userId": {
+    tag: "Users",
+    summary: "Delete a user and their messages immediately",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "PUT /api/users/:userId/heartbeat": {
+    tag: "Users",
+    summary: "Update the user's heartbeat",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "PUT /api/users/:userId/settings": {
+    tag: "Users",
+    summary: "Update inbox settings",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "GET /api/users/:userId/exists": {
+    tag: "Users",
+    summary: "Check if a user exists",
+  },
+  "GET /api/users/:userId/public-key": {
+    tag: "Users",
+    summary: "Get a user's public key",
+    errors: {
+      404: ["USER_NOT_FOUND", "PUBLIC_KEY_NOT_FOUND"],
+    },
+  },
+  "PUT /api/users/:userId/public-key": {
+    tag: "Users",
+    summary: "Register a public key",
+    errors: {
+      400: ["INVALID_PUBLIC_KEY"],
+      404: ["USER_NOT_FOUND"],
+    },
+  },
+  "GET /api/users/:userId/outbox": {
+    tag: "Users",
+    summary: "Sent messages and their delivery status",
+    errors: {
+      400: ["INVALID_CURSOR"],
+      404: ["USER_NOT_FOUND"],
+    },
+  },
+  "GET /api/users/:userId/blocks": {
+    tag: "Users",
+    summary: "List blocked senders",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "POST /api/users/:userId/blocks": {
+    tag: "Users",
+    summary: "Block a sender ID or the sender of a message",
+    status: 201,
+    errors: {
+      400: ["INVALID_ID"],
+      404: ["USER_NOT_FOUND", "MESSAGE_NOT_FOUND"],
+      409: ["BLOCK_LIST_FULL"],
+    },
+  },
+  "DELETE /api/users/:userId/blocks/:blockId": {
+    tag: "Users",
+    summary: "Unblock a sender",
+    errors: {
+      404: ["USER_NOT_FOUND", "BLOCK_NOT_FOUND"],
+    },
+  },
+
+  // Messages
+
+  "POST /api/messages/send": {
+    tag: "Messages",
+    summary: "Send an anonymous message to a user or group",
+    status: 201,
+    errors: {
+      400: [
+        "INVALID_RECIPIENT",
+        "INVALID_MESSAGE",
+        "INVALID_ATTACHMENT",
+        "ALGORITHM_MISMATCH",
+        "GROUP_ENCRYPTION_UNSUPPORTED",
+        "GROUP_ATTACHMENTS_UNSUPPORTED",
+      ],
+      403: ["SENDING_RESTRICTED"],
+      404: ["SENDER_NOT_FOUND", "RECIPIENT_NOT_FOUND"],
+      409: ["RECIPIENT_NO_PUBLIC_KEY"],
+    },
+  },
+  "POST /api/v2/messages/send": {
+    tag: "Messages",
+    summary: "Send a message to a user or group as the token's holder",
+    status: 201,
+    errors: {
+      400: [
+        "INVALID_RECIPIENT",
+        "INVALID_MESSAGE",
+        "INVALID_ATTACHMENT",
+        "ALGORITHM_MISMATCH",
+        "GROUP_ENCRYPTION_UNSUPPORTED",
+        "GROUP_ATTACHMENTS_UNSUPPORTED",
+      ],
+      403: ["SENDING_RESTRICTED"],
+      404: ["SENDER_NOT_FOUND", "RECIPIENT_NOT_FOUND"],
+      409: ["RECIPIENT_NO_PUBLIC_KEY"],
+    },
+  },
+  "GET /api/messages/:recipientId": {
+    tag: "Messages",
+    summary: "Fetch messages for a user",
+    errors: {
+      400: ["INVALID_CURSOR"],
+      404: ["USER_NOT_FOUND"],
+    },
+  },
+  "GET /api/messages/:recipientId/stream": {
+    tag: "Messages",
+    summary: "Stream new messages as server-sent events",
+    produces: "text/event-stream",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "POST /api/messages/:recipientId/ack": {
+    tag: "Messages",
+    summary: "Acknowledge (delete) messages held under a lease",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "POST /api/messages/:recipientId/replies": {
+    tag: "Messages",
+    summary: "Reply anonymously with a reply token",
+    status: 201,
+    errors: {
+      400: ["INVALID_MESSAGE"],
+      403: ["SENDING_RESTRICTED"],
+      404: ["USER_NOT_FOUND", "INVALID_REPLY_TOKEN"],
+      410: ["SENDER_GONE"],
+    },
+  },
+  "POST /api/messages/:recipientId/reports": {
+    tag: "Messages",
+    summary: "Report an abusive message",
+    status: 201,
+    errors: {
+      404: ["USER_NOT_FOUND", "MESSAGE_NOT_FOUND"],
+      409: ["ALREADY_REPORTED"],
+    },
+  },
+
+  // Attachments
+
+  "POST /api/attachments": {
+    tag: "Attachments",
+    summary: "Upload a message attachment",
+    status: 201,
+    upload: "file",
+    errors: {
+      400: [
+        "INVALID_REQUEST",
+        "INVALID_UPLOAD",
+        "INVALID_ATTACHMENT",
+        "UNSUPPORTED_ATTACHMENT_TYPE",
+      ],
+      404: ["SENDER_NOT_FOUND"],
+      413: ["ATTACHMENT_TOO_LARGE"],
+    },
+  },
+  "POST /api/v2/attachments": {
+    tag: "Attachments",
+    summary: "Upload a message attachment as the token's holder",
+    status: 201,
+    upload: "file",
+    errors: {
+      400: [
+        "INVALID_REQUEST",
+        "INVALID_UPLOAD",
+        "INVALID_ATTACHMENT",
+        "UNSUPPORTED_ATTACHMENT_TYPE",
+      ],
+      404: ["SENDER_NOT_FOUND"],
+      413: ["ATTACHMENT_TOO_LARGE"],
+    },
+  },
+  "GET /api/messages/:recipientId/attachments/:attachmentId": {
+    tag: "Attachments",
+    summary: "Download an attachment of a received message",
+    produces: "application/octet-stream",
+    errors: { 404: ["ATTACHMENT_NOT_FOUND"] },
+  },
+
+  // Groups
+
+  "GET /api/users/:userId/groups": {
+    tag: "Groups",
+    summary: "List the user's groups",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "POST /api/users/:userId/groups": {
+    tag: "Groups",
+    summary: "Create a group inbox",
+    status: 201,
+    errors: {
+      400: ["GROUP_FULL"],
+      404: ["USER_NOT_FOUND"],
+      409: ["ID_TAKEN"],
+      503: ["SERVICE_UNAVAILABLE"],
+    },
+  },
+  "GET /api/users/:userId/groups/:groupId": {
+    tag: "Groups",
+    summary: "Get a group",
+    errors: {
+      404: ["USER_NOT_FOUND", "GROUP_NOT_FOUND"],
+    },
+  },
+  "DELETE /api/users/:userId/groups/:groupId": {
+    tag: "Groups",
+    summary: "Delete a group (owner)",
+    errors: {
+      403: ["FORBIDDEN"],
+      404: ["USER_NOT_FOUND", "GROUP_NOT_FOUND"],
+    },
+  },
+  "POST /api/users/:userId/groups/:groupId/accept": {
+    tag: "Groups",
+    summary: "Accept an invite to a group",
+    errors: { 404: ["USER_NOT_FOUND", "INVITE_NOT_FOUND"] },
+  },
+  "DELETE /api/users/:userId/groups/:groupId/invite": {
+    tag: "Groups",
+    summary: "Decline an invite to a group",
+    errors: { 404: ["USER_NOT_FOUND", "INVITE_NOT_FOUND"] },
+  },
+  "POST /api/users/:userId/groups/:groupId/members": {
+    tag: "Groups",
+    summary: "Invite a member",
+    status: 201,
+    errors: {
+      400: ["GROUP_FULL"],
+      403: ["FORBIDDEN"],
+      404: ["USER_NOT_FOUND", "GROUP_NOT_FOUND"],
+      409: ["ALREADY_MEMBER", "ALREADY_INVITED"],
+    },
+  },
+  "PUT /api/users/:userId/groups/:groupId/members/:memberId": {
+    tag: "Groups",
+    summary: "Change a member's role (owner)",
+    errors: {
+      403: ["FORBIDDEN"],
+      404: ["USER_NOT_FOUND", "GROUP_NOT_FOUND", "MEMBER_NOT_FOUND"],
+    },
+  },
+  "DELETE /api/users/:userId/groups/:groupId/members/:memberId": {
+    tag: "Groups",
+    summary: "Remove a member, withdraw an invite or leave the group",
+    errors: {
+      403: ["FORBIDDEN"],
+      404: ["USER_NOT_FOUND", "GROUP_NOT_FOUND", "MEMBER_NOT_FOUND"],
+    },
+  },
+
+  // Admin
+
+  "GET /api/admin/stats": {
+    tag: "Admin",
+    summary: "Users, message volume and cleanup status",
+  },
+  "GET /api/admin/jobs/runs": {
+    tag: "Admin",
+    summary: "Background job run history",
+  },
+  "DELETE /api/admin/users/:userId": {
+    tag: "Admin",
+    summary: "Force-delete a user",
+    errors: { 404: ["USER_NOT_FOUND"] },
+  },
+  "POST /api/admin/messages/purge": {
+    tag: "Admin",
+    summary: "Purge messages matching a pattern",
+    errors: { 400: ["INVALID_PATTERN"] },
+  },
+  "GET /api/admin/bans": {
+    tag: "Admin",
+    summary: "List bans",
+  },
+  "POST /api/admin/bans": {
+    tag: "Admin",
+    summary: "Ban a fingerprint or IP range",
+    status: 201,
+    errors: {
+      400: ["INVALID_BAN"],
+      409: ["ALREADY_BANNED"],
+    },
+  },
+  "DELETE /api/admin/bans/:banId": {
+    tag: "Admin",
+    summary: "Lift a ban",
+    errors: { 404: ["BAN_NOT_FOUND"] },
+  },
+  "GET /api/admin/reports": {
+    tag: "Admin",
+    summary: "Abuse report review queue",
+  },
+  "GET /api/admin/reports/:reportId": {
+    tag: "Admin",
+    summary: "Get a report",
+    errors: { 404: ["REPORT_NOT_FOUND"] },
+  },
+  "POST /api/admin/reports/:reportId/resolve": {
+    tag: "Admin",
+    summary: "Dismiss a report, warn or ban the sender",
+    errors: {
+      400: ["NO_FINGERPRINT"],
+      404: ["REPORT_NOT_FOUND"],
+      409: ["REPORT_ALREADY_RESOLVED"],
+    },
+  },
+  "GET /api/admin/keys": {
+    tag: "Admin",
+    summary: "List admin keys",
+  },
+  "POST /api/admin/keys": {
+    tag: "Admin",
+    summary: "Issue an admin key",
+    status: 201,
+  },
+  "DELETE /api/admin/keys/:keyId": {
+    tag: "Admin",
+    summary: "Revoke an admin key",
+    errors: { 404: ["KEY_NOT_FOUND"] },
+  },
+  "GET /api/admin/audit": {
+    tag: "Admin",
+    summary: "Admin audit log",
+  },
+};
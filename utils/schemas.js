@@ -0,0 +1,327 @@
+const Joi = require("joi");
+const config = require("../config");
+const {
+  ENCRYPTION_ALGORITHMS,
+  MAX_MESSAGE_EXPIRY_SECONDS,
+  GROUP_ROLES,
+} = require("./helpers");
+const { MAX_ATTACHMENTS_PER_MESSAGE } = require("./attachments");
+const { REPORT_REASONS, REPORT_ACTIONS } = require("./reports");
+
+// Request schemas for every API route, applied by the validate middleware
+// and used to generate the OpenAPI document. Each route lists schemas for
+// its params, query and body; a field's meta({ code }) is the error code
+// reported when that field fails. Checks that need storage or the
+// moderation rules stay in the route handlers.
+
+const userId = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": "{{#label}} must be exactly 6 digits" });
+
+const userOrGroupId = Joi.string()
+  .pattern(/^\d{6,12}$/)
+  .messages({
+    "string.pattern.base": "{{#label}} must be a 6-digit user ID or a group ID",
+  });
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-f]{24}$/i)
+  .messages({ "string.pattern.base": "{{#label}} must be a valid ID" });
+
+// Self-destruct timer in seconds; longer timers are capped, not rejected
+const expirySeconds = Joi.number()
+  .integer()
+  .min(1)
+  .allow(null)
+  .custom((value) => Math.min(value, MAX_MESSAGE_EXPIRY_SECONDS))
+  .meta({ code: "INVALID_EXPIRY" });
+
+const cursor = Joi.string().max(512).meta({ code: "INVALID_CURSOR" });
+
+// Page size, defaulted and bounded per list
+const pageLimit = (defaultLimit, max) =>
+  Joi.number()
+    .integer()
+    .min(1)
+    .max(max)
+    .default(defaultLimit)
+    .meta({ code: "INVALID_LIMIT" });
+
+// Ban lengths in seconds; unlike message timers they are not capped
+const banSeconds = Joi.number().integer().min(1).allow(null);
+
+const publicKey = Joi.object({
+  algorithm: Joi.string()
+    .valid(...Object.keys(ENCRYPTION_ALGORITHMS))
+    .required(),
+  key: Joi.string().required(),
+}).meta({ code: "INVALID_PUBLIC_KEY" });
+
+// Key registered along with a new ID: the same object PUT public-key takes,
+// or just the base64 key with the algorithm alongside it
+const creationKey = Joi.object({
+  publicKey: Joi.alternatives().try(publicKey, Joi.string()),
+  algorithm: Joi.string().valid(...Object.keys(ENCRYPTION_ALGORITHMS)),
+})
+  .with("algorithm", "publicKey")
+  .meta({ code: "INVALID_PUBLIC_KEY" });
+
+const userParams = Joi.object({
+  userId: userId.required().meta({ code: "INVALID_ID_FORMAT" }),
+});
+
+const recipientParams = Joi.object({
+  recipientId: userId.required().meta({ code: "INVALID_ID_FORMAT" }),
+});
+
+const idParams = Joi.object({
+  id: userId.required().meta({ code: "INVALID_ID_FORMAT" }),
+});
+
+const groupParams = userParams.keys({
+  groupId: userOrGroupId.required().meta({ code: "INVALID_GROUP_ID" }),
+});
+
+const memberParams = groupParams.keys({
+  memberId: userId.required().meta({ code: "INVALID_ID_FORMAT" }),
+});
+
+module.exports = {
+  checkId: { params: idParams },
+
+  generateId: { body: creationKey },
+
+  customId: {
+    params: idParams,
+    body: creationKey,
+  },
+
+  sendMessage: {
+    body: Joi.object({
+      senderId: userId.required().meta({ code: "INVALID_ID" }),
+      recipientId: userOrGroupId.required().meta({ code: "INVALID_ID" }),
+      content: Joi.string().required().meta({ code: "INVALID_REQUEST" }),
+      encrypted: Joi.boolean().default(false),
+      algorithm: Joi.string(),
+      nonce: Joi.string(),
+      expiresIn: expirySeconds.default(null),
+      allowReplies: Joi.boolean().default(true),
+      attachments: Joi.array()
+        .items(objectId)
+        .max(MAX_ATTACHMENTS_PER_MESSAGE)
+        .unique()
+        .default([])
+        .meta({ code: "INVALID_ATTACHMENT" }),
+    }),
+  },
+
+  getMessages: {
+    params: recipientParams,
+    query: Joi.object({
+      cursor,
+      direction: Joi.string()
+        .valid("forward", "backward")
+        .default("forward")
+        .meta({ code: "INVALID_DIRECTION" }),
+      limit: pageLimit(20, 100),
+      unread: Joi.boolean().default(false),
+      groupId: userOrGroupId.meta({ code: "INVALID_GROUP_ID" }),
+    }),
+  },
+
+  ackMessages: {
+    params: recipientParams,
+    body: Joi.object({
+      messageIds: Joi.array()
+        .items(objectId)
+        .max(100)
+        .meta({ code: "INVALID_MESSAGE_IDS" }),
+      leaseId: Joi.string().required(),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  reply: {
+    params: recipientParams,
+    body: Joi.object({
+      replyToken: Joi.string().required(),
+      content: Joi.string().required(),
+      allowReplies: Joi.boolean().default(true),
+      expiresIn: expirySeconds.default(null),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  streamMessages: { params: recipientParams },
+
+  user: { params: userParams },
+
+  deleteUser: {
+    params: userParams,
+    body: Joi.object({
+      immediate: Joi.boolean().default(false),
+      reason: Joi.string().max(64).default("manual"),
+      token: Joi.string(),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  updateSettings: {
+    params: userParams,
+    body: Joi.object({
+      defaultMessageExpiry: expirySeconds,
+      readReceipts: Joi.boolean(),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  listOutbox: {
+    params: userParams,
+    query: Joi.object({ cursor, limit: pageLimit(20, 100) }),
+  },
+
+  addBlock: {
+    params: userParams,
+    body: Joi.object({
+      senderId: userId.meta({ code: "INVALID_ID" }),
+      messageId: objectId.meta({ code: "INVALID_MESSAGE_IDS" }),
+    })
+      .xor("senderId", "messageId")
+      .messages({
+        "object.missing": "Either senderId or messageId is required",
+        "object.xor": "Pass senderId or messageId, not both",
+      })
+      .meta({ code: "INVALID_REQUEST" }),
+  },
+
+  removeBlock: {
+    params: userParams.keys({
+      blockId: objectId.required().meta({ code: "INVALID_BLOCK_ID" }),
+    }),
+  },
+
+  setPublicKey: {
+    params: userParams,
+    body: Joi.object({ publicKey: publicKey.required() }),
+  },
+
+  // Groups
+
+  group: { params: groupParams },
+
+  groupMember: { params: memberParams },
+
+  createGroup: {
+    params: userParams,
+    body: Joi.object({
+      id: userOrGroupId.meta({ code: "INVALID_GROUP_ID" }),
+      name: Joi.string().max(50),
+      members: Joi.array().items(userId).default([]),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  addGroupMember: {
+    params: groupParams,
+    body: Joi.object({
+      memberId: userId.required(),
+      role: Joi.string().valid("admin", "member").default("member"),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  setGroupRole: {
+    params: memberParams,
+    body: Joi.object({
+      role: Joi.string()
+        .valid(...GROUP_ROLES)
+        .required(),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  // Attachments and reports
+
+  uploadAttachment: {
+    body: Joi.object({
+      senderId: userId.required().meta({ code: "INVALID_ID" }),
+    }),
+  },
+
+  recipient: { params: recipientParams },
+
+  createReport: {
+    params: recipientParams,
+    body: Joi.object({
+      messageId: objectId.required().meta({ code: "INVALID_MESSAGE_IDS" }),
+      reason: Joi.string()
+        .valid(...REPORT_REASONS)
+        .required()
+        .meta({ code: "INVALID_REASON" }),
+      details: Joi.string().max(500),
+      plaintext: Joi.string().max(config.messages.maxLength),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  // Admin
+
+  listJobRuns: {
+    query: Joi.object({
+      job: Joi.string().max(50),
+      limit: pageLimit(20, 100),
+    }),
+  },
+
+  adminUser: {
+    params: Joi.object({
+      userId: userId.required().meta({ code: "INVALID_ID" }),
+    }),
+  },
+
+  purgeMessages: {
+    body: Joi.object({
+      pattern: Joi.string()
+        .max(100)
+        .required()
+        .meta({ code: "INVALID_PATTERN" }),
+      caseSensitive: Joi.boolean().default(false),
+      dryRun: Joi.boolean().default(false),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  createBan: {
+    body: Joi.object({
+      type: Joi.string().valid("fingerprint", "ip").required(),
+      value: Joi.string().required(),
+      reason: Joi.string().max(200).meta({ code: "INVALID_REQUEST" }),
+      expiresIn: banSeconds.meta({ code: "INVALID_EXPIRY" }),
+    }).meta({ code: "INVALID_BAN" }),
+  },
+
+  listReports: {
+    query: Joi.object({
+      status: Joi.string()
+        .valid("open", ...Object.values(REPORT_ACTIONS))
+        .default("open")
+        .meta({ code: "INVALID_STATUS" }),
+      limit: pageLimit(50, 200),
+    }),
+  },
+
+  resolveReport: {
+    body: Joi.object({
+      action: Joi.string()
+        .valid(...Object.keys(REPORT_ACTIONS))
+        .required()
+        .meta({ code: "INVALID_ACTION" }),
+      note: Joi.string().max(500),
+      expiresIn: banSeconds,
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  createAdminKey: {
+    body: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+    }).meta({ code: "INVALID_REQUEST" }),
+  },
+
+  listAuditLog: {
+    query: Joi.object({
+      action: Joi.string().max(100),
+      limit: pageLimit(50, 200),
+    }),
+  },
+};